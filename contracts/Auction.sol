@@ -4,13 +4,46 @@
 pragma solidity ^0.8.16;
 
 import "hardhat/console.sol";
+import "./IERC20.sol";
+import "./AuctionItem.sol";
+import "./AuctionPayouts.sol";
+import "./AuctionAllowlist.sol";
+import "./AuctionSignedBids.sol";
+
+// Compra inmediata: cualquiera puede pagar price para ganar la subasta al
+// momento, mientras la maxima puja no llegue a threshold (si es 0, mientras
+// no llegue a price). Un price de 0 la desactiva
+struct BuyNow {
+    uint256 price;
+    uint256 threshold;
+}
+
+// Cuentas de la subasta: el propietario la administra y el beneficiario recibe
+// lo recaudado. Si el propietario es address(0), es quien despliega la
+// subasta, y si el beneficiario es address(0), es el propietario
+struct Roles {
+    address payable owner;
+    address payable beneficiary;
+}
 
 // Informacion del Smart Contract
 // Nombre: Subasta
-// Logica: Implementa subasta de productos entre varios participantes
+// Logica: Implementa subasta de productos entre varios participantes. Se puja
+//         en ETH o, si la subasta tiene paymentToken, en ese token ERC-20.
+//         El articulo puede ser un token ERC-721 custodiado por la subasta
+//         (ver AuctionItem), y lo recaudado se reparte entre la plataforma,
+//         los repartos y el beneficiario (ver AuctionPayouts). El propietario
+//         puede limitar quien puja a una lista de cuentas (ver AuctionAllowlist)
+//         Los postores tambien pueden pujar sin gas desde su deposito, con
+//         pujas firmadas que envia un relayer (ver AuctionSignedBids)
 
 // Declaracion del Smart Contract - Auction
-contract Auction {
+contract Auction is
+    AuctionItem,
+    AuctionPayouts,
+    AuctionAllowlist,
+    AuctionSignedBids
+{
     // ----------- Variables (datos) -----------
     // Información de la subasta
     string private description;
@@ -18,39 +51,167 @@ contract Auction {
     uint256 private secondsToEnd;
     uint256 private createdTime;
 
-    // Antiguo/nuevo dueño de subasta
+    // Bloque en el que se creo la subasta: sus eventos (como el historial de
+    // pujas) se buscan a partir de el
+    uint256 public createdBlock;
+
+    // Anti-sniping: una puja a menos de extensionWindow segundos del final
+    // retrasa el final (endTime) hasta extensionWindow segundos despues de la puja
+    uint256 private extensionWindow;
+    uint256 private endTime;
+
+    // Incremento minimo de cada puja sobre la maxima puja: el mayor entre un
+    // valor absoluto (en wei) y un porcentaje del precio (en puntos basicos)
+    uint private minIncrement;
+    uint private minIncrementBps;
+
+    // Token ERC-20 en el que se paga la subasta, o address(0) si se paga en ETH.
+    // Pujas, reembolsos y lo recaudado usan siempre la misma moneda
+    address public paymentToken;
+
+    // Compra inmediata (ver BuyNow)
+    uint public buyNowPrice;
+    uint public buyNowThreshold;
+
+    // Antiguo/nuevo dueño de subasta. El propietario (originalOwner)
+    // administra la subasta y puede transferir la propiedad en dos pasos: la
+    // propone a pendingOwner, que tiene que aceptarla (ver acceptOwnership)
     address payable public originalOwner;
+    // Beneficiario: recibe lo recaudado, aunque la propiedad cambie
+    address payable public beneficiary;
+    address public pendingOwner;
     address public newOwner;
 
+    // Operadores: cuentas que pueden finalizar la subasta en nombre del
+    // propietario (ver finalize)
+    mapping(address => bool) public operators;
+
     // Puja mas alta
     address payable public highestBidder;
     uint public highestPrice;
 
-    // Estado de la subasta
+    // Pujas automaticas (proxy): cada postor deposita su puja maxima y la
+    // subasta sube su puja por el incremento minimo cada vez que alguien la
+    // supera, hasta esa maxima. Solo la puja automatica mas alta sigue en
+    // juego: es siempre la del maximo postor, y su deposito incluye
+    // highestPrice. Las demas se superan al momento y se devuelven
+    mapping(address => uint) public maxBids;
+
+    // Estado de la subasta. En pausa no se aceptan pujas, y el tiempo que
+    // dura la pausa se añade al final de la subasta al reanudarla
     bool private activeContract;
+    bool public paused;
+    uint256 private pausedAt;
+
+    // Dinero pendiente de retirar por cada cuenta: pujas superadas, reembolsos,
+    // depositos y lo recaudado por el beneficiario, la plataforma y los
+    // repartos. Cada cuenta lo retira con withdraw(), y los postores pueden
+    // usarlo para pujas firmadas (ver bidBySig)
+    mapping(address => uint) public pendingReturns;
+
+    // Estado completo de la subasta visto por una cuenta (ver getSnapshot)
+    struct Snapshot {
+        string description;
+        uint256 createdTime;
+        uint256 secondsToEnd;
+        uint256 endTime;
+        uint256 timestamp;
+        uint basePrice;
+        uint minimumNextBid;
+        address highestBidder;
+        uint highestPrice;
+        address originalOwner;
+        address beneficiary;
+        address pendingOwner;
+        address newOwner;
+        bool active;
+        bool paused;
+        bool isOperator;
+        bool itemDeposited;
+        uint pendingReturn;
+        address paymentToken;
+        uint tokenBalance;
+        uint allowance;
+        uint buyNowPrice;
+        bool buyNowAvailable;
+        uint maxBid;
+        bytes32 allowlistRoot;
+        bool allowlisted;
+        uint256 nonce;
+    }
 
     // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
-    event Status(string _message);
-    event Result(string _message, address winner);
+    event BidPlaced(address indexed _bidder, uint _amount);
+    event MaxBidSet(address indexed _bidder, uint _maxBid);
+    event AuctionEnded(address indexed _winner, uint _amount);
+    event AuctionStopped();
+    event WithdrawalMade(address indexed _to, uint _amount);
+    event AuctionExtended(uint256 newEndTime);
+    event BoughtNow(address indexed _buyer, uint _amount);
+    event Deposited(address indexed _bidder, uint _amount);
+    event OwnershipTransferStarted(
+        address indexed _previousOwner,
+        address indexed _newOwner
+    );
+    event OwnershipTransferred(
+        address indexed _previousOwner,
+        address indexed _newOwner
+    );
+    event Paused();
+    event Unpaused();
+    event OperatorSet(address indexed _operator, bool _enabled);
 
     // ----------- Constructor -----------
-    // Uso: Inicializa el Smart Contract - Auction con: description, precio y tiempo
-    constructor() {
+    // Uso: Inicializa el Smart Contract - Auction con: description, precio, tiempo,
+    //      ventana de extension (0 la desactiva), incremento minimo (absoluto
+    //      y en puntos basicos, 100 = 1%), propietario y beneficiario (ver
+    //      Roles), token de pago (address(0) es ETH), compra inmediata (ver
+    //      BuyNow), token ERC-721 subastado (address(0) si no hay) y el
+    //      reparto de lo recaudado
+    constructor(
+        string memory _description,
+        uint _basePrice,
+        uint256 _secondsToEnd,
+        uint256 _extensionWindow,
+        uint _minIncrement,
+        uint _minIncrementBps,
+        Roles memory _roles,
+        address _paymentToken,
+        BuyNow memory _buyNow,
+        Item memory _item,
+        Payouts memory _payouts
+    ) AuctionItem(_item) AuctionPayouts(_payouts) {
+        if (bytes(_description).length == 0) revert EmptyDescription();
+        if (_secondsToEnd == 0) revert InvalidDuration();
+        if (_buyNow.threshold > _buyNow.price) revert InvalidBuyNow();
+
         // Inicializo el valor a las variables (datos)
-        description = "En esta subasta se ofrece un Ford Focus amarillo de edicion limitada.";
-        basePrice = 1 ether;
-        secondsToEnd = 600; // 86400 = 24h | 3600 = 1h | 900 = 15 min | 600 = 10 min
+        description = _description;
+        basePrice = _basePrice;
+        secondsToEnd = _secondsToEnd; // 86400 = 24h | 3600 = 1h | 900 = 15 min | 600 = 10 min
         activeContract = true;
         createdTime = block.timestamp;
-        originalOwner = payable(msg.sender);
+        createdBlock = block.number;
+        extensionWindow = _extensionWindow;
+        minIncrement = _minIncrement;
+        minIncrementBps = _minIncrementBps;
+        endTime = createdTime + _secondsToEnd;
+        paymentToken = _paymentToken;
+        buyNowPrice = _buyNow.price;
+        buyNowThreshold = _buyNow.threshold == 0
+            ? _buyNow.price
+            : _buyNow.threshold;
+        originalOwner = _roles.owner == address(0)
+            ? payable(msg.sender)
+            : _roles.owner;
+        beneficiary = _roles.beneficiary == address(0)
+            ? originalOwner
+            : _roles.beneficiary;
 
         console.log("\n------------------------------------");
         console.log("** Deploying Smart Contract...");
         console.log("** This is a test of debugging logs");
         console.log("------------------------------------\n ");
-
-        // Se emite un Evento
-        emit Status("Subasta creada");
     }
 
     // ------------ Funciones que modifican datos (set) ------------
@@ -59,86 +220,676 @@ contract Auction {
     // Nombre: bid
     // Uso:    Permite a cualquier postor hacer una oferta de dinero para la subata
     //         El dinero es almacenado en el contrato, junto con el nombre del postor
-    //         El postor cuya oferta ha sido superada recibe de vuelta el dinero pujado
+    //         El postor cuya oferta ha sido superada puede retirar el dinero pujado
+    //         con withdraw(), asi ningun postor puede bloquear las nuevas pujas
+    //         La puja debe ser al menos getMinimumNextBid()
     function bid() public payable {
+        if (paymentToken != address(0)) revert PaidInToken(paymentToken);
+        placeBid(msg.sender, msg.value);
+    }
+
+    // Funcion
+    // Nombre: bidWithToken
+    // Uso:    Igual que bid(), pero pujando _amount tokens de paymentToken.
+    //         El postor tiene que haber aprobado (approve) antes al contrato
+    //         para transferir esos tokens
+    function bidWithToken(uint _amount) public {
+        if (paymentToken == address(0)) revert PaidInEther();
         if (
-            block.timestamp > (createdTime + secondsToEnd) &&
-            activeContract == true
+            !IERC20(paymentToken).transferFrom(
+                msg.sender,
+                address(this),
+                _amount
+            )
         ) {
-            // Si el tiempo de subasta ha expirado, comprueba su estado
+            revert TransferFailed();
+        }
+        placeBid(msg.sender, _amount);
+    }
+
+    // Funcion
+    // Nombre: bidWithProof
+    // Uso:    Igual que bid(), pero demostrando antes con _proof que el postor
+    //         esta en la lista de la subasta (ver proveAllowlisted). Despues
+    //         puede pujar sin prueba
+    function bidWithProof(bytes32[] calldata _proof) public payable {
+        proveAllowlisted(_proof);
+        bid();
+    }
+
+    // Funcion
+    // Nombre: bidWithTokenAndProof
+    // Uso:    Igual que bidWithToken(), pero demostrando antes con _proof que
+    //         el postor esta en la lista de la subasta
+    function bidWithTokenAndProof(
+        uint _amount,
+        bytes32[] calldata _proof
+    ) public {
+        proveAllowlisted(_proof);
+        bidWithToken(_amount);
+    }
+
+    // Funcion
+    // Nombre: deposit
+    // Uso:    Deposita ETH en la subasta para pujar despues con pujas
+    //         firmadas (ver bidBySig). Lo que no se use se retira con
+    //         withdraw(), junto con las pujas superadas
+    function deposit() public payable {
+        if (paymentToken != address(0)) revert PaidInToken(paymentToken);
+        addDeposit(msg.value);
+    }
+
+    // Funcion
+    // Nombre: depositToken
+    // Uso:    Igual que deposit(), pero depositando _amount tokens de
+    //         paymentToken, que hay que haber aprobado antes
+    function depositToken(uint _amount) public {
+        if (paymentToken == address(0)) revert PaidInEther();
+        if (
+            !IERC20(paymentToken).transferFrom(
+                msg.sender,
+                address(this),
+                _amount
+            )
+        ) {
+            revert TransferFailed();
+        }
+        addDeposit(_amount);
+    }
+
+    // Funcion
+    // Nombre: addDeposit
+    // Uso:    Añade _amount (en ETH o tokens), que ya esta en el contrato, al
+    //         deposito de quien llama
+    function addDeposit(uint _amount) private {
+        if (!activeContract) revert AuctionNotActive();
+        pendingReturns[msg.sender] += _amount;
+
+        // Se emite un evento
+        emit Deposited(msg.sender, _amount);
+    }
+
+    // Funcion
+    // Nombre: bidBySig
+    // Uso:    Registra una puja de _amount que _bidder ha firmado (ver
+    //         AuctionSignedBids), pagada con su deposito. La envia un relayer,
+    //         que paga el gas, pero la puja es de _bidder
+    function bidBySig(
+        address _bidder,
+        uint _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) public {
+        useSignedBid(_bidder, _amount, _nonce, _deadline, _signature);
+        if (pendingReturns[_bidder] < _amount) {
+            revert InsufficientDeposit(pendingReturns[_bidder]);
+        }
+        pendingReturns[_bidder] -= _amount;
+        placeBid(_bidder, _amount);
+    }
+
+    // Funcion
+    // Nombre: placeBid
+    // Uso:    Registra una puja de _amount (en ETH o tokens) de _bidder que ya
+    //         esta en el contrato
+    function placeBid(address _bidder, uint _amount) private {
+        if (!activeContract) revert AuctionNotActive();
+        if (paused) revert AuctionPaused();
+        requireItemDeposited();
+        requireAllowlisted(_bidder);
+
+        if (block.timestamp > endTime) {
+            // Si el tiempo de subasta ha expirado, finaliza la subasta
             checkIfAuctionEnded();
-            // Devuelve el dinero al ultimo postor
-            address payable latestBidder = payable(msg.sender);
-            latestBidder.transfer(msg.value);
+            // El ultimo postor puede retirar el dinero que ha enviado
+            pendingReturns[_bidder] += _amount;
+        } else if (_bidder == highestBidder && maxBids[_bidder] > 0) {
+            // Si el maximo postor tiene una puja automatica, su puja manual
+            // sube la maxima en vez de competir contra ella
+            raiseMaxBid(_bidder, _amount);
         } else {
-            if (msg.value > highestPrice && msg.value > basePrice) {
-                // Devuelve el dinero al ANTIGUO maximo postor
-                highestBidder.transfer(highestPrice);
+            if (_amount >= getMinimumNextBid()) {
+                // Si la puja automatica del maximo postor la cubre, la supera
+                // al momento
+                if (_amount <= maxBids[highestBidder]) {
+                    outbidByProxy(_bidder, _amount);
+                    return;
+                }
+
+                // El ANTIGUO maximo postor puede retirar su dinero
+                releaseHighestBid();
 
                 // Actualiza el nombre y precio al NUEVO maximo postor
-                highestBidder = payable(msg.sender);
-                highestPrice = msg.value;
+                highestBidder = payable(_bidder);
+                highestPrice = _amount;
+                extendEndTime();
 
                 // Se emite un evento
-                emit Status(
-                    "Nueva puja mas alta, el ultimo postor tiene su dinero de vuelta"
-                );
+                emit BidPlaced(_bidder, _amount);
             } else {
-                // Se emite un evento
-                emit Status(
-                    "La puja no es posible, no es lo suficientemente alta"
-                );
-                revert("La puja no es posible, no es lo suficientemente alta");
+                // La puja no es lo suficientemente alta
+                revert BidTooLow(getMinimumNextBid());
+            }
+        }
+    }
+
+    // Funcion
+    // Nombre: proxyBid
+    // Uso:    Deposita una puja maxima (o la sube, si ya se tiene) y puja
+    //         automaticamente hasta ella: la puja sube por el incremento
+    //         minimo cada vez que alguien la supera, asi que el postor paga
+    //         como mucho la segunda puja maxima mas el incremento. Lo que no
+    //         se use de la puja maxima se devuelve al finalizar
+    function proxyBid() public payable {
+        if (paymentToken != address(0)) revert PaidInToken(paymentToken);
+        placeMaxBid(msg.value);
+    }
+
+    // Funcion
+    // Nombre: proxyBidWithToken
+    // Uso:    Igual que proxyBid(), pero depositando _amount tokens de
+    //         paymentToken, que hay que haber aprobado antes
+    function proxyBidWithToken(uint _amount) public {
+        if (paymentToken == address(0)) revert PaidInEther();
+        if (
+            !IERC20(paymentToken).transferFrom(
+                msg.sender,
+                address(this),
+                _amount
+            )
+        ) {
+            revert TransferFailed();
+        }
+        placeMaxBid(_amount);
+    }
+
+    // Funcion
+    // Nombre: placeMaxBid
+    // Uso:    Registra una puja maxima de _amount (en ETH o tokens) que ya
+    //         esta en el contrato, o la añade a la del maximo postor
+    function placeMaxBid(uint _amount) private {
+        if (!activeContract) revert AuctionNotActive();
+        if (paused) revert AuctionPaused();
+        requireItemDeposited();
+        requireAllowlisted(msg.sender);
+
+        if (block.timestamp > endTime) {
+            // Si el tiempo de subasta ha expirado, finaliza la subasta
+            checkIfAuctionEnded();
+            // El ultimo postor puede retirar el dinero que ha enviado
+            pendingReturns[msg.sender] += _amount;
+            return;
+        }
+
+        // El maximo postor sube su puja maxima
+        if (msg.sender == highestBidder) {
+            raiseMaxBid(msg.sender, _amount);
+            return;
+        }
+
+        if (_amount < getMinimumNextBid()) {
+            revert BidTooLow(getMinimumNextBid());
+        }
+
+        // Si la puja automatica del maximo postor es igual o mayor, gana
+        // ella (la primera en llegar) y la nueva se supera al momento
+        uint rivalMax = maxBids[highestBidder];
+        if (_amount <= rivalMax) {
+            outbidByProxy(msg.sender, _amount);
+            return;
+        }
+
+        // La nueva puja automatica gana: el antiguo maximo postor puja hasta
+        // su maxima (si era automatica), y la nueva la supera por el
+        // incremento minimo sin pasar de su propia maxima
+        uint price = getMinimumNextBid();
+        if (rivalMax > highestPrice) {
+            emit BidPlaced(highestBidder, rivalMax);
+            price = minimumAbove(rivalMax);
+        }
+        releaseHighestBid();
+
+        highestBidder = payable(msg.sender);
+        highestPrice = price < _amount ? price : _amount;
+        maxBids[msg.sender] = _amount;
+        extendEndTime();
+
+        // Se emiten los eventos
+        emit MaxBidSet(msg.sender, _amount);
+        emit BidPlaced(msg.sender, highestPrice);
+    }
+
+    // Funcion
+    // Nombre: raiseMaxBid
+    // Uso:    El maximo postor _bidder añade _amount a su puja maxima: su puja
+    //         sigue igual, y si no era automatica, pasa a formar parte del
+    //         deposito
+    function raiseMaxBid(address _bidder, uint _amount) private {
+        maxBids[_bidder] =
+            (maxBids[_bidder] > 0 ? maxBids[_bidder] : highestPrice) +
+            _amount;
+
+        // Se emite un evento
+        emit MaxBidSet(_bidder, maxBids[_bidder]);
+    }
+
+    // Funcion
+    // Nombre: outbidByProxy
+    // Uso:    La puja automatica del maximo postor supera al momento una puja
+    //         de _amount de _bidder: esa puja se registra y se puede
+    //         retirar, y la del maximo postor sube por el incremento minimo
+    //         sin pasar de su maxima
+    function outbidByProxy(address _bidder, uint _amount) private {
+        pendingReturns[_bidder] += _amount;
+
+        // Se emite un evento
+        emit BidPlaced(_bidder, _amount);
+
+        uint price = minimumAbove(_amount);
+        uint maxBid = maxBids[highestBidder];
+        highestPrice = price < maxBid ? price : maxBid;
+        extendEndTime();
+
+        // Se emite un evento
+        emit BidPlaced(highestBidder, highestPrice);
+    }
+
+    // Funcion
+    // Nombre: releaseHighestBid
+    // Uso:    El maximo postor puede retirar su puja, o todo su deposito si su
+    //         puja era automatica, porque ya no es la puja mas alta
+    function releaseHighestBid() private {
+        if (highestBidder == address(0x0)) {
+            return;
+        }
+        if (maxBids[highestBidder] > 0) {
+            pendingReturns[highestBidder] += maxBids[highestBidder];
+            maxBids[highestBidder] = 0;
+        } else {
+            pendingReturns[highestBidder] += highestPrice;
+        }
+    }
+
+    // Funcion
+    // Nombre: extendEndTime
+    // Uso:    Si la puja llega en los ultimos minutos, se extiende la subasta
+    //         para que los demas postores puedan responder
+    function extendEndTime() private {
+        if (endTime - block.timestamp < extensionWindow) {
+            endTime = block.timestamp + extensionWindow;
+            emit AuctionExtended(endTime);
+        }
+    }
+
+    // Funcion
+    // Nombre: buyNow
+    // Uso:    Paga el precio de compra inmediata (en ETH o, si la subasta se
+    //         paga con tokens, en paymentToken, que hay que haber aprobado) y
+    //         finaliza la subasta: el maximo postor puede retirar su puja, el
+    //         que compra se queda el articulo y el beneficiario puede retirar
+    //         el precio. Lo que sobre del ETH enviado se puede retirar con
+    //         withdraw()
+    function buyNow() public payable {
+        if (!isBuyNowAvailable()) revert BuyNowUnavailable();
+        requireItemDeposited();
+        requireAllowlisted(msg.sender);
+
+        if (paymentToken == address(0)) {
+            if (msg.value < buyNowPrice) revert BidTooLow(buyNowPrice);
+            pendingReturns[msg.sender] += msg.value - buyNowPrice;
+        } else {
+            if (msg.value > 0) revert PaidInToken(paymentToken);
+            if (
+                !IERC20(paymentToken).transferFrom(
+                    msg.sender,
+                    address(this),
+                    buyNowPrice
+                )
+            ) {
+                revert TransferFailed();
             }
         }
+
+        // El ANTIGUO maximo postor puede retirar su dinero
+        releaseHighestBid();
+
+        // Finaliza la subasta
+        activeContract = false;
+        highestBidder = payable(msg.sender);
+        highestPrice = buyNowPrice;
+        newOwner = msg.sender;
+        distributeProceeds(beneficiary, buyNowPrice);
+        transferItem(msg.sender);
+
+        // Se emiten los eventos
+        emit BoughtNow(msg.sender, buyNowPrice);
+        emit AuctionEnded(msg.sender, buyNowPrice);
     }
 
     // Funcion
     // Nombre: checkIfAuctionEnded
-    // Uso:    Comprueba si la puja ha terminado, y en ese caso,
-    //         transfiere el balance del contrato al propietario de la subasta
+    // Uso:    Comprueba si la puja ha terminado, y en ese caso, el beneficiario
+    //         de la subasta puede retirar la maxima puja con withdraw() y el
+    //         articulo pasa al ganador (o vuelve al vendedor si nadie ha pujado)
     function checkIfAuctionEnded() public {
-        if (block.timestamp > (createdTime + secondsToEnd)) {
+        if (paused) revert AuctionPaused();
+        if (block.timestamp > endTime) {
+            // Una subasta parada o ya finalizada no se puede volver a liquidar
+            if (!activeContract) revert AuctionNotActive();
+
             // Finaliza la subasta
             activeContract = false;
 
-            // Transfiere el dinero (maxima puja) al propietario original de la subasta
+            // El beneficiario puede retirar el dinero (maxima puja), menos la
+            // comision y los repartos
             newOwner = highestBidder;
-            originalOwner.transfer(highestPrice);
+            distributeProceeds(beneficiary, highestPrice);
+
+            // Si la puja ganadora era automatica, el ganador puede retirar lo
+            // que no ha usado de su puja maxima
+            if (maxBids[highestBidder] > 0) {
+                pendingReturns[highestBidder] +=
+                    maxBids[highestBidder] -
+                    highestPrice;
+                maxBids[highestBidder] = 0;
+            }
+            transferItem(
+                highestBidder != address(0x0) ? highestBidder : seller
+            );
 
-            // Se emiten varios eventos
-            emit Status("La subasta ha finalizado");
-            emit Result("El ganador de la subasta ha sido:", highestBidder);
+            // Se emite un evento
+            emit AuctionEnded(highestBidder, highestPrice);
         } else {
-            revert("La subasta esta activa");
+            revert AuctionNotEnded(endTime);
         }
     }
 
+    // Funcion
+    // Nombre: withdraw
+    // Uso:    Transfiere al que llama todo el dinero que tiene pendiente de
+    //         retirar (pujas superadas, reembolsos o lo recaudado)
+    function withdraw() public {
+        payOut(msg.sender);
+    }
+
+    // Funcion
+    // Nombre: finalize
+    // Uso:    Permite al propietario o a un operador finalizar la subasta si
+    //         su tiempo ha terminado, y transferir lo recaudado al
+    //         beneficiario. El dinero siempre va al beneficiario, nunca al
+    //         propietario o al operador
+    function finalize() public {
+        if (msg.sender != originalOwner && !operators[msg.sender]) {
+            revert NotOperator();
+        }
+        if (activeContract) {
+            checkIfAuctionEnded();
+        }
+        // Si nadie ha pujado, no hay nada que transferir
+        if (pendingReturns[beneficiary] > 0) {
+            payOut(beneficiary);
+        }
+    }
+
+    // Funcion
+    // Nombre: payOut
+    // Uso:    Transfiere a _to todo el dinero que tiene pendiente de retirar
+    function payOut(address _to) private {
+        uint amount = pendingReturns[_to];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // Se pone a cero antes de transferir para evitar la reentrada
+        pendingReturns[_to] = 0;
+        bool success;
+        if (paymentToken == address(0)) {
+            (success, ) = payable(_to).call{value: amount}("");
+        } else {
+            success = IERC20(paymentToken).transfer(_to, amount);
+        }
+        if (!success) revert TransferFailed();
+
+        // Se emite un evento
+        emit WithdrawalMade(_to, amount);
+    }
+
+    // Funcion
+    // Nombre: creditPayout
+    // Uso:    Añade _amount a lo que _to tiene pendiente de retirar (ver
+    //         AuctionPayouts)
+    function creditPayout(address _to, uint _amount) internal override {
+        pendingReturns[_to] += _amount;
+    }
+
+    // ------------ Funciones de administracion (solo el propietario) ------------
+
+    // Modificador
+    // Nombre: onlyOwner
+    // Uso:    Impide que nadie salvo el propietario llame a la funcion
+    modifier onlyOwner() {
+        if (msg.sender != originalOwner) revert NotOwner();
+        _;
+    }
+
+    // Funcion
+    // Nombre: transferOwnership
+    // Uso:    Propone a _newOwner como nuevo propietario. La propiedad no
+    //         cambia hasta que _newOwner la acepta con acceptOwnership, y
+    //         address(0) cancela la propuesta
+    function transferOwnership(address _newOwner) public onlyOwner {
+        pendingOwner = _newOwner;
+
+        // Se emite un evento
+        emit OwnershipTransferStarted(originalOwner, _newOwner);
+    }
+
+    // Funcion
+    // Nombre: acceptOwnership
+    // Uso:    Acepta la propiedad propuesta con transferOwnership. Lo
+    //         recaudado sigue yendo al beneficiario
+    function acceptOwnership() public {
+        if (msg.sender != pendingOwner) revert NotPendingOwner();
+
+        address previousOwner = originalOwner;
+        originalOwner = payable(msg.sender);
+        pendingOwner = address(0);
+
+        // Se emite un evento
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    // Funcion
+    // Nombre: setOperator
+    // Uso:    Da (_enabled = true) o quita a _operator el permiso de
+    //         finalizar la subasta en nombre del propietario
+    function setOperator(address _operator, bool _enabled) public onlyOwner {
+        operators[_operator] = _enabled;
+
+        // Se emite un evento
+        emit OperatorSet(_operator, _enabled);
+    }
+
+    // Funcion
+    // Nombre: setAllowlistRoot
+    // Uso:    Hace privada la subasta: solo pueden pujar las cuentas de la
+    //         lista cuya raiz de Merkle es _root. bytes32(0) la abre a todos
+    function setAllowlistRoot(bytes32 _root) public onlyOwner {
+        if (!activeContract) revert AuctionNotActive();
+        setAllowlist(_root);
+    }
+
+    // Funcion
+    // Nombre: pause
+    // Uso:    Congela la subasta sin cancelarla: no se aceptan pujas ni se
+    //         puede finalizar hasta que se reanude con unpause. Solo se puede
+    //         pausar antes del final, asi no se puede retener al ganador
+    function pause() public onlyOwner {
+        if (!activeContract || block.timestamp > endTime) {
+            revert AuctionNotActive();
+        }
+        if (paused) revert AuctionPaused();
+        paused = true;
+        pausedAt = block.timestamp;
+
+        // Se emite un evento
+        emit Paused();
+    }
+
+    // Funcion
+    // Nombre: unpause
+    // Uso:    Reanuda la subasta. El final se retrasa lo que ha durado la
+    //         pausa, para que los postores no pierdan ese tiempo
+    function unpause() public onlyOwner {
+        if (!paused) revert AuctionNotPaused();
+        paused = false;
+        endTime += block.timestamp - pausedAt;
+
+        // Se emiten los eventos
+        emit AuctionExtended(endTime);
+        emit Unpaused();
+    }
+
     // ------------ Funciones de panico/emergencia ------------
 
     // Funcion
     // Nombre: stopAuction
-    // Uso:    Para la subasta y devuelve el dinero al maximo postor
-    function stopAuction() public {
-        require(msg.sender == originalOwner, "You must be the original OWNER");
+    // Uso:    Para la subasta, el maximo postor puede retirar su dinero y el
+    //         articulo vuelve al vendedor. Como pause, solo se puede parar antes
+    //         del final (o mientras esta pausada, que retrasa el final), asi no
+    //         se le puede quitar la subasta al ganador
+    function stopAuction() public onlyOwner {
+        if (!activeContract || (!paused && block.timestamp > endTime)) {
+            revert AuctionNotActive();
+        }
         // Finaliza la subasta
         activeContract = false;
-        // Devuelve el dinero al maximo postor
-        if (highestBidder != address(0x0)) {
-            highestBidder.transfer(highestPrice);
-        }
+        // El maximo postor puede retirar su dinero
+        releaseHighestBid();
+        transferItem(seller);
 
         // Se emite un evento
-        emit Status("La subasta se ha parado");
+        emit AuctionStopped();
     }
 
     // ------------ Funciones que consultan datos (get) ------------
 
+    // Funcion
+    // Nombre: auctionType
+    // Logica: Consulta el tipo de subasta, para que el frontend sepa como mostrarla
+    function auctionType() public pure returns (string memory) {
+        return ("english");
+    }
+
     // Funcion
     // Nombre: getAuctionInfo
-    // Logica: Consulta la description, la fecha de creacion y el tiempo de la subasta
-    function getAuctionInfo() public view returns (string memory, uint, uint) {
-        return (description, createdTime, secondsToEnd);
+    // Logica: Consulta la description, la fecha de creacion, el tiempo de la subasta,
+    //         la fecha de finalizacion y si se ha extendido por pujas de ultima hora
+    function getAuctionInfo()
+        public
+        view
+        returns (string memory, uint, uint, uint, bool)
+    {
+        return (
+            description,
+            createdTime,
+            secondsToEnd,
+            endTime,
+            endTime > createdTime + secondsToEnd
+        );
+    }
+
+    // Funcion
+    // Nombre: getSnapshot
+    // Logica: Consulta todo el estado de la subasta en una sola llamada, junto
+    //         con lo que _account tiene pendiente de retirar y, si la subasta
+    //         se paga con tokens, su saldo y lo que ha aprobado a la subasta.
+    //         Incluye la hora del bloque para que el frontend muestre cuanto
+    //         queda con ella
+    function getSnapshot(
+        address _account
+    ) public view returns (Snapshot memory snapshot) {
+        snapshot.description = description;
+        snapshot.createdTime = createdTime;
+        snapshot.secondsToEnd = secondsToEnd;
+        snapshot.endTime = endTime;
+        snapshot.timestamp = block.timestamp;
+        snapshot.basePrice = basePrice;
+        snapshot.minimumNextBid = getMinimumNextBid();
+        snapshot.highestBidder = highestBidder;
+        snapshot.highestPrice = highestPrice;
+        snapshot.originalOwner = originalOwner;
+        snapshot.beneficiary = beneficiary;
+        snapshot.pendingOwner = pendingOwner;
+        snapshot.newOwner = newOwner;
+        snapshot.active = activeContract;
+        snapshot.paused = paused;
+        snapshot.isOperator = operators[_account];
+        snapshot.itemDeposited = itemDeposited;
+        snapshot.pendingReturn = pendingReturns[_account];
+        snapshot.paymentToken = paymentToken;
+        snapshot.buyNowPrice = buyNowPrice;
+        snapshot.buyNowAvailable = isBuyNowAvailable();
+        snapshot.maxBid = maxBids[_account];
+        snapshot.allowlistRoot = allowlistRoot;
+        snapshot.allowlisted = isAllowlisted(_account);
+        snapshot.nonce = nonces[_account];
+        if (paymentToken != address(0)) {
+            snapshot.tokenBalance = IERC20(paymentToken).balanceOf(_account);
+            snapshot.allowance = IERC20(paymentToken).allowance(
+                _account,
+                address(this)
+            );
+        }
+    }
+
+    // Funcion
+    // Nombre: getMinimumNextBid
+    // Logica: Consulta la puja minima que se acepta ahora mismo: el precio base
+    //         si nadie ha pujado (la primera puja puede igualarlo), o la
+    //         maxima puja mas el incremento minimo
+    function getMinimumNextBid() public view returns (uint) {
+        if (highestBidder == address(0x0)) {
+            return (basePrice > 0 ? basePrice : 1);
+        }
+
+        return (minimumAbove(highestPrice));
+    }
+
+    // Funcion
+    // Nombre: minimumAbove
+    // Logica: Consulta la puja minima que supera a una puja de _price: _price
+    //         mas el incremento minimo
+    function minimumAbove(uint _price) private view returns (uint) {
+        uint increment = (_price * minIncrementBps) / 10000;
+        if (increment < minIncrement) {
+            increment = minIncrement;
+        }
+        // Siempre hay que superar la maxima puja en al menos 1 wei
+        if (increment == 0) {
+            increment = 1;
+        }
+
+        return (_price + increment);
+    }
+
+    // Funcion
+    // Nombre: isBuyNowAvailable
+    // Logica: Consulta si ahora mismo se puede comprar el articulo al precio
+    //         de compra inmediata: la subasta la tiene, sigue activa (ni
+    //         pausada ni terminada) y la maxima puja no ha llegado al umbral
+    function isBuyNowAvailable() public view returns (bool) {
+        return (buyNowPrice > 0 &&
+            activeContract &&
+            !paused &&
+            block.timestamp <= endTime &&
+            highestPrice < buyNowThreshold);
+    }
+
+    // Funcion
+    // Nombre: getMinimumIncrement
+    // Logica: Consulta el incremento minimo absoluto (wei) y en puntos basicos
+    function getMinimumIncrement() public view returns (uint, uint) {
+        return (minIncrement, minIncrementBps);
     }
 
     // Funcion
@@ -172,7 +923,7 @@ contract Auction {
     // Funcion
     // Nombre: getActiveContract
     // Logica: Consulta si la subasta esta activa o no
-    function isActive() public view returns (bool) {
+    function isActive() public view override returns (bool) {
         return (activeContract);
     }
 
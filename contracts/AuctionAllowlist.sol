@@ -0,0 +1,96 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./AuctionErrors.sol";
+
+// Informacion del Smart Contract
+// Nombre: Lista de postores de la subasta
+// Logica: Limita quien puede pujar a las cuentas de una lista (por ejemplo,
+//         las verificadas o invitadas). La subasta solo guarda la raiz del
+//         arbol de Merkle de la lista, y cada postor demuestra que esta en
+//         ella con su prueba (ver proveAllowlisted). Las hojas son
+//         keccak256(cuenta) y cada par de nodos se ordena antes de hacer su
+//         hash. Sin raiz (bytes32(0)) cualquiera puede pujar
+
+// Declaracion del Smart Contract - AuctionAllowlist
+abstract contract AuctionAllowlist {
+    // ----------- Variables (datos) -----------
+    // Raiz del arbol de Merkle de la lista, o bytes32(0) si no hay lista
+    bytes32 public allowlistRoot;
+
+    // Raiz de la lista en la que cada cuenta ha demostrado estar. Si la raiz
+    // cambia, hay que volver a demostrarlo con la nueva lista
+    mapping(address => bytes32) private provenRoot;
+
+    // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
+    event AllowlistRootSet(bytes32 _root);
+    event Allowlisted(address indexed _account);
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: proveAllowlisted
+    // Uso:    Demuestra con _proof que quien llama esta en la lista, y lo
+    //         guarda para que pueda pujar sin volver a enviar la prueba
+    function proveAllowlisted(bytes32[] calldata _proof) public {
+        if (!verifyProof(_proof, keccak256(abi.encodePacked(msg.sender)))) {
+            revert NotAllowlisted();
+        }
+        provenRoot[msg.sender] = allowlistRoot;
+
+        // Se emite un evento
+        emit Allowlisted(msg.sender);
+    }
+
+    // Funcion
+    // Nombre: setAllowlist
+    // Uso:    Cambia la raiz de la lista. Las pujas que ya se han hecho
+    //         siguen siendo validas
+    function setAllowlist(bytes32 _root) internal {
+        allowlistRoot = _root;
+
+        // Se emite un evento
+        emit AllowlistRootSet(_root);
+    }
+
+    // Funcion
+    // Nombre: requireAllowlisted
+    // Uso:    Impide pujar a _bidder si no ha demostrado que esta en la lista
+    function requireAllowlisted(address _bidder) internal view {
+        if (!isAllowlisted(_bidder)) revert NotAllowlisted();
+    }
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: isAllowlisted
+    // Logica: Consulta si _account puede pujar: no hay lista, o ya ha
+    //         demostrado que esta en ella
+    function isAllowlisted(address _account) public view returns (bool) {
+        return (allowlistRoot == bytes32(0) ||
+            provenRoot[_account] == allowlistRoot);
+    }
+
+    // Funcion
+    // Nombre: verifyProof
+    // Logica: Consulta si _leaf esta en el arbol de la lista: se sube desde la
+    //         hoja haciendo el hash de cada par (ordenado) hasta la raiz
+    function verifyProof(
+        bytes32[] calldata _proof,
+        bytes32 _leaf
+    ) private view returns (bool) {
+        if (allowlistRoot == bytes32(0)) {
+            return (true);
+        }
+
+        bytes32 hash = _leaf;
+        for (uint i = 0; i < _proof.length; i++) {
+            hash = hash < _proof[i]
+                ? keccak256(abi.encodePacked(hash, _proof[i]))
+                : keccak256(abi.encodePacked(_proof[i], hash));
+        }
+        return (hash == allowlistRoot);
+    }
+}
@@ -0,0 +1,109 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./Auction.sol";
+import "./SealedBidAuction.sol";
+import "./DutchAuction.sol";
+
+// Informacion de los Smart Contracts
+// Nombre: Desplegadores de subastas
+// Logica: Cada desplegador crea un tipo de subasta con los parametros que
+//         recibe. AuctionFactory los crea en su constructor y los usa para
+//         crear las subastas: asi el codigo de cada subasta esta en su
+//         desplegador y no en la factoria, que si lo tuviera todo superaria
+//         el limite de 24KB de codigo de un contrato
+
+// Declaracion del Smart Contract - EnglishAuctionDeployer
+contract EnglishAuctionDeployer {
+    // Funcion
+    // Nombre: deploy
+    // Uso:    Crea una subasta con los argumentos de su constructor (ver el
+    //         constructor de Auction) codificados con abi.encode. Son
+    //         demasiados para recibirlos uno a uno sin llenar la pila
+    //         (stack too deep)
+    function deploy(
+        bytes memory _constructorArgs
+    ) external returns (address auction) {
+        bytes memory code = abi.encodePacked(
+            type(Auction).creationCode,
+            _constructorArgs
+        );
+        assembly {
+            auction := create(0, add(code, 0x20), mload(code))
+        }
+        // Si el constructor revierte, create devuelve address(0)
+        if (auction == address(0)) {
+            assembly {
+                returndatacopy(0, 0, returndatasize())
+                revert(0, returndatasize())
+            }
+        }
+    }
+}
+
+// Declaracion del Smart Contract - SealedBidAuctionDeployer
+contract SealedBidAuctionDeployer {
+    // Funcion
+    // Nombre: deploy
+    // Uso:    Crea una subasta a sobre cerrado (ver el constructor de
+    //         SealedBidAuction)
+    function deploy(
+        address payable _owner,
+        string memory _description,
+        uint _basePrice,
+        uint256 _commitSeconds,
+        uint256 _revealSeconds,
+        address payable _beneficiary,
+        Item memory _item,
+        Payouts memory _payouts
+    ) external returns (address) {
+        return
+            address(
+                new SealedBidAuction(
+                    _owner,
+                    _description,
+                    _basePrice,
+                    _commitSeconds,
+                    _revealSeconds,
+                    _beneficiary,
+                    _item,
+                    _payouts
+                )
+            );
+    }
+}
+
+// Declaracion del Smart Contract - DutchAuctionDeployer
+contract DutchAuctionDeployer {
+    // Funcion
+    // Nombre: deploy
+    // Uso:    Crea una subasta holandesa (ver el constructor de DutchAuction)
+    function deploy(
+        address payable _owner,
+        string memory _description,
+        uint _startPrice,
+        uint _floorPrice,
+        uint256 _secondsToEnd,
+        uint256 _priceDropInterval,
+        address payable _beneficiary,
+        Item memory _item,
+        Payouts memory _payouts
+    ) external returns (address) {
+        return
+            address(
+                new DutchAuction(
+                    _owner,
+                    _description,
+                    _startPrice,
+                    _floorPrice,
+                    _secondsToEnd,
+                    _priceDropInterval,
+                    _beneficiary,
+                    _item,
+                    _payouts
+                )
+            );
+    }
+}
@@ -0,0 +1,94 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+// Informacion de los errores
+// Nombre: Errores de las subastas
+// Logica: Los errores con los que revierten las subastas. Sus parametros
+//         permiten al frontend explicar por que ha fallado la transaccion
+
+// ----------- Configuracion de la subasta -----------
+// La descripcion esta vacia
+error EmptyDescription();
+// Alguna duracion es cero
+error InvalidDuration();
+// El precio inicial es menor que el minimo, o el intervalo de bajada del
+// precio no esta entre 1 y la duracion
+error InvalidPriceSchedule();
+// La comision y los repartos superan el 100% del precio, o alguno no tiene
+// destinatario (ver AuctionPayouts)
+error InvalidPayouts();
+// El umbral de la compra inmediata es mayor que su precio
+error InvalidBuyNow();
+
+// ----------- Estado de la subasta -----------
+// La subasta no esta activa: ha finalizado, se ha parado o se ha vendido
+error AuctionNotActive();
+// La subasta sigue activa hasta endTime
+error AuctionNotEnded(uint256 endTime);
+// Solo el propietario original puede hacerlo
+error NotOwner();
+// Solo el propietario o uno de sus operadores puede hacerlo
+error NotOperator();
+// Solo la cuenta a la que se esta transfiriendo la propiedad puede aceptarla
+error NotPendingOwner();
+// La subasta esta en pausa: no se aceptan pujas ni se puede finalizar
+error AuctionPaused();
+// La subasta no esta en pausa
+error AuctionNotPaused();
+
+// ----------- Pujas -----------
+// La puja no llega al minimo que se acepta ahora mismo
+error BidTooLow(uint256 minimum);
+// La subasta se paga con el token ERC-20 paymentToken, no con ETH
+error PaidInToken(address paymentToken);
+// La subasta se paga con ETH, no con tokens
+error PaidInEther();
+// La subasta no tiene compra inmediata, o ya no esta disponible
+error BuyNowUnavailable();
+// La subasta es privada y el postor no ha demostrado que esta en su lista,
+// o la prueba no es valida (ver AuctionAllowlist)
+error NotAllowlisted();
+
+// ----------- Pujas firmadas (ver AuctionSignedBids) -----------
+// La firma de la puja caduco en deadline
+error SignatureExpired(uint256 deadline);
+// El nonce de la puja no es el siguiente del postor, expected
+error InvalidNonce(uint256 expected);
+// La firma no es del postor
+error InvalidSignature();
+// El deposito del postor no cubre la puja
+error InsufficientDeposit(uint256 available);
+
+// ----------- Pujas a sobre cerrado -----------
+// La fase de compromiso termino en commitEndTime
+error CommitPhaseOver(uint256 commitEndTime);
+// La fase de revelacion va de commitEndTime a revealEndTime
+error NotRevealPhase(uint256 commitEndTime, uint256 revealEndTime);
+// El compromiso necesita un deposito
+error DepositRequired();
+// El compromiso no puede ser un hash vacio
+error InvalidCommitment();
+// Solo se permite un compromiso por postor
+error AlreadyCommitted();
+// El postor no ha enviado ningun compromiso
+error NoCommitment();
+// La puja ya ha sido revelada
+error AlreadyRevealed();
+// La puja y el salt no coinciden con el compromiso
+error CommitmentMismatch();
+
+// ----------- Dinero -----------
+// No hay dinero pendiente de retirar
+error NothingToWithdraw();
+// La transferencia de ETH o de tokens ha fallado
+error TransferFailed();
+
+// ----------- Articulo (ver AuctionItem) -----------
+// El token recibido no es el articulo de la subasta
+error NotAuctionItem();
+// El articulo ya esta depositado
+error ItemAlreadyDeposited();
+// El articulo todavia no esta depositado
+error ItemNotDeposited();
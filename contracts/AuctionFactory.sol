@@ -0,0 +1,275 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./AuctionDeployers.sol";
+
+// Informacion del Smart Contract
+// Nombre: Fabrica de subastas
+// Logica: Crea subastas (Auction, SealedBidAuction y DutchAuction) y mantiene
+//         un registro de todas ellas, para poder tener varias subastas en paralelo
+//         Si se indica un token ERC-721 (Item), la factoria lo deposita
+//         en la subasta al crearla (ver depositItem). Cada tipo de subasta
+//         se crea con su desplegador (ver AuctionDeployers)
+//         Todas las subastas pagan a la plataforma la comision que fija el
+//         propietario de la factoria, y su creador puede repartir lo
+//         recaudado con otras cuentas (ver AuctionPayouts)
+
+// Declaracion del Smart Contract - AuctionFactory
+contract AuctionFactory {
+    // ----------- Variables (datos) -----------
+    // Direcciones de todas las subastas creadas, en orden de creacion
+    address[] private auctions;
+
+    // Creador de cada subasta
+    mapping(address => address) public creatorOf;
+
+    // Propietario de la factoria: fija la comision de la plataforma (en
+    // puntos basicos) que se aplica a las subastas que se crean despues
+    address public owner;
+    address public feeRecipient;
+    uint256 public feeBps;
+
+    // Desplegador de cada tipo de subasta
+    EnglishAuctionDeployer private immutable englishDeployer;
+    SealedBidAuctionDeployer private immutable sealedBidDeployer;
+    DutchAuctionDeployer private immutable dutchDeployer;
+
+    // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
+    event AuctionCreated(
+        address indexed auction,
+        address indexed creator,
+        string description
+    );
+    event PlatformFeeChanged(address indexed _feeRecipient, uint _feeBps);
+
+    // ----------- Constructor -----------
+    // Uso: Inicializa el Smart Contract - AuctionFactory creando los
+    //      desplegadores de cada tipo de subasta. Quien la despliega es su
+    //      propietario, y no hay comision hasta que la fije
+    constructor() {
+        owner = msg.sender;
+        englishDeployer = new EnglishAuctionDeployer();
+        sealedBidDeployer = new SealedBidAuctionDeployer();
+        dutchDeployer = new DutchAuctionDeployer();
+    }
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: createAuction
+    // Uso:    Crea una nueva subasta con los parametros indicados y la registra.
+    //         El creador es su propietario. Si el beneficiario es address(0),
+    //         el beneficiario es el creador, y si el token de pago es
+    //         address(0), se puja en ETH. _buyNow es la compra inmediata
+    //         (precio 0 si no la tiene) y _splits reparte lo recaudado con
+    //         otras cuentas
+    function createAuction(
+        string memory _description,
+        uint _basePrice,
+        uint256 _secondsToEnd,
+        uint256 _extensionWindow,
+        uint _minIncrement,
+        uint _minIncrementBps,
+        address payable _beneficiary,
+        address _paymentToken,
+        BuyNow memory _buyNow,
+        Item memory _item,
+        Split[] memory _splits
+    ) public returns (address auction) {
+        auction = englishDeployer.deploy(
+            abi.encode(
+                _description,
+                _basePrice,
+                _secondsToEnd,
+                _extensionWindow,
+                _minIncrement,
+                _minIncrementBps,
+                Roles(payable(msg.sender), _beneficiary),
+                _paymentToken,
+                _buyNow,
+                _item,
+                buildPayouts(_splits)
+            )
+        );
+
+        registerAuction(auction, _description);
+        depositItem(auction, _item);
+    }
+
+    // Funcion
+    // Nombre: createSealedBidAuction
+    // Uso:    Crea una nueva subasta a sobre cerrado y la registra.
+    //         El creador es su propietario. Si el beneficiario es address(0),
+    //         el beneficiario es el creador, y _splits reparte lo recaudado
+    //         con otras cuentas
+    function createSealedBidAuction(
+        string memory _description,
+        uint _basePrice,
+        uint256 _commitSeconds,
+        uint256 _revealSeconds,
+        address payable _beneficiary,
+        Item memory _item,
+        Split[] memory _splits
+    ) public returns (address) {
+        address auction = sealedBidDeployer.deploy(
+            payable(msg.sender),
+            _description,
+            _basePrice,
+            _commitSeconds,
+            _revealSeconds,
+            _beneficiary,
+            _item,
+            buildPayouts(_splits)
+        );
+
+        registerAuction(auction, _description);
+        depositItem(auction, _item);
+        return auction;
+    }
+
+    // Funcion
+    // Nombre: createDutchAuction
+    // Uso:    Crea una nueva subasta holandesa y la registra.
+    //         El creador es su propietario. Si el beneficiario es address(0),
+    //         el beneficiario es el creador, y _splits reparte lo recaudado
+    //         con otras cuentas
+    function createDutchAuction(
+        string memory _description,
+        uint _startPrice,
+        uint _floorPrice,
+        uint256 _secondsToEnd,
+        uint256 _priceDropInterval,
+        address payable _beneficiary,
+        Item memory _item,
+        Split[] memory _splits
+    ) public returns (address) {
+        address auction = dutchDeployer.deploy(
+            payable(msg.sender),
+            _description,
+            _startPrice,
+            _floorPrice,
+            _secondsToEnd,
+            _priceDropInterval,
+            _beneficiary,
+            _item,
+            buildPayouts(_splits)
+        );
+
+        registerAuction(auction, _description);
+        depositItem(auction, _item);
+        return auction;
+    }
+
+    // Funcion
+    // Nombre: setPlatformFee
+    // Uso:    Fija la comision de la plataforma: _feeBps puntos basicos del
+    //         precio para _feeRecipient. Solo se aplica a las subastas que se
+    //         crean despues
+    function setPlatformFee(address _feeRecipient, uint256 _feeBps) public {
+        if (msg.sender != owner) revert NotOwner();
+        if (_feeBps > 10000 || (_feeBps > 0 && _feeRecipient == address(0))) {
+            revert InvalidPayouts();
+        }
+        feeRecipient = _feeRecipient;
+        feeBps = _feeBps;
+
+        // Se emite un evento
+        emit PlatformFeeChanged(_feeRecipient, _feeBps);
+    }
+
+    // Funcion
+    // Nombre: buildPayouts
+    // Uso:    Reparto de lo recaudado de una nueva subasta: la comision actual
+    //         de la plataforma y los repartos de su creador
+    function buildPayouts(
+        Split[] memory _splits
+    ) private view returns (Payouts memory) {
+        return (Payouts(feeRecipient, feeBps, _splits));
+    }
+
+    // Funcion
+    // Nombre: depositItem
+    // Uso:    Deposita en la subasta el token ERC-721 que se subasta, si lo hay.
+    //         El creador tiene que haber aprobado antes a la factoria para
+    //         transferirlo
+    function depositItem(address _auction, Item memory _item) private {
+        if (_item.itemContract != address(0)) {
+            IERC721(_item.itemContract).safeTransferFrom(
+                msg.sender,
+                _auction,
+                _item.tokenId
+            );
+        }
+    }
+
+    // Funcion
+    // Nombre: registerAuction
+    // Uso:    Registra una subasta recien creada y su creador
+    function registerAuction(
+        address _auction,
+        string memory _description
+    ) private {
+        auctions.push(_auction);
+        creatorOf[_auction] = msg.sender;
+
+        // Se emite un evento
+        emit AuctionCreated(_auction, msg.sender, _description);
+    }
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: getAuctions
+    // Logica: Consulta las direcciones de todas las subastas creadas
+    function getAuctions() public view returns (address[] memory) {
+        return (auctions);
+    }
+
+    // Funcion
+    // Nombre: getAuctionCount
+    // Logica: Consulta el numero de subastas creadas
+    function getAuctionCount() public view returns (uint) {
+        return (auctions.length);
+    }
+
+    // Funcion
+    // Nombre: getAuctionsByStatus
+    // Logica: Consulta, entre las _limit subastas que empiezan en la posicion
+    //         _offset (ver getAuctionCount), las que estan activas
+    //         (_active = true) o las que no lo estan (_active = false). Se
+    //         consulta por paginas para que el coste no crezca con el numero
+    //         de subastas
+    function getAuctionsByStatus(
+        bool _active,
+        uint _offset,
+        uint _limit
+    ) public view returns (address[] memory) {
+        if (_offset >= auctions.length) {
+            return (new address[](0));
+        }
+        uint end = auctions.length;
+        if (_limit < end - _offset) {
+            end = _offset + _limit;
+        }
+
+        // Cada subasta se consulta una sola vez, y las que tienen ese estado
+        // se guardan en un array del tamano de la pagina
+        address[] memory matches = new address[](end - _offset);
+        uint count = 0;
+        for (uint i = _offset; i < end; i++) {
+            if (Auction(payable(auctions[i])).isActive() == _active) {
+                matches[count] = auctions[i];
+                count++;
+            }
+        }
+
+        address[] memory result = new address[](count);
+        for (uint i = 0; i < count; i++) {
+            result[i] = matches[i];
+        }
+
+        return (result);
+    }
+}
@@ -0,0 +1,108 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./IERC721.sol";
+import "./AuctionErrors.sol";
+
+// Informacion del Smart Contract
+// Nombre: Articulo de la subasta
+// Logica: Custodia el token ERC-721 que se subasta. El vendedor lo deposita con
+//         safeTransferFrom (AuctionFactory lo hace al crear la subasta) y la
+//         subasta lo entrega al ganador, o lo devuelve al vendedor si no hay
+//         ganador. Una subasta sin articulo (itemContract es address(0)) solo
+//         tiene su descripcion
+
+// Token ERC-721 que se subasta: contrato y id
+struct Item {
+    address itemContract;
+    uint256 tokenId;
+}
+
+// Declaracion del Smart Contract - AuctionItem
+abstract contract AuctionItem is IERC721Receiver {
+    // ----------- Variables (datos) -----------
+    // Token subastado y quien lo ha depositado
+    address public itemContract;
+    uint256 public itemTokenId;
+    address public seller;
+    bool public itemDeposited;
+
+    // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
+    event ItemDeposited(address indexed _seller);
+    event ItemTransferred(address indexed _to);
+
+    // ----------- Constructor -----------
+    // Uso: Inicializa el articulo con el contrato del token y su id
+    constructor(Item memory _item) {
+        itemContract = _item.itemContract;
+        itemTokenId = _item.tokenId;
+    }
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: onERC721Received
+    // Uso:    Recibe el deposito del articulo. Solo acepta el token indicado al
+    //         crear la subasta, mientras la subasta esta activa
+    function onERC721Received(
+        address,
+        address _from,
+        uint256 _tokenId,
+        bytes calldata
+    ) external override returns (bytes4) {
+        if (msg.sender != itemContract || _tokenId != itemTokenId) {
+            revert NotAuctionItem();
+        }
+        if (!isActive()) revert AuctionNotActive();
+        if (itemDeposited) revert ItemAlreadyDeposited();
+
+        itemDeposited = true;
+        seller = _from;
+
+        // Se emite un evento
+        emit ItemDeposited(_from);
+        return (IERC721Receiver.onERC721Received.selector);
+    }
+
+    // Funcion
+    // Nombre: requireItemDeposited
+    // Uso:    Impide pujar por un articulo que todavia no esta en la subasta
+    function requireItemDeposited() internal view {
+        if (itemContract != address(0) && !itemDeposited) {
+            revert ItemNotDeposited();
+        }
+    }
+
+    // Funcion
+    // Nombre: transferItem
+    // Uso:    Entrega el articulo, si esta depositado, a _to. Se usa transferFrom
+    //         y no safeTransferFrom para que un ganador que no acepta tokens
+    //         ERC-721 no pueda bloquear la finalizacion de la subasta
+    function transferItem(address _to) internal {
+        if (!itemDeposited) {
+            return;
+        }
+
+        itemDeposited = false;
+        IERC721(itemContract).transferFrom(address(this), _to, itemTokenId);
+
+        // Se emite un evento
+        emit ItemTransferred(_to);
+    }
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: getItem
+    // Logica: Consulta el contrato y el id del articulo, y si esta depositado
+    function getItem() public view returns (address, uint256, bool) {
+        return (itemContract, itemTokenId, itemDeposited);
+    }
+
+    // Funcion
+    // Nombre: isActive
+    // Logica: Consulta si la subasta esta activa o no
+    function isActive() public view virtual returns (bool);
+}
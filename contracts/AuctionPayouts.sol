@@ -0,0 +1,119 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./AuctionErrors.sol";
+
+// Informacion del Smart Contract
+// Nombre: Reparto de lo recaudado
+// Logica: Reparte el precio de venta de la subasta al liquidarla: primero la
+//         comision de la plataforma (feeBps puntos basicos para feeRecipient),
+//         despues los repartos (splits) con co-vendedores o royalties, y el
+//         resto para el vendedor. La comision la fija AuctionFactory y los
+//         repartos quien crea la subasta, y no cambian despues. Cada parte se
+//         retira con withdraw(), como el resto del dinero de la subasta
+
+// Reparto de una parte del precio: destinatario y puntos basicos (100 = 1%)
+struct Split {
+    address recipient;
+    uint256 bps;
+}
+
+// Comision de la plataforma y repartos de una subasta
+struct Payouts {
+    address feeRecipient;
+    uint256 feeBps;
+    Split[] splits;
+}
+
+// Declaracion del Smart Contract - AuctionPayouts
+abstract contract AuctionPayouts {
+    // ----------- Variables (datos) -----------
+    // Comision de la plataforma
+    address public feeRecipient;
+    uint256 public feeBps;
+
+    // Repartos del precio
+    Split[] private splits;
+
+    // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
+    event ProceedsDistributed(
+        address indexed _seller,
+        uint _price,
+        uint _fee,
+        uint _splits,
+        uint _sellerProceeds
+    );
+    event SplitPaid(address indexed _recipient, uint _amount);
+
+    // ----------- Constructor -----------
+    // Uso: Inicializa la comision y los repartos. Entre todos no pueden
+    //      superar el 100% del precio, y cada parte necesita un destinatario
+    constructor(Payouts memory _payouts) {
+        uint256 totalBps = _payouts.feeBps;
+        if (_payouts.feeBps > 0 && _payouts.feeRecipient == address(0)) {
+            revert InvalidPayouts();
+        }
+
+        for (uint i = 0; i < _payouts.splits.length; i++) {
+            if (_payouts.splits[i].recipient == address(0)) {
+                revert InvalidPayouts();
+            }
+            totalBps += _payouts.splits[i].bps;
+            splits.push(_payouts.splits[i]);
+        }
+        if (totalBps > 10000) revert InvalidPayouts();
+
+        feeRecipient = _payouts.feeRecipient;
+        feeBps = _payouts.feeBps;
+    }
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: distributeProceeds
+    // Uso:    Reparte _price entre la plataforma, los repartos y _seller, y
+    //         emite el desglose
+    function distributeProceeds(address _seller, uint _price) internal {
+        uint fee = (_price * feeBps) / 10000;
+        if (fee > 0) {
+            creditPayout(feeRecipient, fee);
+        }
+
+        uint splitsTotal = 0;
+        for (uint i = 0; i < splits.length; i++) {
+            uint amount = (_price * splits[i].bps) / 10000;
+            splitsTotal += amount;
+            creditPayout(splits[i].recipient, amount);
+
+            // Se emite un evento
+            emit SplitPaid(splits[i].recipient, amount);
+        }
+
+        creditPayout(_seller, _price - fee - splitsTotal);
+
+        // Se emite un evento
+        emit ProceedsDistributed(
+            _seller,
+            _price,
+            fee,
+            splitsTotal,
+            _price - fee - splitsTotal
+        );
+    }
+
+    // Funcion
+    // Nombre: creditPayout
+    // Uso:    Añade _amount a lo que _to tiene pendiente de retirar
+    function creditPayout(address _to, uint _amount) internal virtual;
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: getPayouts
+    // Logica: Consulta la comision de la plataforma y los repartos
+    function getPayouts() public view returns (Payouts memory) {
+        return (Payouts(feeRecipient, feeBps, splits));
+    }
+}
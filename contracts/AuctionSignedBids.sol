@@ -0,0 +1,117 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./AuctionErrors.sol";
+
+// Informacion del Smart Contract
+// Nombre: Pujas firmadas de la subasta
+// Logica: Permite pujar sin pagar gas: el postor firma una puja con EIP-712
+//         (cantidad, nonce y fecha limite) y un relayer la envia por el.
+//         La subasta comprueba la firma, que el nonce es el siguiente del
+//         postor (asi cada firma solo se usa una vez) y que no ha caducado
+
+// Declaracion del Smart Contract - AuctionSignedBids
+abstract contract AuctionSignedBids {
+    // ----------- Variables (datos) -----------
+    // Tipo de los mensajes firmados (EIP-712)
+    bytes32 public constant BID_TYPEHASH =
+        keccak256(
+            "Bid(address bidder,uint256 amount,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+
+    // Siguiente nonce de cada postor: sus pujas firmadas se usan en orden
+    mapping(address => uint256) public nonces;
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: useSignedBid
+    // Uso:    Comprueba que _bidder ha firmado la puja de _amount con _nonce
+    //         y _deadline, y gasta su nonce
+    function useSignedBid(
+        address _bidder,
+        uint _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        if (block.timestamp > _deadline) revert SignatureExpired(_deadline);
+        if (_nonce != nonces[_bidder]) revert InvalidNonce(nonces[_bidder]);
+
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                domainSeparator(),
+                keccak256(
+                    abi.encode(
+                        BID_TYPEHASH,
+                        _bidder,
+                        _amount,
+                        _nonce,
+                        _deadline
+                    )
+                )
+            )
+        );
+        // Las firmas mal formadas se recuperan como address(0), asi que esa
+        // cuenta nunca puede haber firmado una puja
+        address signer = recoverSigner(digest, _signature);
+        if (signer == address(0) || signer != _bidder) {
+            revert InvalidSignature();
+        }
+        nonces[_bidder]++;
+    }
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: domainSeparator
+    // Logica: Consulta el dominio EIP-712 de las firmas: nombre "Auction",
+    //         version "1", la red y esta subasta, para que una firma no
+    //         valga en otra subasta ni en otra red
+    function domainSeparator() public view returns (bytes32) {
+        return (
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("Auction"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            )
+        );
+    }
+
+    // Funcion
+    // Nombre: recoverSigner
+    // Logica: Consulta la cuenta que ha firmado _digest con _signature (r, s
+    //         y v), o address(0) si la firma no es valida. Solo se acepta la
+    //         s baja, para que cada firma tenga una unica forma
+    function recoverSigner(
+        bytes32 _digest,
+        bytes calldata _signature
+    ) private pure returns (address) {
+        if (_signature.length != 65) {
+            return (address(0));
+        }
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (
+            uint256(s) >
+            0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0
+        ) {
+            return (address(0));
+        }
+
+        return (ecrecover(_digest, v, r, s));
+    }
+}
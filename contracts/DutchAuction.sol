@@ -0,0 +1,313 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./AuctionItem.sol";
+import "./AuctionPayouts.sol";
+
+// Informacion del Smart Contract
+// Nombre: Subasta holandesa
+// Logica: Implementa una subasta de precio descendente. El precio empieza en
+//         startPrice y baja de forma lineal hasta floorPrice durante la
+//         subasta, a saltos de priceDropInterval segundos. El primero que
+//         compra (buy) gana la subasta al precio de ese momento.
+//         El articulo puede ser un token ERC-721 custodiado por la subasta
+//         (ver AuctionItem), y lo recaudado se reparte entre la plataforma,
+//         los repartos y el beneficiario (ver AuctionPayouts)
+
+// Declaracion del Smart Contract - DutchAuction
+contract DutchAuction is AuctionItem, AuctionPayouts {
+    // ----------- Variables (datos) -----------
+    // Información de la subasta
+    string private description;
+    uint256 private secondsToEnd;
+    uint256 private createdTime;
+
+    // Bloque en el que se creo la subasta: sus eventos (como el historial de
+    // pujas) se buscan a partir de el
+    uint256 public createdBlock;
+
+    // Curva de precios: de startPrice a floorPrice en secondsToEnd segundos,
+    // bajando cada priceDropInterval segundos
+    uint private startPrice;
+    uint private floorPrice;
+    uint256 private priceDropInterval;
+
+    // Antiguo/nuevo dueño de subasta, y beneficiario de lo recaudado
+    address payable public originalOwner;
+    address payable public beneficiary;
+    address public newOwner;
+
+    // Comprador y precio pagado
+    address public highestBidder;
+    uint public highestPrice;
+
+    // Estado de la subasta
+    bool private activeContract;
+
+    // Dinero pendiente de retirar por cada cuenta (ver Auction)
+    mapping(address => uint) public pendingReturns;
+
+    // Estado completo de la subasta visto por una cuenta (ver getSnapshot)
+    struct Snapshot {
+        string description;
+        uint256 createdTime;
+        uint256 secondsToEnd;
+        uint startPrice;
+        uint floorPrice;
+        uint256 priceDropInterval;
+        uint currentPrice;
+        uint256 timestamp;
+        address highestBidder;
+        uint highestPrice;
+        address originalOwner;
+        address beneficiary;
+        address newOwner;
+        bool active;
+        bool itemDeposited;
+        uint pendingReturn;
+    }
+
+    // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
+    event AuctionEnded(address indexed _winner, uint _amount);
+    event AuctionStopped();
+    event WithdrawalMade(address indexed _to, uint _amount);
+
+    // ----------- Constructor -----------
+    // Uso: Inicializa el Smart Contract - DutchAuction con: propietario (si es
+    //      address(0), el propietario es quien despliega), description, precio
+    //      inicial y minimo, tiempo, intervalo de bajada del precio,
+    //      beneficiario (si es address(0), el beneficiario es el propietario),
+    //      token ERC-721 subastado (address(0) si no hay) y el reparto de lo
+    //      recaudado
+    constructor(
+        address payable _owner,
+        string memory _description,
+        uint _startPrice,
+        uint _floorPrice,
+        uint256 _secondsToEnd,
+        uint256 _priceDropInterval,
+        address payable _beneficiary,
+        Item memory _item,
+        Payouts memory _payouts
+    ) AuctionItem(_item) AuctionPayouts(_payouts) {
+        if (bytes(_description).length == 0) revert EmptyDescription();
+        if (_secondsToEnd == 0) revert InvalidDuration();
+        if (
+            _startPrice < _floorPrice ||
+            _priceDropInterval == 0 ||
+            _priceDropInterval > _secondsToEnd
+        ) {
+            revert InvalidPriceSchedule();
+        }
+
+        // Inicializo el valor a las variables (datos)
+        description = _description;
+        startPrice = _startPrice;
+        floorPrice = _floorPrice;
+        secondsToEnd = _secondsToEnd;
+        priceDropInterval = _priceDropInterval;
+        activeContract = true;
+        createdTime = block.timestamp;
+        createdBlock = block.number;
+        originalOwner = _owner == address(0) ? payable(msg.sender) : _owner;
+        beneficiary = _beneficiary == address(0) ? originalOwner : _beneficiary;
+    }
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: buy
+    // Uso:    Compra el articulo al precio actual y finaliza la subasta.
+    //         El beneficiario puede retirar el precio (menos la comision y los
+    //         repartos) con withdraw(), lo que sobre del dinero enviado se
+    //         devuelve al comprador y el articulo pasa al comprador
+    function buy() public payable {
+        if (!activeContract || block.timestamp > createdTime + secondsToEnd) {
+            revert AuctionNotActive();
+        }
+        requireItemDeposited();
+
+        uint price = currentPrice();
+        if (msg.value < price) revert BidTooLow(price);
+
+        // Finaliza la subasta
+        activeContract = false;
+        highestBidder = msg.sender;
+        highestPrice = price;
+        newOwner = msg.sender;
+        distributeProceeds(beneficiary, price);
+        transferItem(msg.sender);
+
+        // Se devuelve lo que sobra al comprador
+        if (msg.value > price) {
+            (bool success, ) = payable(msg.sender).call{
+                value: msg.value - price
+            }("");
+            if (!success) revert TransferFailed();
+        }
+
+        // Se emite un evento
+        emit AuctionEnded(msg.sender, price);
+    }
+
+    // Funcion
+    // Nombre: checkIfAuctionEnded
+    // Uso:    Comprueba si la subasta ha terminado sin que nadie compre, y en
+    //         ese caso, la finaliza sin ganador y el articulo vuelve al vendedor
+    function checkIfAuctionEnded() public {
+        if (block.timestamp <= createdTime + secondsToEnd) {
+            revert AuctionNotEnded(createdTime + secondsToEnd);
+        }
+        if (!activeContract) revert AuctionNotActive();
+
+        // Finaliza la subasta
+        activeContract = false;
+        transferItem(seller);
+
+        // Se emite un evento
+        emit AuctionEnded(address(0x0), 0);
+    }
+
+    // Funcion
+    // Nombre: withdraw
+    // Uso:    Transfiere al que llama todo el dinero que tiene pendiente de
+    //         retirar (lo recaudado por el beneficiario)
+    function withdraw() public {
+        uint amount = pendingReturns[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // Se pone a cero antes de transferir para evitar la reentrada
+        pendingReturns[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        // Se emite un evento
+        emit WithdrawalMade(msg.sender, amount);
+    }
+
+    // Funcion
+    // Nombre: creditPayout
+    // Uso:    Añade _amount a lo que _to tiene pendiente de retirar (ver
+    //         AuctionPayouts)
+    function creditPayout(address _to, uint _amount) internal override {
+        pendingReturns[_to] += _amount;
+    }
+
+    // ------------ Funciones de panico/emergencia ------------
+
+    // Funcion
+    // Nombre: stopAuction
+    // Uso:    Para la subasta y el articulo vuelve al vendedor
+    function stopAuction() public {
+        if (msg.sender != originalOwner) revert NotOwner();
+        if (!activeContract) revert AuctionNotActive();
+        // Finaliza la subasta
+        activeContract = false;
+        transferItem(seller);
+
+        // Se emite un evento
+        emit AuctionStopped();
+    }
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: auctionType
+    // Logica: Consulta el tipo de subasta, para que el frontend sepa como mostrarla
+    function auctionType() public pure returns (string memory) {
+        return ("dutch");
+    }
+
+    // Funcion
+    // Nombre: currentPrice
+    // Logica: Consulta el precio al que se puede comprar ahora mismo
+    function currentPrice() public view returns (uint) {
+        uint256 elapsed = block.timestamp - createdTime;
+        if (elapsed >= secondsToEnd) {
+            return (floorPrice);
+        }
+
+        // El precio solo baja al completar cada intervalo
+        uint256 steppedElapsed = elapsed - (elapsed % priceDropInterval);
+        return (startPrice -
+            ((startPrice - floorPrice) * steppedElapsed) /
+            secondsToEnd);
+    }
+
+    // Funcion
+    // Nombre: getSnapshot
+    // Logica: Consulta todo el estado de la subasta en una sola llamada, junto
+    //         con lo que _account tiene pendiente de retirar. Incluye la hora
+    //         del bloque para que el frontend calcule el precio con ella
+    function getSnapshot(
+        address _account
+    ) public view returns (Snapshot memory snapshot) {
+        snapshot.description = description;
+        snapshot.createdTime = createdTime;
+        snapshot.secondsToEnd = secondsToEnd;
+        snapshot.startPrice = startPrice;
+        snapshot.floorPrice = floorPrice;
+        snapshot.priceDropInterval = priceDropInterval;
+        snapshot.currentPrice = currentPrice();
+        snapshot.timestamp = block.timestamp;
+        snapshot.highestBidder = highestBidder;
+        snapshot.highestPrice = highestPrice;
+        snapshot.originalOwner = originalOwner;
+        snapshot.beneficiary = beneficiary;
+        snapshot.newOwner = newOwner;
+        snapshot.active = activeContract;
+        snapshot.itemDeposited = itemDeposited;
+        snapshot.pendingReturn = pendingReturns[_account];
+    }
+
+    // Funcion
+    // Nombre: getAuctionInfo
+    // Logica: Consulta la description, la fecha de creacion y el tiempo de la subasta
+    function getAuctionInfo() public view returns (string memory, uint, uint) {
+        return (description, createdTime, secondsToEnd);
+    }
+
+    // Funcion
+    // Nombre: getPriceSchedule
+    // Logica: Consulta el precio inicial, el precio minimo y el intervalo de bajada
+    function getPriceSchedule() public view returns (uint, uint, uint) {
+        return (startPrice, floorPrice, priceDropInterval);
+    }
+
+    // Funcion
+    // Nombre: getHighestPrice
+    // Logica: Consulta el precio pagado por el comprador
+    function getHighestPrice() public view returns (uint) {
+        return (highestPrice);
+    }
+
+    // Funcion
+    // Nombre: getHighestBidder
+    // Logica: Consulta el comprador de la subasta
+    function getHighestBidder() public view returns (address) {
+        return (highestBidder);
+    }
+
+    // Funcion
+    // Nombre: getDescription
+    // Logica: Consulta la descripcion de la subasta
+    function getDescription() public view returns (string memory) {
+        return (description);
+    }
+
+    // Funcion
+    // Nombre: getBasePrice
+    // Logica: Consulta el precio minimo de la subasta
+    function getBasePrice() public view returns (uint256) {
+        return (floorPrice);
+    }
+
+    // Funcion
+    // Nombre: isActive
+    // Logica: Consulta si la subasta esta activa o no
+    function isActive() public view override returns (bool) {
+        return (activeContract);
+    }
+}
@@ -0,0 +1,27 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+// Informacion de la interfaz
+// Nombre: IERC20
+// Logica: Las funciones de un token ERC-20 que usan las subastas pagadas en
+//         tokens (ver Token)
+interface IERC20 {
+    function balanceOf(address _account) external view returns (uint256);
+
+    function allowance(
+        address _owner,
+        address _spender
+    ) external view returns (uint256);
+
+    function transfer(address _to, uint256 _amount) external returns (bool);
+
+    function approve(address _spender, uint256 _amount) external returns (bool);
+
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external returns (bool);
+}
@@ -0,0 +1,51 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+// Informacion de la interfaz
+// Nombre: IERC721
+// Logica: Las funciones de un token ERC-721 (NFT) que usan las subastas para
+//         custodiar el articulo subastado
+interface IERC721 {
+    function ownerOf(uint256 _tokenId) external view returns (address);
+
+    function approve(address _approved, uint256 _tokenId) external;
+
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external;
+
+    function safeTransferFrom(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) external;
+}
+
+// Informacion de la interfaz
+// Nombre: IERC721Metadata
+// Logica: Los metadatos de un token ERC-721. tokenURI apunta a un JSON con el
+//         nombre (name) y la imagen (image) del articulo
+interface IERC721Metadata is IERC721 {
+    function name() external view returns (string memory);
+
+    function symbol() external view returns (string memory);
+
+    function tokenURI(uint256 _tokenId) external view returns (string memory);
+}
+
+// Informacion de la interfaz
+// Nombre: IERC721Receiver
+// Logica: Un contrato tiene que implementarla para recibir tokens ERC-721 con
+//         safeTransferFrom
+interface IERC721Receiver {
+    function onERC721Received(
+        address _operator,
+        address _from,
+        uint256 _tokenId,
+        bytes calldata _data
+    ) external returns (bytes4);
+}
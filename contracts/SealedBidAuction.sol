@@ -0,0 +1,379 @@
+// Version de solidity del Smart Contract
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "./AuctionItem.sol";
+import "./AuctionPayouts.sol";
+
+// Informacion del Smart Contract
+// Nombre: Subasta a sobre cerrado
+// Logica: Implementa una subasta en la que las pujas no son publicas:
+//         1. Fase de compromiso: cada postor envia el hash de su puja y un
+//            deposito (que debe cubrir la puja y puede ser mayor para ocultarla)
+//         2. Fase de revelacion: cada postor revela su puja y el salt usado
+//         3. Finalizacion: gana la puja revelada mas alta, los demas postores
+//            recuperan sus depositos y los depositos no revelados se pierden
+//            en favor del beneficiario
+//         El articulo puede ser un token ERC-721 custodiado por la subasta
+//         (ver AuctionItem), y lo recaudado se reparte entre la plataforma,
+//         los repartos y el beneficiario (ver AuctionPayouts)
+
+// Declaracion del Smart Contract - SealedBidAuction
+contract SealedBidAuction is AuctionItem, AuctionPayouts {
+    // ----------- Tipos -----------
+    enum Phase {
+        Commit,
+        Reveal,
+        Ended
+    }
+
+    struct Commitment {
+        bytes32 hash;
+        uint deposit;
+        bool revealed;
+    }
+
+    // Estado completo de la subasta visto por una cuenta (ver getSnapshot)
+    struct Snapshot {
+        string description;
+        uint256 createdTime;
+        uint256 commitEndTime;
+        uint256 revealEndTime;
+        uint256 timestamp;
+        Phase phase;
+        uint basePrice;
+        address highestBidder;
+        uint highestPrice;
+        address originalOwner;
+        address beneficiary;
+        address newOwner;
+        bool active;
+        bool itemDeposited;
+        uint pendingReturn;
+        Commitment commitment;
+    }
+
+    // ----------- Variables (datos) -----------
+    // Información de la subasta
+    string private description;
+    uint private basePrice;
+    uint256 private createdTime;
+    uint256 private commitEndTime;
+    uint256 private revealEndTime;
+
+    // Bloque en el que se creo la subasta: sus eventos (como el historial de
+    // pujas) se buscan a partir de el
+    uint256 public createdBlock;
+
+    // Antiguo/nuevo dueño de subasta, y beneficiario de lo recaudado
+    address payable public originalOwner;
+    address payable public beneficiary;
+    address public newOwner;
+
+    // Puja revelada mas alta
+    address public highestBidder;
+    uint public highestPrice;
+
+    // Estado de la subasta
+    bool private activeContract;
+    bool private stopped;
+
+    // Compromiso de cada postor, y la suma de los depositos sin revelar
+    mapping(address => Commitment) public commitments;
+    uint private unrevealedDeposits;
+
+    // Dinero pendiente de retirar por cada cuenta (ver Auction)
+    mapping(address => uint) public pendingReturns;
+
+    // ----------- Eventos (pueden ser emitidos por el Smart Contract) -----------
+    event BidCommitted(address indexed _bidder, uint _deposit);
+    event BidRevealed(address indexed _bidder, uint _amount, bool _valid);
+    event AuctionEnded(address indexed _winner, uint _amount);
+    event AuctionStopped();
+    event WithdrawalMade(address indexed _to, uint _amount);
+
+    // ----------- Constructor -----------
+    // Uso: Inicializa el Smart Contract - SealedBidAuction con: propietario
+    //      (si es address(0), el propietario es quien despliega), description,
+    //      precio, duracion de las fases de compromiso y revelacion,
+    //      beneficiario (si es address(0), el beneficiario es el propietario),
+    //      token ERC-721 subastado (address(0) si no hay) y el reparto de lo
+    //      recaudado
+    constructor(
+        address payable _owner,
+        string memory _description,
+        uint _basePrice,
+        uint256 _commitSeconds,
+        uint256 _revealSeconds,
+        address payable _beneficiary,
+        Item memory _item,
+        Payouts memory _payouts
+    ) AuctionItem(_item) AuctionPayouts(_payouts) {
+        if (bytes(_description).length == 0) revert EmptyDescription();
+        if (_commitSeconds == 0 || _revealSeconds == 0) {
+            revert InvalidDuration();
+        }
+
+        // Inicializo el valor a las variables (datos)
+        description = _description;
+        basePrice = _basePrice;
+        activeContract = true;
+        createdTime = block.timestamp;
+        createdBlock = block.number;
+        commitEndTime = createdTime + _commitSeconds;
+        revealEndTime = commitEndTime + _revealSeconds;
+        originalOwner = _owner == address(0) ? payable(msg.sender) : _owner;
+        beneficiary = _beneficiary == address(0) ? originalOwner : _beneficiary;
+    }
+
+    // ------------ Funciones que modifican datos (set) ------------
+
+    // Funcion
+    // Nombre: commitBid
+    // Uso:    Registra el hash de una puja (ver getCommitmentHash) junto con un
+    //         deposito. Solo se permite un compromiso por postor, y el hash no
+    //         puede ser cero porque marca a los postores sin compromiso
+    function commitBid(bytes32 _hash) public payable {
+        if (!activeContract) revert AuctionNotActive();
+        if (getPhase() != Phase.Commit) revert CommitPhaseOver(commitEndTime);
+        requireItemDeposited();
+        if (msg.value == 0) revert DepositRequired();
+        if (_hash == bytes32(0)) revert InvalidCommitment();
+        if (commitments[msg.sender].hash != bytes32(0)) {
+            revert AlreadyCommitted();
+        }
+
+        commitments[msg.sender] = Commitment(_hash, msg.value, false);
+        unrevealedDeposits += msg.value;
+
+        // Se emite un evento
+        emit BidCommitted(msg.sender, msg.value);
+    }
+
+    // Funcion
+    // Nombre: revealBid
+    // Uso:    Revela la puja comprometida. La puja es valida si el deposito la
+    //         cubre, supera el precio base y la maxima puja revelada hasta ahora.
+    //         El resto del deposito (o todo si no es valida) se puede retirar
+    function revealBid(uint _amount, bytes32 _salt) public {
+        if (!activeContract) revert AuctionNotActive();
+        if (getPhase() != Phase.Reveal) {
+            revert NotRevealPhase(commitEndTime, revealEndTime);
+        }
+
+        Commitment storage commitment = commitments[msg.sender];
+        if (commitment.hash == bytes32(0)) revert NoCommitment();
+        if (commitment.revealed) revert AlreadyRevealed();
+        if (getCommitmentHash(msg.sender, _amount, _salt) != commitment.hash) {
+            revert CommitmentMismatch();
+        }
+
+        commitment.revealed = true;
+        unrevealedDeposits -= commitment.deposit;
+
+        bool valid = _amount <= commitment.deposit &&
+            _amount >= basePrice &&
+            _amount > highestPrice;
+
+        if (valid) {
+            // El ANTIGUO maximo postor puede retirar su puja
+            if (highestBidder != address(0x0)) {
+                pendingReturns[highestBidder] += highestPrice;
+            }
+            highestBidder = msg.sender;
+            highestPrice = _amount;
+            // El postor puede retirar lo que sobra del deposito
+            pendingReturns[msg.sender] += commitment.deposit - _amount;
+        } else {
+            pendingReturns[msg.sender] += commitment.deposit;
+        }
+
+        // Se emite un evento
+        emit BidRevealed(msg.sender, _amount, valid);
+    }
+
+    // Funcion
+    // Nombre: checkIfAuctionEnded
+    // Uso:    Comprueba si la fase de revelacion ha terminado, y en ese caso, el
+    //         beneficiario puede retirar la maxima puja (menos la comision y
+    //         los repartos) y los depositos que no se han revelado, que no se
+    //         reparten, y el articulo pasa al ganador (o vuelve al
+    //         vendedor si no hay ganador)
+    function checkIfAuctionEnded() public {
+        if (getPhase() != Phase.Ended) revert AuctionNotEnded(revealEndTime);
+        if (!activeContract) revert AuctionNotActive();
+
+        // Finaliza la subasta
+        activeContract = false;
+        newOwner = highestBidder;
+        distributeProceeds(beneficiary, highestPrice);
+        pendingReturns[beneficiary] += unrevealedDeposits;
+        unrevealedDeposits = 0;
+        transferItem(highestBidder != address(0x0) ? highestBidder : seller);
+
+        // Se emite un evento
+        emit AuctionEnded(highestBidder, highestPrice);
+    }
+
+    // Funcion
+    // Nombre: withdraw
+    // Uso:    Transfiere al que llama todo el dinero que tiene pendiente de
+    //         retirar. Si la subasta se ha parado, incluye su deposito sin revelar
+    function withdraw() public {
+        Commitment storage commitment = commitments[msg.sender];
+        if (stopped && !commitment.revealed && commitment.deposit > 0) {
+            commitment.revealed = true;
+            pendingReturns[msg.sender] += commitment.deposit;
+        }
+
+        uint amount = pendingReturns[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+
+        // Se pone a cero antes de transferir para evitar la reentrada
+        pendingReturns[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        // Se emite un evento
+        emit WithdrawalMade(msg.sender, amount);
+    }
+
+    // Funcion
+    // Nombre: creditPayout
+    // Uso:    Añade _amount a lo que _to tiene pendiente de retirar (ver
+    //         AuctionPayouts)
+    function creditPayout(address _to, uint _amount) internal override {
+        pendingReturns[_to] += _amount;
+    }
+
+    // ------------ Funciones de panico/emergencia ------------
+
+    // Funcion
+    // Nombre: stopAuction
+    // Uso:    Para la subasta. Todos los postores pueden retirar sus depositos
+    //         y el articulo vuelve al vendedor
+    function stopAuction() public {
+        if (msg.sender != originalOwner) revert NotOwner();
+        if (!activeContract) revert AuctionNotActive();
+        // Finaliza la subasta
+        activeContract = false;
+        stopped = true;
+        // El maximo postor puede retirar su puja, y los demas sus depositos
+        if (highestBidder != address(0x0)) {
+            pendingReturns[highestBidder] += highestPrice;
+        }
+        unrevealedDeposits = 0;
+        transferItem(seller);
+
+        // Se emite un evento
+        emit AuctionStopped();
+    }
+
+    // ------------ Funciones que consultan datos (get) ------------
+
+    // Funcion
+    // Nombre: auctionType
+    // Logica: Consulta el tipo de subasta, para que el frontend sepa como mostrarla
+    function auctionType() public pure returns (string memory) {
+        return ("sealed");
+    }
+
+    // Funcion
+    // Nombre: getCommitmentHash
+    // Logica: Calcula el hash que un postor debe enviar en commitBid
+    function getCommitmentHash(
+        address _bidder,
+        uint _amount,
+        bytes32 _salt
+    ) public pure returns (bytes32) {
+        return (keccak256(abi.encodePacked(_bidder, _amount, _salt)));
+    }
+
+    // Funcion
+    // Nombre: getPhase
+    // Logica: Consulta la fase de la subasta: compromiso, revelacion o finalizada
+    function getPhase() public view returns (Phase) {
+        if (block.timestamp <= commitEndTime) {
+            return (Phase.Commit);
+        }
+        if (block.timestamp <= revealEndTime) {
+            return (Phase.Reveal);
+        }
+        return (Phase.Ended);
+    }
+
+    // Funcion
+    // Nombre: getSnapshot
+    // Logica: Consulta todo el estado de la subasta en una sola llamada, junto
+    //         con el compromiso de _account y lo que tiene pendiente de retirar.
+    //         Incluye la hora del bloque para que el frontend muestre cuanto
+    //         queda de cada fase con ella
+    function getSnapshot(
+        address _account
+    ) public view returns (Snapshot memory snapshot) {
+        snapshot.description = description;
+        snapshot.createdTime = createdTime;
+        snapshot.commitEndTime = commitEndTime;
+        snapshot.revealEndTime = revealEndTime;
+        snapshot.timestamp = block.timestamp;
+        snapshot.phase = getPhase();
+        snapshot.basePrice = basePrice;
+        snapshot.highestBidder = highestBidder;
+        snapshot.highestPrice = highestPrice;
+        snapshot.originalOwner = originalOwner;
+        snapshot.beneficiary = beneficiary;
+        snapshot.newOwner = newOwner;
+        snapshot.active = activeContract;
+        snapshot.itemDeposited = itemDeposited;
+        snapshot.pendingReturn = pendingReturns[_account];
+        snapshot.commitment = commitments[_account];
+    }
+
+    // Funcion
+    // Nombre: getAuctionInfo
+    // Logica: Consulta la description, la fecha de creacion y el final de las
+    //         fases de compromiso y revelacion
+    function getAuctionInfo()
+        public
+        view
+        returns (string memory, uint, uint, uint)
+    {
+        return (description, createdTime, commitEndTime, revealEndTime);
+    }
+
+    // Funcion
+    // Nombre: getHighestPrice
+    // Logica: Consulta el precio de la maxima puja revelada
+    function getHighestPrice() public view returns (uint) {
+        return (highestPrice);
+    }
+
+    // Funcion
+    // Nombre: getHighestBidder
+    // Logica: Consulta el maximo pujador revelado de la subasta
+    function getHighestBidder() public view returns (address) {
+        return (highestBidder);
+    }
+
+    // Funcion
+    // Nombre: getDescription
+    // Logica: Consulta la descripcion de la subasta
+    function getDescription() public view returns (string memory) {
+        return (description);
+    }
+
+    // Funcion
+    // Nombre: getBasePrice
+    // Logica: Consulta el precio inicial de la subasta
+    function getBasePrice() public view returns (uint256) {
+        return (basePrice);
+    }
+
+    // Funcion
+    // Nombre: isActive
+    // Logica: Consulta si la subasta esta activa o no
+    function isActive() public view override returns (bool) {
+        return (activeContract);
+    }
+}
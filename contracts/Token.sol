@@ -14,8 +14,12 @@ contract Token {
     string public name = "My Hardhat Token";
     string public symbol = "MHT";
 
+    // Like Ether, amounts are stored in the token's smallest unit, with 18
+    // decimals.
+    uint8 public constant decimals = 18;
+
     // The fixed amount of tokens stored in an unsigned integer type variable.
-    uint256 public totalSupply = 1000000;
+    uint256 public totalSupply = 1000000 * 10**decimals;
 
     // An address type variable is used to store ethereum accounts.
     address public owner;
@@ -23,9 +27,14 @@ contract Token {
     // A mapping is a key/value map. Here we store each account balance.
     mapping(address => uint256) balances;
 
+    // How many tokens each account allows each spender to transfer on its
+    // behalf, with transferFrom.
+    mapping(address => mapping(address => uint256)) allowances;
+
     // The Transfer event helps off-chain aplications understand
     // what happens within your contract.
     event Transfer(address indexed _from, address indexed _to, uint256 _value);
+    event Approval(address indexed _owner, address indexed _spender, uint256 _value);
 
     /**
      * Contract initialization.
@@ -43,7 +52,7 @@ contract Token {
      * The `external` modifier makes a function *only* callable from outside
      * the contract.
      */
-    function transfer(address to, uint256 amount) external {
+    function transfer(address to, uint256 amount) external returns (bool) {
         // Check if the transaction sender has enough tokens.
         // If `require`'s first argument evaluates to `false` then the
         // transaction will revert.
@@ -64,6 +73,34 @@ contract Token {
 
         // Notify off-chain applications of the transfer.
         emit Transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * A function to allow `spender` to transfer up to `amount` of the
+     * sender's tokens. It replaces any previous allowance.
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowances[msg.sender][spender] = amount;
+
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    /**
+     * A function to transfer tokens on behalf of `from`, spending the
+     * allowance it gave to the sender.
+     */
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        require(allowances[from][msg.sender] >= amount, "Insufficient allowance");
+        require(balances[from] >= amount, "Not enough tokens");
+
+        allowances[from][msg.sender] -= amount;
+        balances[from] -= amount;
+        balances[to] += amount;
+
+        emit Transfer(from, to, amount);
+        return true;
     }
 
     /**
@@ -75,4 +112,12 @@ contract Token {
     function balanceOf(address account) external view returns (uint256) {
         return balances[account];
     }
+
+    /**
+     * Read only function to retrieve how many tokens `spender` can still
+     * transfer on behalf of `account`.
+     */
+    function allowance(address account, address spender) external view returns (uint256) {
+        return allowances[account][spender];
+    }
 }
@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "../IERC721.sol";
+
+// Contrato de pruebas: un token ERC-721 minimo en el que cualquiera puede
+// acuñar tokens con su tokenURI. Sirve para subastar articulos en local.
+contract MockNFT is IERC721Metadata {
+    string public name = "Mock NFT";
+    string public symbol = "MNFT";
+
+    uint256 private nextTokenId = 1;
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+    mapping(uint256 => address) private tokenApprovals;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+    mapping(uint256 => string) private tokenURIs;
+
+    event Transfer(
+        address indexed _from,
+        address indexed _to,
+        uint256 indexed _tokenId
+    );
+    event Approval(
+        address indexed _owner,
+        address indexed _approved,
+        uint256 indexed _tokenId
+    );
+    event ApprovalForAll(
+        address indexed _owner,
+        address indexed _operator,
+        bool _approved
+    );
+
+    // Acuña un token nuevo para _to y devuelve su id
+    function mint(
+        address _to,
+        string memory _tokenURI
+    ) public returns (uint256) {
+        uint256 tokenId = nextTokenId++;
+        owners[tokenId] = _to;
+        balances[_to] += 1;
+        tokenURIs[tokenId] = _tokenURI;
+
+        emit Transfer(address(0), _to, tokenId);
+        return tokenId;
+    }
+
+    function approve(address _approved, uint256 _tokenId) public {
+        address owner = ownerOf(_tokenId);
+        require(
+            msg.sender == owner || operatorApprovals[owner][msg.sender],
+            "No puedes aprobar este token"
+        );
+
+        tokenApprovals[_tokenId] = _approved;
+        emit Approval(owner, _approved, _tokenId);
+    }
+
+    function setApprovalForAll(address _operator, bool _approved) public {
+        operatorApprovals[msg.sender][_operator] = _approved;
+        emit ApprovalForAll(msg.sender, _operator, _approved);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _tokenId) public {
+        address owner = ownerOf(_tokenId);
+        require(owner == _from, "El token no es de _from");
+        require(_to != address(0), "No se puede transferir a address(0)");
+        require(
+            msg.sender == owner ||
+                tokenApprovals[_tokenId] == msg.sender ||
+                operatorApprovals[owner][msg.sender],
+            "No puedes transferir este token"
+        );
+
+        delete tokenApprovals[_tokenId];
+        balances[_from] -= 1;
+        balances[_to] += 1;
+        owners[_tokenId] = _to;
+
+        emit Transfer(_from, _to, _tokenId);
+    }
+
+    function safeTransferFrom(
+        address _from,
+        address _to,
+        uint256 _tokenId
+    ) public {
+        transferFrom(_from, _to, _tokenId);
+
+        // Un contrato solo puede recibir el token si implementa IERC721Receiver
+        if (_to.code.length > 0) {
+            require(
+                IERC721Receiver(_to).onERC721Received(
+                    msg.sender,
+                    _from,
+                    _tokenId,
+                    ""
+                ) == IERC721Receiver.onERC721Received.selector,
+                "El receptor no acepta tokens ERC-721"
+            );
+        }
+    }
+
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        address owner = owners[_tokenId];
+        require(owner != address(0), "El token no existe");
+        return owner;
+    }
+
+    function balanceOf(address _owner) public view returns (uint256) {
+        return balances[_owner];
+    }
+
+    function getApproved(uint256 _tokenId) public view returns (address) {
+        ownerOf(_tokenId);
+        return tokenApprovals[_tokenId];
+    }
+
+    function isApprovedForAll(
+        address _owner,
+        address _operator
+    ) public view returns (bool) {
+        return operatorApprovals[_owner][_operator];
+    }
+
+    function tokenURI(uint256 _tokenId) public view returns (string memory) {
+        ownerOf(_tokenId);
+        return tokenURIs[_tokenId];
+    }
+
+    // ERC-165: ERC-721 (0x80ac58cd), ERC-721 Metadata (0x5b5e139f) y ERC-165
+    function supportsInterface(bytes4 _interfaceId) public pure returns (bool) {
+        return
+            _interfaceId == 0x80ac58cd ||
+            _interfaceId == 0x5b5e139f ||
+            _interfaceId == 0x01ffc9a7;
+    }
+}
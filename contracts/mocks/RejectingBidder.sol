@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: UNLICENSED
+
+pragma solidity ^0.8.16;
+
+import "../Auction.sol";
+
+// Contrato de pruebas: puja en una subasta pero rechaza cualquier ETH que le
+// envien. Sirve para comprobar que un postor asi no bloquea la subasta.
+contract RejectingBidder {
+    function bid(Auction _auction) public payable {
+        _auction.bid{value: msg.value}();
+    }
+
+    function withdraw(Auction _auction) public {
+        _auction.withdraw();
+    }
+
+    receive() external payable {
+        revert("No acepto ETH");
+    }
+}
@@ -0,0 +1,139 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+// Calls `callback` with the address typed in the form's "address" input
+function submitAddress(callback) {
+  return (event) => {
+    event.preventDefault();
+
+    const address = new FormData(event.target).get("address");
+    if (address) {
+      callback(address);
+      event.target.reset();
+    }
+  };
+}
+
+// The English auction's admin actions, only shown to its owner: pausing it,
+// transferring its ownership and choosing the operators that can finalize it
+export function AdminPanel({
+  canPause,
+  paused,
+  pendingOwner,
+  operators,
+  pause,
+  unpause,
+  transferOwnership,
+  setOperator,
+}) {
+  const hasPendingOwner = pendingOwner !== ethers.constants.AddressZero;
+
+  return (
+    <div className="Admin-panel">
+      {/* Pausing freezes the bids, and the paused time is added at the end */}
+      <h4>Pause</h4>
+      {paused ? (
+        <p>
+          Bidding is paused. Resuming adds the paused time to the end of the
+          auction.
+          <button
+            className="btn btn-warning"
+            type="button"
+            style={{ marginLeft: "10px" }}
+            onClick={unpause}
+          >
+            RESUME
+          </button>
+        </p>
+      ) : (
+        <p>
+          Pausing freezes the bids without cancelling the auction.
+          <button
+            className="btn btn-warning"
+            type="button"
+            style={{ marginLeft: "10px" }}
+            disabled={!canPause}
+            onClick={pause}
+          >
+            PAUSE
+          </button>
+        </p>
+      )}
+
+      {/* The new owner has to accept the ownership from their account */}
+      <h4>Ownership</h4>
+      {hasPendingOwner && (
+        <p>
+          Waiting for <b>{pendingOwner}</b> to accept the ownership.
+          <button
+            className="btn btn-secondary"
+            type="button"
+            style={{ marginLeft: "10px" }}
+            onClick={() => transferOwnership(ethers.constants.AddressZero)}
+          >
+            CANCEL
+          </button>
+        </p>
+      )}
+      <form className="form-inline" onSubmit={submitAddress(transferOwnership)}>
+        <input
+          className="form-control"
+          type="text"
+          name="address"
+          placeholder="New owner's address"
+          style={{ width: "400px" }}
+          required
+        />
+        <input
+          className="btn btn-primary"
+          type="submit"
+          style={{ margin: "5px" }}
+          value="TRANSFER OWNERSHIP"
+        />
+      </form>
+
+      {/* Operators can finalize the auction, the proceeds still go to the beneficiary */}
+      <h4>Operators</h4>
+      {operators === undefined ? (
+        <p>Loading the operators...</p>
+      ) : operators.length === 0 ? (
+        <p>There are no operators.</p>
+      ) : (
+        <ul>
+          {operators.map((operator) => (
+            <li key={operator}>
+              {operator}
+              <button
+                className="btn btn-link btn-sm"
+                type="button"
+                onClick={() => setOperator(operator, false)}
+              >
+                remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form
+        className="form-inline"
+        onSubmit={submitAddress((address) => setOperator(address, true))}
+      >
+        <input
+          className="form-control"
+          type="text"
+          name="address"
+          placeholder="Operator's address"
+          style={{ width: "400px" }}
+          required
+        />
+        <input
+          className="btn btn-primary"
+          type="submit"
+          style={{ margin: "5px" }}
+          value="ADD OPERATOR"
+        />
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React from "react";
+
+// Private auctions only take bids from the accounts on their allowlist. This
+// tells the user whether theirs is one of them: it has already proven it,
+// its proof (published with the auction) goes with its first bid, or it
+// isn't eligible. `proof` is null when there's no proof for the account.
+export function AllowlistMessage({ allowlisted, proof }) {
+  if (allowlisted) {
+    return (
+      <div className="alert alert-info" role="alert">
+        This is a private auction, and your account is on its allowlist.
+      </div>
+    );
+  }
+
+  if (proof === undefined) {
+    return (
+      <div className="alert alert-info" role="alert">
+        This is a private auction. Checking whether your account is on its
+        allowlist...
+      </div>
+    );
+  }
+
+  if (proof === null) {
+    return (
+      <div className="alert alert-danger" role="alert">
+        This is a private auction, and your account isn't on its allowlist, so
+        it can't bid. Ask the auction's owner to add it, or connect another
+        account.
+      </div>
+    );
+  }
+
+  return (
+    <div className="alert alert-info" role="alert">
+      This is a private auction, and your account is on its allowlist. Your
+      first bid will include the proof of it.
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+const AUCTION_TYPE_NAMES = {
+  english: "English",
+  sealed: "Sealed bid",
+  dutch: "Dutch",
+};
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  { value: "active", label: "Active" },
+  { value: "inactive", label: "Not active" },
+];
+
+export function AuctionList({ auctions, filter, changeFilter, selectAuction }) {
+  return (
+    <div>
+      <div className="Auction-list-filters">
+        {FILTERS.map(({ value, label }) => (
+          <button
+            key={value}
+            className={`btn ${
+              filter === value ? "btn-primary" : "btn-outline-primary"
+            }`}
+            type="button"
+            style={{ margin: "5px" }}
+            onClick={() => changeFilter(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {auctions.length === 0 && <p>There are no auctions to show.</p>}
+
+      {auctions.length > 0 && (
+        <table className="table table-hover Auction-list">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Description</th>
+              <th>Highest Price</th>
+              <th>Creator</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {auctions.map((auction) => (
+              <tr key={auction.address}>
+                <td>{AUCTION_TYPE_NAMES[auction.auctionType]}</td>
+                <td>{auction.description}</td>
+                <td>
+                  {ethers.utils.formatUnits(
+                    auction.highestPrice,
+                    auction.currency.decimals
+                  )}{" "}
+                  {auction.currency.symbol}
+                </td>
+                <td>{auction.creator}</td>
+                <td
+                  style={{
+                    color: auction.isActive ? "green" : "red",
+                    fontWeight: "600",
+                  }}
+                >
+                  {auction.isActive ? "ACTIVE" : "NOT ACTIVE"}
+                </td>
+                <td>
+                  <button
+                    className="btn btn-info"
+                    type="button"
+                    onClick={() => selectAuction(auction.address)}
+                  >
+                    VIEW
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+// Signed bids are paid from the bidder's deposit in the auction, which also
+// holds their outbid bids. This shows the deposit and, when it doesn't cover
+// the bid being typed, a button to deposit the rest.
+export function BidDeposit({ deposit, shortfall, currency, depositFunds }) {
+  const format = (amount) =>
+    `${ethers.utils.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+
+  return (
+    <div className="Bid-deposit">
+      <p>
+        <b>SIGN BID</b> sends your bid through a relayer, so it doesn't cost you
+        gas. Signed bids are paid from your deposit in the auction, which is{" "}
+        <b>{format(deposit)}</b>.
+      </p>
+      {shortfall.gt(0) && (
+        <p>
+          Deposit <b>{format(shortfall)}</b> more to sign this bid.
+          <button
+            className="btn btn-outline-info"
+            type="button"
+            style={{ marginLeft: "10px" }}
+            onClick={depositFunds}
+          >
+            DEPOSIT {format(shortfall)}
+          </button>
+        </p>
+      )}
+    </div>
+  );
+}
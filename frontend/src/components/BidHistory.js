@@ -0,0 +1,119 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 10;
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toUTCString();
+}
+
+function shortenHash(hash) {
+  return `${hash.substring(0, 10)}…${hash.substring(hash.length - 8)}`;
+}
+
+// A step chart of the highest price over time, with a dot for every bid
+function PriceChart({ bids, currency, isOwnBid }) {
+  const prices = bids.map(({ amount }) =>
+    Number(ethers.utils.formatUnits(amount, currency.decimals))
+  );
+  const firstTime = bids[0].timestamp;
+  const lastTime = bids[bids.length - 1].timestamp;
+  const maxPrice = Math.max(...prices);
+
+  const x = (timestamp) =>
+    lastTime === firstTime
+      ? CHART_WIDTH / 2
+      : CHART_PADDING +
+        ((timestamp - firstTime) / (lastTime - firstTime)) *
+          (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (price) =>
+    CHART_HEIGHT -
+    CHART_PADDING -
+    (maxPrice === 0 ? 0 : price / maxPrice) *
+      (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  // The price holds until the next bid, so each bid draws a horizontal line
+  // and then jumps up
+  const points = bids
+    .map(({ timestamp }, i) =>
+      i === 0
+        ? `${x(timestamp)},${y(prices[i])}`
+        : `${x(timestamp)},${y(prices[i - 1])} ${x(timestamp)},${y(prices[i])}`
+    )
+    .join(" ");
+
+  return (
+    <svg
+      className="Bid-history-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label="Price over time"
+    >
+      <polyline points={points} fill="none" stroke="grey" strokeWidth="2" />
+      {bids.map((bid, i) => (
+        <circle
+          key={`${bid.txHash}-${bid.logIndex}`}
+          cx={x(bid.timestamp)}
+          cy={y(prices[i])}
+          r="5"
+          fill={isOwnBid(bid) ? "#17a2b8" : "#343a40"}
+        >
+          <title>
+            {`${prices[i]} ${currency.symbol} on ${formatTime(bid.timestamp)}`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export function BidHistory({ bids, currency, selectedAddress }) {
+  if (bids.length === 0) {
+    return <p>There are no bids yet.</p>;
+  }
+
+  // There's no user in read-only mode
+  const isOwnBid = ({ bidder }) =>
+    selectedAddress !== undefined &&
+    bidder.toLowerCase() === selectedAddress.toLowerCase();
+
+  return (
+    <div className="Bid-history">
+      <PriceChart bids={bids} currency={currency} isOwnBid={isOwnBid} />
+
+      <table className="table table-sm Bid-history-table">
+        <thead>
+          <tr>
+            <th>Bidder</th>
+            <th>Amount</th>
+            <th>Time</th>
+            <th>Transaction</th>
+          </tr>
+        </thead>
+        <tbody>
+          {/* The latest bids first */}
+          {[...bids].reverse().map((bid) => (
+            <tr
+              key={`${bid.txHash}-${bid.logIndex}`}
+              className={isOwnBid(bid) ? "table-info" : undefined}
+            >
+              <td>
+                {bid.bidder}
+                {isOwnBid(bid) && <b> (you)</b>}
+              </td>
+              <td>
+                {ethers.utils.formatUnits(bid.amount, currency.decimals)}{" "}
+                {currency.symbol}
+              </td>
+              <td>{formatTime(bid.timestamp)}</td>
+              <td title={bid.txHash}>{shortenHash(bid.txHash)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
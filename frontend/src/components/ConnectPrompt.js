@@ -0,0 +1,48 @@
+import React from "react";
+
+import { WalletPicker } from "./WalletPicker";
+
+// In read-only mode there's no account to act with, so the actions show this
+// instead: it asks the user to connect one of their wallets, or to install one
+// if none was detected.
+export function ConnectPrompt({ wallets, connectWallet, dismiss }) {
+  return (
+    <div className="alert alert-warning" role="alert">
+      {wallets.length > 0 ? (
+        <>
+          Connect your wallet to bid and send transactions.
+          <WalletPicker wallets={wallets} connectWallet={connectWallet} />
+        </>
+      ) : (
+        <>
+          No Ethereum wallet was detected. Install{" "}
+          <a
+            href="https://www.coinbase.com/wallet"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            Coinbase Wallet
+          </a>{" "}
+          or{" "}
+          <a
+            href="http://metamask.io"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            MetaMask
+          </a>{" "}
+          to bid.
+        </>
+      )}
+      <button
+        type="button"
+        className="close"
+        data-dismiss="alert"
+        aria-label="Close"
+        onClick={dismiss}
+      >
+        <span aria-hidden="true">&times;</span>
+      </button>
+    </div>
+  );
+}
@@ -1,8 +1,14 @@
 import React from "react";
 
 import { NetworkErrorMessage } from "./NetworkErrorMessage";
+import { WalletPicker } from "./WalletPicker";
 
-export function ConnectWallet({ connectWallet, networkError, dismiss }) {
+export function ConnectWallet({
+  wallets,
+  connectWallet,
+  networkError,
+  dismiss,
+}) {
   return (
     <div className="container">
       <div className="row justify-content-md-center">
@@ -13,15 +19,12 @@ export function ConnectWallet({ connectWallet, networkError, dismiss }) {
           )}
         </div>
         <div className="col-6 p-4 text-center">
-          <p>Please connect to your wallet.</p>
-          <button
-            className="btn btn-warning"
-            type="button"
-            style={{ width: "100%" }}
-            onClick={connectWallet}
-          >
-            Connect Wallet
-          </button>
+          <p>
+            {wallets.length === 1
+              ? "Please connect to your wallet."
+              : "Please connect to one of your wallets."}
+          </p>
+          <WalletPicker wallets={wallets} connectWallet={connectWallet} />
         </div>
       </div>
     </div>
@@ -0,0 +1,35 @@
+import React from "react";
+
+// Formats a number of seconds as days, hours, minutes and seconds, skipping
+// the leading units that are zero (e.g. "4m 12s")
+export function formatDuration(seconds) {
+  const units = [
+    ["d", Math.floor(seconds / 86400)],
+    ["h", Math.floor((seconds % 86400) / 3600)],
+    ["m", Math.floor((seconds % 3600) / 60)],
+    ["s", seconds % 60],
+  ];
+  const first = units.findIndex(([, value]) => value > 0);
+
+  return first === -1
+    ? "0s"
+    : units
+        .slice(first)
+        .map(([unit, value]) => `${value}${unit}`)
+        .join(" ");
+}
+
+// The time left until `endTime`, both in seconds of the chain's clock
+export function Countdown({ endTime, now }) {
+  const secondsLeft = endTime - now;
+
+  if (secondsLeft <= 0) {
+    return <span className="badge badge-secondary">TIME IS UP</span>;
+  }
+
+  return (
+    <span className={`Countdown${secondsLeft <= 60 ? " text-danger" : ""}`}>
+      {`${formatDuration(secondsLeft)} left`}
+    </span>
+  );
+}
@@ -7,7 +7,13 @@ import { ethers } from "ethers";
 // We import the contract's artifacts and address here, as we are going to be
 // using them with ethers
 import AuctionArtifact from "../contracts/Auction.json";
-import contractAddress from "../contracts/contract-address.json";
+import AuctionFactoryArtifact from "../contracts/AuctionFactory.json";
+import SealedBidAuctionArtifact from "../contracts/SealedBidAuction.json";
+import DutchAuctionArtifact from "../contracts/DutchAuction.json";
+import TokenArtifact from "../contracts/Token.json";
+import IERC721MetadataArtifact from "../contracts/IERC721Metadata.json";
+// The deployments manifest written by scripts/deploy.js, keyed by chain id
+import deployments from "../contracts/deployments.json";
 
 // All the logic of this dapp is contained in the Dapp component.
 // These other components are just presentational ones: they don't have any
@@ -18,6 +24,22 @@ import { Loading } from "./Loading";
 import { TransactionErrorMessage } from "./TransactionErrorMessage";
 import { WaitingForTransactionMessage } from "./WaitingForTransactionMessage";
 import { NoTokensMessage } from "./NoTokensMessage";
+import { AuctionList } from "./AuctionList";
+import { PendingReturnsMessage } from "./PendingReturnsMessage";
+import { SealedBidActions, SEALED_BID_PHASES } from "./SealedBidActions";
+import { DutchAuctionActions } from "./DutchAuctionActions";
+import { TokenAllowance } from "./TokenAllowance";
+import { BidHistory } from "./BidHistory";
+import { Countdown, formatDuration } from "./Countdown";
+import { SettlementMessage } from "./SettlementMessage";
+import { AdminPanel } from "./AdminPanel";
+import { ProceedsBreakdown } from "./ProceedsBreakdown";
+import { MaxBid } from "./MaxBid";
+import { AllowlistMessage } from "./AllowlistMessage";
+import { BidDeposit } from "./BidDeposit";
+import { ConnectPrompt } from "./ConnectPrompt";
+import { NetworkMismatch } from "./NetworkMismatch";
+import { WalletPicker } from "./WalletPicker";
 
 // This is the default id used by the Hardhat Network
 const HARDHAT_NETWORK_ID = "31337";
@@ -25,12 +47,210 @@ const HARDHAT_NETWORK_ID = "31337";
 // This is an error code that indicates that the user canceled a transaction
 const ERROR_CODE_TX_REJECTED_BY_USER = 4001;
 
+// This is an error code that indicates that the wallet doesn't know a network
+// yet, so it has to be added before switching to it
+const ERROR_CODE_UNRECOGNIZED_CHAIN = 4902;
+
+// The artifact of each type of auction, as returned by `auctionType()`
+const AUCTION_ARTIFACTS = {
+  english: AuctionArtifact,
+  sealed: SealedBidAuctionArtifact,
+  dutch: DutchAuctionArtifact,
+};
+
+// The currency of auctions that aren't paid in an ERC-20 token
+const ETHER = { symbol: "Ether", decimals: 18 };
+
+// The gateway used to load ipfs:// URIs of the items' metadata and images
+const IPFS_GATEWAY = "https://ipfs.io/ipfs/";
+
+// The relayer that sends signed bids for their bidders (see tasks/relayer.js)
+const RELAYER_URL =
+  process.env.REACT_APP_RELAYER_URL ?? "http://localhost:8546";
+
+// The faucet that sends ETH and tokens to the users who ask for them (see the
+// faucet:serve task in tasks/faucet.js)
+const FAUCET_URL = process.env.REACT_APP_FAUCET_URL ?? "http://localhost:8547";
+
+// The JSON-RPC endpoint the auctions are read from until the user connects
+// their wallet, so anyone can follow them without one
+const RPC_URL = process.env.REACT_APP_RPC_URL ?? "http://127.0.0.1:8545";
+
+// Signed bids are EIP-712 typed data, in the domain of their auction (see
+// AuctionSignedBids.sol), and they can be relayed for 10 minutes
+const BID_TYPES = {
+  Bid: [
+    { name: "bidder", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+const SIGNED_BID_LIFETIME = 600;
+
+// Every custom error (see AuctionErrors.sol) and event of the auctions. Most
+// of them are shared by all the types of auction, so we keep one fragment per
+// name.
+const AUCTION_INTERFACE = new ethers.utils.Interface([
+  ...new Map(
+    Object.values(AUCTION_ARTIFACTS)
+      .flatMap(({ abi }) =>
+        abi.filter(({ type }) => type === "error" || type === "event")
+      )
+      .map((fragment) => [fragment.name, fragment])
+  ).values(),
+]);
+
+// The events that change an auction's row in the list of auctions
+const AUCTION_LIST_EVENTS = [
+  "BidPlaced",
+  "BidRevealed",
+  "AuctionEnded",
+  "AuctionStopped",
+];
+
+// The event each type of auction emits for every bid, and whether an event
+// is a bid: only valid reveals are sealed bids, and a Dutch auction that ends
+// without a buyer has no bids
+const BID_EVENTS = {
+  english: { name: "BidPlaced", isBid: () => true },
+  sealed: { name: "BidRevealed", isBid: (args) => args._valid },
+  dutch: {
+    name: "AuctionEnded",
+    isBid: (args) => args._winner !== ethers.constants.AddressZero,
+  },
+};
+
+// The factory lists the auctions by status a page at a time, so that each
+// call checks at most this many auctions
+const AUCTIONS_PAGE_SIZE = 50;
+
+// How the status of an auction is shown (see Dapp._getAuctionStatus)
+const AUCTION_STATUS_LABELS = {
+  active: "STILL ACTIVE!! ✅ 🤩",
+  paused: "PAUSED ⏸️",
+  ended: "ENDED, AWAITING SETTLEMENT ⏳",
+  inactive: "NOT ACTIVE ❌ 😭",
+};
+const AUCTION_STATUS_COLORS = {
+  active: "green",
+  paused: "steelblue",
+  ended: "darkorange",
+  inactive: "red",
+};
+
+// Events keep the app updated, so we only poll in case one of them is missed
+const FALLBACK_POLLING_INTERVAL = 30000;
+
+// A message for each of those errors. They get the error's arguments and a
+// function to format amounts in the auction's currency.
+const AUCTION_ERROR_MESSAGES = {
+  EmptyDescription: () => "The auction needs a description",
+  InvalidDuration: () => "The auction's duration must be greater than zero",
+  InvalidPriceSchedule: () =>
+    "The start price can't be lower than the floor price, and the price must drop within the auction's duration",
+  InvalidPayouts: () =>
+    "The platform fee and the splits can't add up to more than the price, and each needs a recipient",
+  InvalidBuyNow: () =>
+    "The buy-it-now threshold can't be higher than the buy-it-now price",
+  AuctionNotActive: () => "This auction isn't active anymore",
+  AuctionNotEnded: ([endTime]) =>
+    `This auction is still running until ${new Date(
+      endTime.toNumber() * 1000
+    ).toUTCString()}`,
+  NotOwner: () => "Only the auction's owner can do this",
+  NotOperator: () => "Only the auction's owner or its operators can do this",
+  NotPendingOwner: () =>
+    "Only the account the ownership is being transferred to can accept it",
+  AuctionPaused: () => "This auction is paused",
+  AuctionNotPaused: () => "This auction isn't paused",
+  BidTooLow: ([minimum], formatAmount) =>
+    `Bid must be at least ${formatAmount(minimum)}`,
+  PaidInToken: () => "This auction is paid in tokens, not in Ether",
+  PaidInEther: () => "This auction is paid in Ether, not in tokens",
+  BuyNowUnavailable: () => "This auction can't be bought now anymore",
+  NotAllowlisted: () =>
+    "Your account isn't on this private auction's allowlist, or its proof isn't valid",
+  SignatureExpired: () =>
+    "This signed bid has expired, sign it again to send it",
+  InvalidNonce: () =>
+    "This signed bid has already been sent, or another one was sent before it",
+  InvalidSignature: () => "This bid wasn't signed by its bidder",
+  InsufficientDeposit: ([available], formatAmount) =>
+    `Your deposit of ${formatAmount(available)} doesn't cover this bid`,
+  CommitPhaseOver: ([commitEndTime]) =>
+    `The commit phase ended on ${new Date(
+      commitEndTime.toNumber() * 1000
+    ).toUTCString()}, new sealed bids aren't accepted`,
+  NotRevealPhase: ([commitEndTime, revealEndTime]) =>
+    `Bids can only be revealed between ${new Date(
+      commitEndTime.toNumber() * 1000
+    ).toUTCString()} and ${new Date(
+      revealEndTime.toNumber() * 1000
+    ).toUTCString()}`,
+  DepositRequired: () => "A sealed bid needs a deposit",
+  InvalidCommitment: () => "A sealed bid can't commit to an empty hash",
+  AlreadyCommitted: () => "You have already committed a sealed bid",
+  NoCommitment: () => "You haven't committed a sealed bid",
+  AlreadyRevealed: () => "Your bid has already been revealed",
+  CommitmentMismatch: () => "The amount and salt don't match your sealed bid",
+  NothingToWithdraw: () => "You don't have anything to withdraw",
+  TransferFailed: () => "The transfer failed",
+  NotAuctionItem: () => "That token isn't this auction's item",
+  ItemAlreadyDeposited: () => "The item has already been deposited",
+  ItemNotDeposited: () => "The seller hasn't deposited the item yet",
+};
+
+// Wallets and providers nest the revert data of a failed transaction in
+// different ways, so we look for it in every `data` and `error` field.
+function findRevertData(error) {
+  if (typeof error === "string") {
+    return /^0x[0-9a-fA-F]{8}/.test(error) ? error : undefined;
+  }
+
+  if (!error || typeof error !== "object") {
+    return undefined;
+  }
+
+  return findRevertData(error.data) ?? findRevertData(error.error);
+}
+
+// The development services (the relayer and the faucet) take and answer JSON.
+// This posts `body` to `url`, and returns the answer, or throws the error
+// the service answers with, keeping its HTTP status (4xx if the request was
+// wrong, 5xx if the service failed) and its revert data if it has any.
+async function postJson(url, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new Error(`Couldn't reach ${url}, is it running?`);
+  }
+
+  const result = await response.json();
+  if (!response.ok) {
+    const error = new Error(result.error);
+    error.status = response.status;
+    error.data = result.data;
+    throw error;
+  }
+
+  return result;
+}
+
 // This component is in charge of doing these things:
-//   1. It connects to the user's wallet
-//   2. Initializes ethers and the Token contract
-//   3. Polls the user balance to keep it updated.
-//   4. Transfers tokens by sending transactions
-//   5. Renders the whole application
+//   1. It connects to the wallet the user picks, or to RPC_URL in read-only
+//      mode
+//   2. Initializes ethers and the AuctionFactory contract
+//   3. Lists the factory's auctions, and lets the user pick one
+//   4. Listens to the auctions' events to keep the user balance and the
+//      auction's data updated.
+//   5. Bids and stops the auction by sending transactions
+//   6. Renders the whole application
 //
 // Note that (3) and (4) are specific of this sample application, but they show
 // you how to keep your Dapp and contract's state in sync,  and how to send a
@@ -42,147 +262,1085 @@ export class Dapp extends React.Component {
     // We store multiple things in Dapp's state.
     // You don't need to follow this pattern, but it's an useful example.
     this.initialState = {
-      // The user's address and balance
+      // The wallets that announced themselves (EIP-6963), with their info
+      // (uuid, name, icon and rdns) and their EIP-1193 provider
+      wallets: [],
+      // The user's address and balance. Without an address, the dapp is in
+      // read-only mode.
       selectedAddress: undefined,
       balance: undefined,
+      // Whether the auctions couldn't be read from RPC_URL, which leaves only
+      // the wallet to read them, and whether the user has tried an action in
+      // read-only mode, which asks them to connect their wallet
+      readOnlyUnavailable: false,
+      connectPrompt: false,
+      // Whether the user is waiting for the faucet to send them funds, and
+      // the error it answered with (or why it couldn't be reached)
+      requestingFunds: false,
+      faucetError: undefined,
       // The ID about transactions being sent, and any possible error with them
       txBeingSent: undefined,
       transactionError: undefined,
       networkError: undefined,
-      // Auction information
-      auctionInfo: undefined,
+      // The factory's auctions, the status used to filter them and the
+      // auction being displayed
+      auctions: undefined,
+      auctionFilter: "all",
+      selectedAuction: undefined,
+      auctionType: undefined,
+      // Auction information: the last snapshot read from the auction, and
+      // its fields
+      snapshot: undefined,
+      // The ERC-721 token auctioned, if any: its name and image from its
+      // metadata, and whether the auction holds it
+      item: undefined,
+      itemDeposited: undefined,
       description: undefined,
       highestPrice: undefined,
       highestBidder: undefined,
       basePrice: undefined,
       originalOwner: undefined,
+      beneficiary: undefined,
       newOwner: undefined,
       isActive: undefined,
+      // The currency the auction is paid in (ETHER or an ERC-20 token), and
+      // for tokens, the user's balance and the allowance they gave the auction
+      currency: ETHER,
+      tokenBalance: undefined,
+      allowance: undefined,
+      // The user's outbid bids, refunds or proceeds, ready to withdraw
+      pendingReturn: undefined,
+      // The lowest bid the auction accepts now (in wei), and the amount in
+      // the bid input (in Ether)
+      minimumNextBid: undefined,
+      value: undefined,
+      // English auctions: the buy-it-now price (0 without one), and whether
+      // it can be paid now
+      buyNowPrice: undefined,
+      buyNowAvailable: undefined,
+      // English auctions: the user's max bid for automatic bidding (in wei),
+      // and the amount in its input (in the auction's currency)
+      maxBid: undefined,
+      maxBidValue: undefined,
+      // Private English auctions: the root of their allowlist (the zero hash
+      // if anyone can bid), whether the user has proven they're on it, and
+      // the allowlist's proofs published with the auction (null if they
+      // couldn't be loaded)
+      allowlistRoot: undefined,
+      allowlisted: undefined,
+      allowlist: undefined,
+      // English auctions: the nonce of the user's next signed bid
+      nonce: undefined,
+      // Sealed-bid auctions: the current phase, the user's commitment and the
+      // bid (amount and salt) stored in this browser to reveal it
+      phase: undefined,
+      commitment: undefined,
+      storedBid: undefined,
+      // Dutch auctions: the price schedule (in wei and seconds)
+      startPrice: undefined,
+      floorPrice: undefined,
+      priceDropInterval: undefined,
+      // When the auction's time is up (the end of the reveal phase for
+      // sealed bids), the difference between the chain's clock and ours, and
+      // the chain's current time, which ticks every second to show the
+      // countdown and the live Dutch price
+      endTime: undefined,
+      chainTimeOffset: undefined,
+      now: undefined,
+      // The winner and amount of the auction the user has just finalized,
+      // what the beneficiary gets of it, and whether that was paid to them
+      settlement: undefined,
+      // The platform fee and the splits of the proceeds, fixed when the
+      // auction was created
+      payouts: undefined,
+      // English auctions' administration: whether bidding is paused, the
+      // account the ownership is being transferred to, whether the user is
+      // an operator, and every operator, rebuilt from the auction's logs
+      paused: undefined,
+      pendingOwner: undefined,
+      isOperator: undefined,
+      operators: undefined,
+      // Every bid of the auction (bidder, amount, time and transaction),
+      // rebuilt from its logs
+      bidHistory: undefined,
     };
 
     this.state = this.initialState;
+
+    this._handleAnnounceProvider = (event) => this._addWallet(event.detail);
   }
 
-  async _connectWallet() {
+  componentDidMount() {
+    // Wallets announce themselves when we request them, and whenever they're
+    // loaded after that
+    window.addEventListener(
+      "eip6963:announceProvider",
+      this._handleAnnounceProvider
+    );
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+    // Until the user connects their wallet, we show the auctions in
+    // read-only mode
+    this._initializeReadOnly();
+  }
+
+  // Wallets may announce themselves more than once, so we keep the last
+  // announcement of each of them
+  _addWallet({ info, provider }) {
+    this.setState(({ wallets }) => ({
+      wallets: [
+        ...wallets.filter((wallet) => wallet.info.uuid !== info.uuid),
+        { info, provider },
+      ],
+    }));
+  }
+
+  // The wallets the user can connect: the ones that announced themselves, or
+  // the window.ethereum object injected by wallets that don't support
+  // EIP-6963
+  _getWallets() {
+    if (this.state.wallets.length > 0) {
+      return this.state.wallets;
+    }
+    if (window.ethereum === undefined) {
+      return [];
+    }
+    return [
+      {
+        info: { uuid: "window.ethereum", name: "Browser Wallet" },
+        provider: window.ethereum,
+      },
+    ];
+  }
+
+  async _connectWallet(wallet) {
     // This method is run when the user clicks the Connect. It connects the
-    // dapp to the user's wallet, and initializes it.
+    // dapp to the wallet they picked, and initializes it.
+    this._wallet = wallet.provider;
 
     // To connect to the user's wallet, we have to run this method.
     // It returns a promise that will resolve to the user's address.
-    const [selectedAddress] = await window.ethereum.request({
+    const [selectedAddress] = await this._wallet.request({
       method: "eth_requestAccounts",
     });
 
+    // From now on we follow the wallet's account and network, so if it's on
+    // the wrong one, switching it is enough to initialize the application.
+    this._listenToWallet(this._wallet);
+
     // Once we have the address, we can initialize the application.
 
-    // First we check the network
-    await this._checkNetwork();
+    // First we check the network. If the auctions aren't deployed on it, we
+    // keep the address and show the network mismatch until the wallet
+    // switches to a network they are deployed on.
+    if (!(await this._checkNetwork())) {
+      this._readOnlyProvider = undefined;
+      this._stopPollingData();
+      this.setState({ selectedAddress, connectPrompt: false });
+      return;
+    }
     await this._initialize(selectedAddress);
+  }
 
-    // We reinitialize it whenever the user changes their account.
-    window.ethereum.on("accountsChanged", ([newAddress]) => {
-      this._stopPollingData();
-      // `accountsChanged` event can be triggered with an undefined newAddress.
-      // This happens when the user removes the Dapp from the "Connected
-      // list of sites allowed access to your addresses" (Metamask > Settings > Connections)
-      // To avoid errors, we reset the dapp state
-      if (newAddress === undefined) {
-        return this._resetState();
-      }
-      this._initialize(newAddress);
-    });
+  // This method follows the wallet's account and network. The listeners are
+  // kept to remove them when the user disconnects or connects another wallet.
+  _listenToWallet(wallet) {
+    this._stopListeningToWallet();
+
+    const listeners = {
+      // We reinitialize it whenever the user changes their account.
+      accountsChanged: ([newAddress]) => {
+        this._stopPollingData();
+        // `accountsChanged` event can be triggered with an undefined newAddress.
+        // This happens when the user removes the Dapp from the "Connected
+        // list of sites allowed access to your addresses" (Metamask > Settings > Connections)
+        // To avoid errors, we go back to read-only mode
+        if (newAddress === undefined) {
+          return this._disconnectWallet();
+        }
+        this._initializeOnNetwork(newAddress);
+      },
+      // The contracts and the events we listen to are the network's, so we
+      // start over on the new network
+      chainChanged: () => this._handleNetworkChange(),
+      // If the wallet loses its connection to the network, events may be
+      // missed meanwhile, so we read everything again when it reconnects.
+      disconnect: () => {
+        this._stopPollingData();
+        this.setState({
+          networkError:
+            "Your wallet lost its connection to the network. The auctions " +
+            "will be updated again when it reconnects.",
+        });
+      },
+      connect: () => this._handleNetworkChange(),
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      wallet.on(event, listener);
+    }
+    this._walletListeners = { wallet, listeners };
+  }
+
+  _stopListeningToWallet() {
+    const { wallet, listeners = {} } = this._walletListeners ?? {};
+    for (const [event, listener] of Object.entries(listeners)) {
+      wallet.removeListener(event, listener);
+    }
+    this._walletListeners = undefined;
+  }
+
+  // This method is run when the wallet changes its network or reconnects.
+  // Until the user has connected, the network is checked when they do.
+  async _handleNetworkChange() {
+    if (this._isReadOnly()) {
+      return;
+    }
+
+    await this._initializeOnNetwork(this.state.selectedAddress);
+  }
+
+  // If the auctions are deployed on the wallet's network, this method
+  // initializes the dapp for `userAddress`. Otherwise the network mismatch
+  // is shown until the wallet changes its network.
+  async _initializeOnNetwork(userAddress) {
+    this._stopPollingData();
+    this.setState({ selectedAddress: userAddress });
+    if (this._useDeployment(await this._getChainId())) {
+      await this._initialize(userAddress);
+    }
+  }
+
+  // This method forgets the user's wallet and goes back to read-only mode
+  _disconnectWallet() {
+    this._stopPollingData();
+    this._stopListeningToWallet();
+    this._wallet = undefined;
+    this._resetState();
+    this._initializeReadOnly();
   }
 
   async _initialize(userAddress) {
     // This method initializes the dapp
 
+    // We stop following the auctions in read-only mode, if we were
+    this._readOnlyProvider = undefined;
+    this._stopPollingData();
+
     // We first store the user's address in the component's state
     this.setState({
       selectedAddress: userAddress,
+      connectPrompt: false,
     });
 
-    // Then, we initialize ethers, fetch the auction's data, and start polling
-    // for the user's balance.
+    // Then, we initialize ethers, fetch the factory's auctions, and start
+    // listening to their events.
     await this._initializeEthers();
-    await this._getAuctionData();
+    await this._getAuctions();
     await this._updateBalance();
     await this._startPollingData();
   }
 
-  async _initializeEthers() {
-    // We first initialize ethers by creating a provider using window.ethereum
-    this._provider = new ethers.providers.Web3Provider(window.ethereum);
+  // This method reads the auctions from RPC_URL, until the user connects
+  // their wallet. If the auctions aren't deployed on its network, or it
+  // can't be reached, the user has to connect their wallet to see them.
+  async _initializeReadOnly() {
+    const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+    this._readOnlyProvider = provider;
+
+    let chainId;
+    try {
+      chainId = String((await provider.getNetwork()).chainId);
+    } catch (error) {
+      console.error(`Couldn't read the auctions from ${RPC_URL}`, error);
+    }
+
+    // The user may have connected their wallet meanwhile (or, in
+    // development, the component may have been mounted again)
+    if (this._readOnlyProvider !== provider) {
+      return;
+    }
+    if (deployments[chainId]?.AuctionFactory === undefined) {
+      this.setState({ readOnlyUnavailable: true });
+      return;
+    }
+
+    this._deployment = deployments[chainId];
+    this.setState({ networkId: chainId });
+    await this._initializeEthers(provider);
+    await this._getAuctions();
+    if (this._readOnlyProvider === provider) {
+      this._startPollingData();
+    }
+  }
+
+  _isReadOnly() {
+    return this.state.selectedAddress === undefined;
+  }
+
+  // Actions need the user's account, so in read-only mode they ask the user
+  // to connect their wallet instead. It returns whether the user can act.
+  _requireWallet() {
+    if (!this._isReadOnly()) {
+      return true;
+    }
+
+    this.setState({ connectPrompt: true });
+    return false;
+  }
+
+  // In read-only mode we're given the provider of RPC_URL, and the contracts
+  // are only read, without a signer
+  async _initializeEthers(readOnlyProvider) {
+    // We first initialize ethers by creating a provider using the wallet
+    this._provider =
+      readOnlyProvider ?? new ethers.providers.Web3Provider(this._wallet);
+    this._signerOrProvider = readOnlyProvider ?? this._provider.getSigner(0);
+
+    // Then, we initialize the factory using that provider and its artifact.
+    // You can do this same thing with your contracts. The auction's contract
+    // is initialized when the user selects one of the factory's auctions.
+    this._factory = new ethers.Contract(
+      this._deployment.AuctionFactory.address,
+      AuctionFactoryArtifact.abi,
+      this._signerOrProvider
+    );
+
+    // If an auction was already selected (e.g. the user changed their
+    // account), we keep showing it with the new signer.
+    this._auction = this.state.selectedAuction
+      ? this._getAuctionContract(
+          this.state.selectedAuction,
+          this.state.auctionType
+        )
+      : undefined;
+  }
+
+  _getAuctionContract(address, auctionType) {
+    return new ethers.Contract(
+      address,
+      AUCTION_ARTIFACTS[auctionType].abi,
+      this._signerOrProvider
+    );
+  }
 
-    // Then, we initialize the contract using that provider and the auction's
-    // artifact. You can do this same thing with your contracts.
-    this._auction = new ethers.Contract(
-      contractAddress.Auction,
+  // Every type of auction has an `auctionType()` function, so we can call it
+  // with any of their ABIs
+  async _getAuctionType(address) {
+    const auction = new ethers.Contract(
+      address,
       AuctionArtifact.abi,
-      this._provider.getSigner(0)
+      this._provider
     );
+    return auction.auctionType();
   }
 
-  // The next two methods are needed to start and stop polling data. While
-  // the data being polled here is specific to this example, you can use this
-  // pattern to read any data from your contracts.
+  // The next methods are needed to start and stop keeping the data updated.
+  // While the data being read here is specific to this example, you can use
+  // this pattern to follow any data from your contracts.
 
-  // Note that if you don't need it to update in near real time, you probably
-  // don't need to poll it. If that's the case, you can just fetch it when you
-  // initialize the app, as we do with the token data.
+  // Rather than polling every contract's function, we subscribe to the
+  // auctions' events and read a snapshot of the state when one is emitted.
+  // Polling is only a slow fallback in case an event is missed.
   _startPollingData() {
     this._pollDataInterval = setInterval(() => {
-      this._getAuctionData();
+      this._refreshData();
       this._updateBalance();
-    }, 4000); // polling every 4 seconds
+    }, FALLBACK_POLLING_INTERVAL);
+
+    // The chain's time is computed locally every second, so the countdown
+    // and the price of a Dutch auction keep moving between snapshots
+    this._clockInterval = setInterval(() => {
+      if (this._auction && this.state.chainTimeOffset !== undefined) {
+        this._updateChainTime();
+      }
+    }, 1000);
+
+    this._subscribeToEvents();
 
     // We run it once immediately so we don't have to wait for it
-    this._getAuctionData();
+    this._refreshData();
+  }
+
+  // While an auction is selected we only need its data, otherwise we keep
+  // the list of auctions updated
+  _refreshData() {
+    if (this._auction) {
+      return this._getAuctionData();
+    }
+    return this._getAuctions();
   }
 
   _stopPollingData() {
     clearInterval(this._pollDataInterval);
     this._pollDataInterval = undefined;
+    clearInterval(this._clockInterval);
+    this._clockInterval = undefined;
+    this._unsubscribeFromEvents();
+  }
+
+  // While an auction is selected we listen to all its events, since any of
+  // them changes its state. Otherwise we listen to the new auctions of the
+  // factory, and to the events of any auction that change the list.
+  _subscribeToEvents() {
+    this._unsubscribeFromEvents();
+
+    if (this._auction) {
+      this._subscribe({ address: this._auction.address }, (log) => {
+        this._getAuctionData();
+        this._updateBalance();
+        this._addBids([log]);
+        if (log.topics[0] === AUCTION_INTERFACE.getEventTopic("OperatorSet")) {
+          this._getOperators();
+        }
+      });
+      return;
+    }
+
+    const refreshAuctions = () => this._getAuctions();
+    this._subscribe(this._factory.filters.AuctionCreated(), refreshAuctions);
+    this._subscribe(
+      {
+        topics: [
+          AUCTION_LIST_EVENTS.map((name) =>
+            AUCTION_INTERFACE.getEventTopic(name)
+          ),
+        ],
+      },
+      refreshAuctions
+    );
+  }
+
+  _subscribe(filter, listener) {
+    this._provider.on(filter, listener);
+    this._subscriptions.push({ filter, listener });
+  }
+
+  _unsubscribeFromEvents() {
+    for (const { filter, listener } of this._subscriptions ?? []) {
+      this._provider.off(filter, listener);
+    }
+    this._subscriptions = [];
   }
 
   componentWillUnmount() {
     // We poll the user's balance, so we have to stop doing that when Dapp
-    // gets unmounted
+    // gets unmounted, and not start if we're still connecting to RPC_URL
+    this._readOnlyProvider = undefined;
     this._stopPollingData();
+    this._stopListeningToWallet();
+    window.removeEventListener(
+      "eip6963:announceProvider",
+      this._handleAnnounceProvider
+    );
+  }
+
+  // ------------- GET AUCTIONS -------------
+  // The next method reads the factory's auctions that match the selected
+  // filter, and a summary of each of them.
+  async _getAuctions(filter = this.state.auctionFilter) {
+    console.log("Fetching and updating the list of auctions...");
+    const addresses =
+      filter === "all"
+        ? await this._factory.getAuctions()
+        : await this._getAuctionsByStatus(filter === "active");
+
+    const auctions = await Promise.all(
+      addresses.map(async (address) => {
+        const auction = new ethers.Contract(
+          address,
+          AuctionArtifact.abi,
+          this._provider
+        );
+        const auctionType = await auction.auctionType();
+        return {
+          address,
+          auctionType,
+          description: await auction.getDescription(),
+          highestPrice: (await auction.getHighestPrice()).toString(),
+          currency:
+            auctionType === "english"
+              ? await this._getCurrency(await auction.paymentToken())
+              : ETHER,
+          creator: await this._factory.creatorOf(address),
+          isActive: await auction.isActive(),
+        };
+      })
+    );
+
+    // The filter may have changed while we were fetching
+    if (filter === this.state.auctionFilter) {
+      this.setState({ auctions });
+    }
+  }
+
+  // Reads the factory's active (or inactive) auctions, one page at a time
+  async _getAuctionsByStatus(active) {
+    const count = (await this._factory.getAuctionCount()).toNumber();
+    const addresses = [];
+    for (let offset = 0; offset < count; offset += AUCTIONS_PAGE_SIZE) {
+      addresses.push(
+        ...(await this._factory.getAuctionsByStatus(
+          active,
+          offset,
+          AUCTIONS_PAGE_SIZE
+        ))
+      );
+    }
+    return addresses;
+  }
+
+  _changeAuctionFilter(auctionFilter) {
+    this.setState({ auctionFilter });
+    this._getAuctions(auctionFilter);
+  }
+
+  // ------------- SELECT AUCTION -------------
+  // These methods initialize (or forget) the contract of the auction the user
+  // wants to see.
+  async _selectAuction(address) {
+    const auctionType = await this._getAuctionType(address);
+    this._auction = this._getAuctionContract(address, auctionType);
+    this._subscribeToEvents();
+    this.setState({
+      selectedAuction: address,
+      auctionType,
+      snapshot: undefined,
+      minimumNextBid: undefined,
+      value: undefined,
+      maxBidValue: undefined,
+      allowlistRoot: undefined,
+      allowlisted: undefined,
+      allowlist: undefined,
+      currency: ETHER,
+      tokenBalance: undefined,
+      allowance: undefined,
+      item: undefined,
+      bidHistory: undefined,
+      chainTimeOffset: undefined,
+      settlement: undefined,
+      payouts: undefined,
+      paused: undefined,
+      pendingOwner: undefined,
+      isOperator: undefined,
+      operators: undefined,
+    });
+    await this._getAuctionData();
+    await this._getPayouts();
+    await this._getItem();
+    await this._getBidHistory();
+    if (auctionType === "english") {
+      await this._getOperators();
+    }
+  }
+
+  _unselectAuction() {
+    this._auction = undefined;
+    this._token = undefined;
+    this._subscribeToEvents();
+    this.setState({ selectedAuction: undefined, snapshot: undefined });
+    this._getAuctions();
   }
 
   // ------------- GET AUCTION DATA -------------
-  // The next method just read from the contract
-  // and store the results in the component state.
+  // The next methods read a snapshot of the auction's state, with a single
+  // call to its getSnapshot() function, and store it in the component state.
   async _getAuctionData() {
     console.log("Fetching and updating auction data...");
-    const auctionInfo = await this._auction.getAuctionInfo();
-    const description = auctionInfo?.[0];
-    const createdAt = auctionInfo?.[1].toString();
-    const duration = auctionInfo?.[2].toString();
-    const highestPrice = (await this._auction.getHighestPrice()).toString();
-    const highestBidder = await this._auction.getHighestBidder();
-    const basePrice = (await this._auction.getBasePrice()).toString();
-    const originalOwner = await this._auction.originalOwner();
-    const newOwner = await this._auction.newOwner();
-    const isActive = await this._auction.isActive();
+    const auction = this._auction;
+    // In read-only mode, the user's fields are read for the zero address
+    const snapshot = await auction.getSnapshot(
+      this.state.selectedAddress ?? ethers.constants.AddressZero
+    );
+
+    // The rest of the data depends on the type of auction
+    const auctionTypeData = await this._getAuctionTypeData(snapshot);
+
+    // The chain's clock may not match ours (e.g. after moving Hardhat
+    // Network's time forward), so we keep the difference between them
+    const timestamp = snapshot.timestamp.toNumber();
+    const chainTimeOffset = timestamp - Math.floor(Date.now() / 1000);
+
+    // The user may have selected another auction while we were reading
+    if (auction !== this._auction) {
+      return;
+    }
+
     this.setState({
-      auctionInfo,
-      description,
-      highestPrice,
-      highestBidder,
-      basePrice,
-      originalOwner,
-      newOwner,
-      createdAt,
+      snapshot,
+      description: snapshot.description,
+      highestPrice: snapshot.highestPrice.toString(),
+      highestBidder: snapshot.highestBidder,
+      originalOwner: snapshot.originalOwner,
+      beneficiary: snapshot.beneficiary,
+      newOwner: snapshot.newOwner,
+      createdAt: snapshot.createdTime.toString(),
+      isActive: snapshot.active,
+      itemDeposited: snapshot.itemDeposited,
+      pendingReturn: snapshot.pendingReturn.toString(),
+      chainTimeOffset,
+      now: timestamp,
+      ...auctionTypeData,
+    });
+  }
+
+  _getAuctionTypeData(snapshot) {
+    switch (this.state.auctionType) {
+      case "sealed":
+        return this._getSealedBidAuctionData(snapshot);
+      case "dutch":
+        return this._getDutchAuctionData(snapshot);
+      default:
+        return this._getEnglishAuctionData(snapshot);
+    }
+  }
+
+  async _getEnglishAuctionData(snapshot) {
+    const duration = snapshot.secondsToEnd.toString();
+    // Bids in the auction's last minutes push its end time forward
+    const endTime = snapshot.endTime.toString();
+    const extended = snapshot.endTime.gt(
+      snapshot.createdTime.add(snapshot.secondsToEnd)
+    );
+    const minimumNextBid = snapshot.minimumNextBid.toString();
+    const currency = await this._getCurrency(snapshot.paymentToken);
+    const { decimals } = currency;
+
+    // We pre-fill the bid input with the minimum next bid, unless the user
+    // has typed their own amount
+    let value = this.state.value;
+    if (
+      value === undefined ||
+      (this.state.minimumNextBid !== undefined &&
+        value === ethers.utils.formatUnits(this.state.minimumNextBid, decimals))
+    ) {
+      value = ethers.utils.formatUnits(minimumNextBid, decimals);
+    }
+
+    // Bids in tokens are taken by the auction, so the user has to approve
+    // them first
+    let tokenBalance;
+    let allowance;
+    if (currency !== ETHER) {
+      this._token = new ethers.Contract(
+        currency.address,
+        TokenArtifact.abi,
+        this._signerOrProvider
+      );
+      tokenBalance = snapshot.tokenBalance.toString();
+      allowance = snapshot.allowance.toString();
+    }
+
+    // Private auctions take bids with a proof of being on their allowlist,
+    // which we load again whenever the owner changes it
+    let allowlist = this.state.allowlist;
+    if (snapshot.allowlistRoot !== this.state.allowlistRoot) {
+      allowlist = await this._getAllowlist(snapshot.allowlistRoot);
+    }
+
+    return {
       duration,
-      isActive,
+      endTime,
+      extended,
+      paused: snapshot.paused,
+      pendingOwner: snapshot.pendingOwner,
+      isOperator: snapshot.isOperator,
+      basePrice: snapshot.basePrice.toString(),
+      minimumNextBid,
+      value,
+      buyNowPrice: snapshot.buyNowPrice.toString(),
+      buyNowAvailable: snapshot.buyNowAvailable,
+      maxBid: snapshot.maxBid.toString(),
+      allowlistRoot: snapshot.allowlistRoot,
+      allowlisted: snapshot.allowlisted,
+      allowlist,
+      nonce: snapshot.nonce.toString(),
+      currency,
+      tokenBalance,
+      allowance,
+    };
+  }
+
+  _getSealedBidAuctionData(snapshot) {
+    const { deposit, revealed } = snapshot.commitment;
+
+    return {
+      commitEndTime: snapshot.commitEndTime.toString(),
+      revealEndTime: snapshot.revealEndTime.toString(),
+      // The auction can be finalized once the reveal phase is over
+      endTime: snapshot.revealEndTime.toString(),
+      phase: snapshot.phase,
+      basePrice: snapshot.basePrice.toString(),
+      commitment: { deposit: deposit.toString(), revealed },
+      storedBid: this._getStoredSealedBid(),
+    };
+  }
+
+  _getDutchAuctionData(snapshot) {
+    return {
+      duration: snapshot.secondsToEnd.toString(),
+      endTime: snapshot.createdTime.add(snapshot.secondsToEnd).toString(),
+      // The Dutch auction's base price is its floor price
+      basePrice: snapshot.floorPrice.toString(),
+      startPrice: snapshot.startPrice.toString(),
+      floorPrice: snapshot.floorPrice.toString(),
+      priceDropInterval: snapshot.priceDropInterval.toNumber(),
+    };
+  }
+
+  // An auction is ACTIVE until its time is up, unless its owner PAUSES it.
+  // Then it's ENDED (awaiting settlement) until someone finalizes it with
+  // checkIfAuctionEnded(), which makes it NOT ACTIVE, like stopping it or
+  // buying a Dutch auction's item.
+  _getAuctionStatus() {
+    if (!this.state.isActive) {
+      return "inactive";
+    }
+    if (this.state.paused) {
+      return "paused";
+    }
+    return this.state.now > this.state.endTime ? "ended" : "active";
+  }
+
+  // Whether `address` is the user's, which no address is in read-only mode
+  _isUser(address) {
+    return (
+      address !== undefined &&
+      !this._isReadOnly() &&
+      address.toLowerCase() === this.state.selectedAddress.toLowerCase()
+    );
+  }
+
+  _isOwner() {
+    return this._isUser(this.state.originalOwner);
+  }
+
+  _isHighestBidder() {
+    return this._isUser(this.state.highestBidder);
+  }
+
+  _updateChainTime() {
+    this.setState({
+      now: Math.floor(Date.now() / 1000) + this.state.chainTimeOffset,
+    });
+  }
+
+  // This method computes the price of a Dutch auction at the chain's current
+  // time, the same way DutchAuction.currentPrice() does
+  _getDutchAuctionPrice() {
+    const startPrice = ethers.BigNumber.from(this.state.startPrice);
+    const floorPrice = ethers.BigNumber.from(this.state.floorPrice);
+    const duration = Number(this.state.duration);
+    const elapsed = Math.max(this.state.now - this.state.createdAt, 0);
+
+    if (elapsed >= duration) {
+      return floorPrice;
+    }
+
+    const steppedElapsed = elapsed - (elapsed % this.state.priceDropInterval);
+    return startPrice.sub(
+      startPrice.sub(floorPrice).mul(steppedElapsed).div(duration)
+    );
+  }
+
+  // The auction's payouts don't change, so we read them once, when it's
+  // selected
+  async _getPayouts() {
+    const auction = this._auction;
+    const { feeRecipient, feeBps, splits } = await auction.getPayouts();
+
+    // The user may have selected another auction while we were reading
+    if (auction === this._auction) {
+      this.setState({
+        payouts: {
+          feeRecipient,
+          feeBps: feeBps.toNumber(),
+          splits: splits.map(({ recipient, bps }) => ({
+            recipient,
+            bps: bps.toNumber(),
+          })),
+        },
+      });
+    }
+  }
+
+  // The price the beneficiary's net proceeds are shown for, and what it is: the
+  // final price once there's a winner, and before that the highest bid (the
+  // base price until there's one) or the Dutch auction's current price.
+  // Stopped auctions and auctions without a winner pay nothing.
+  _getProceedsPrice() {
+    if (this.state.newOwner !== ethers.constants.AddressZero) {
+      return {
+        title: "Net proceeds",
+        price: this.state.highestPrice,
+      };
+    }
+    if (!this.state.isActive) {
+      return undefined;
+    }
+    if (this.state.auctionType === "dutch") {
+      return {
+        title: "Net proceeds at the current price",
+        price: this._getDutchAuctionPrice(),
+      };
+    }
+    if (this.state.highestBidder !== ethers.constants.AddressZero) {
+      return {
+        title: "Net proceeds at the highest bid",
+        price: this.state.highestPrice,
+      };
+    }
+    return {
+      title: "Net proceeds at the base price",
+      price: this.state.basePrice,
+    };
+  }
+
+  // ------------- BID HISTORY -------------
+  // The auctions only store their highest bid, but every bid emits an event,
+  // so we rebuild the history from the auction's logs since the block it was
+  // created in. New bids are added as their events arrive.
+  async _getBidHistory() {
+    const auction = this._auction;
+    const { name } = BID_EVENTS[this.state.auctionType];
+    const fromBlock = (await auction.createdBlock()).toNumber();
+    const logs = await auction.queryFilter(auction.filters[name](), fromBlock);
+
+    await this._addBids(logs);
+  }
+
+  async _addBids(logs) {
+    const auction = this._auction;
+    const { name, isBid } = BID_EVENTS[this.state.auctionType];
+
+    // The logs don't include their block's time, so we read each block once
+    const blocks = new Map();
+    const bids = await Promise.all(
+      logs
+        .map((log) => ({ log, event: AUCTION_INTERFACE.parseLog(log) }))
+        .filter(({ event }) => event.name === name && isBid(event.args))
+        .map(async ({ log, event }) => {
+          if (!blocks.has(log.blockNumber)) {
+            blocks.set(
+              log.blockNumber,
+              this._provider.getBlock(log.blockNumber)
+            );
+          }
+          const { timestamp } = await blocks.get(log.blockNumber);
+
+          return {
+            bidder: event.args[0],
+            amount: event.args[1].toString(),
+            timestamp,
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            txHash: log.transactionHash,
+          };
+        })
+    );
+
+    // The user may have selected another auction while we were reading
+    if (auction !== this._auction) {
+      return;
+    }
+
+    // A bid may be both in the first query and in a new event
+    this.setState(({ bidHistory = [] }) => {
+      const known = new Set(
+        bidHistory.map((bid) => `${bid.txHash}-${bid.logIndex}`)
+      );
+      return {
+        bidHistory: [
+          ...bidHistory,
+          ...bids.filter((bid) => !known.has(`${bid.txHash}-${bid.logIndex}`)),
+        ].sort(
+          (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+        ),
+      };
     });
   }
 
+  // ------------- GET ALLOWLIST -------------
+  // The auction:allowlist task publishes the proofs of a private auction's
+  // allowlist with the Dapp, as /allowlists/<auction address>.json. This
+  // method fetches them, and returns null if they're missing or belong to
+  // another allowlist.
+  async _getAllowlist(root) {
+    if (root === ethers.constants.HashZero) {
+      return undefined;
+    }
+
+    try {
+      const response = await fetch(
+        `${process.env.PUBLIC_URL}/allowlists/${ethers.utils.getAddress(
+          this._auction.address
+        )}.json`
+      );
+      const allowlist = await response.json();
+      return allowlist.root === root ? allowlist : null;
+    } catch (error) {
+      console.error("Couldn't load the auction's allowlist", error);
+      return null;
+    }
+  }
+
+  _isPrivate() {
+    return (
+      this.state.allowlistRoot !== undefined &&
+      this.state.allowlistRoot !== ethers.constants.HashZero
+    );
+  }
+
+  // The user's proof of being on the allowlist, which they only have to send
+  // until the auction has checked it: undefined while the allowlist loads,
+  // and null if the user isn't on it
+  _getAllowlistProof() {
+    const { allowlist, selectedAddress } = this.state;
+    if (allowlist === undefined || allowlist === null) {
+      return allowlist;
+    }
+
+    return allowlist.proofs[ethers.utils.getAddress(selectedAddress)] ?? null;
+  }
+
+  // There's no account to prove in read-only mode
+  _needsAllowlistProof() {
+    return !this._isReadOnly() && this._isPrivate() && !this.state.allowlisted;
+  }
+
+  // This method sends an ethereum transaction to prove the user is on the
+  // allowlist, before a max bid or a buy-it-now, which don't take a proof.
+  // It returns whether the user can bid now.
+  async _proveAllowlisted() {
+    if (!this._needsAllowlistProof()) {
+      return true;
+    }
+
+    const receipt = await this._sendTransaction(() =>
+      this._auction.proveAllowlisted(this._getAllowlistProof())
+    );
+    return receipt !== undefined;
+  }
+
+  // ------------- GET AUCTION ITEM -------------
+  // This method reads the metadata of the auction's ERC-721 token, if it has
+  // one. It doesn't change, so it's only read when the auction is selected.
+  async _getItem() {
+    const auctionAddress = this._auction.address;
+    const [itemContract, tokenId] = await this._auction.getItem();
+    if (itemContract === ethers.constants.AddressZero) {
+      return;
+    }
+
+    const nft = new ethers.Contract(
+      itemContract,
+      IERC721MetadataArtifact.abi,
+      this._provider
+    );
+    let item = { name: `Token #${tokenId}` };
+    try {
+      const response = await fetch(
+        this._resolveUri(await nft.tokenURI(tokenId))
+      );
+      const metadata = await response.json();
+      item = {
+        name: metadata.name ?? item.name,
+        image: metadata.image && this._resolveUri(metadata.image),
+      };
+    } catch (error) {
+      console.error("Couldn't load the item's metadata", error);
+    }
+
+    // The user may have selected another auction while we were fetching
+    if (this._auction?.address !== auctionAddress) {
+      return;
+    }
+    this.setState({ item });
+  }
+
+  _resolveUri(uri) {
+    return uri.startsWith("ipfs://")
+      ? IPFS_GATEWAY + uri.slice("ipfs://".length)
+      : uri;
+  }
+
+  // This method returns the currency of the ERC-20 token at `address`, or
+  // ETHER for the zero address. Tokens are only read once.
+  async _getCurrency(address) {
+    if (address === ethers.constants.AddressZero) {
+      return ETHER;
+    }
+
+    this._currencies = this._currencies ?? {};
+    if (this._currencies[address] === undefined) {
+      const token = new ethers.Contract(
+        address,
+        TokenArtifact.abi,
+        this._provider
+      );
+      this._currencies[address] = {
+        address,
+        symbol: await token.symbol(),
+        decimals: await token.decimals(),
+      };
+    }
+    return this._currencies[address];
+  }
+
+  // This method formats an amount of the selected auction's currency
+  _formatAmount(amount) {
+    const { symbol, decimals } = this.state.currency;
+    return `${ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+  }
+
+  _isPaidInToken() {
+    return this.state.currency !== ETHER;
+  }
+
+  // ------------- REQUEST FUNDS -------------
+  // This method asks the faucet service for ETH and tokens for the user. The
+  // faucet waits for its transactions, so the funds are there when it
+  // answers.
+  async _requestFunds() {
+    this.setState({ requestingFunds: true, faucetError: undefined });
+    try {
+      await postJson(`${FAUCET_URL}/fund`, {
+        address: this.state.selectedAddress,
+      });
+      await this._updateBalance();
+      if (this._auction !== undefined) {
+        await this._getAuctionData();
+      }
+    } catch (error) {
+      console.error(error);
+      this.setState({ faucetError: error });
+    } finally {
+      this.setState({ requestingFunds: false });
+    }
+  }
+
+  _getFaucetProps() {
+    return {
+      requestFunds: () => this._requestFunds(),
+      requesting: this.state.requestingFunds,
+      error: this.state.faucetError?.message,
+      // The faucet refuses wrong requests (e.g. during the cooldown) with a
+      // 4xx status. Otherwise it isn't running, or it failed.
+      faucetDown:
+        this.state.faucetError !== undefined &&
+        (this.state.faucetError.status === undefined ||
+          this.state.faucetError.status >= 500),
+    };
+  }
+
   // ------------- GET ACCOUNT BALANCE -------------
   // The next method just read the balance from the network
   // and store the results in the component state.
   async _updateBalance() {
+    if (this._isReadOnly()) {
+      return;
+    }
+
     console.log("Fetching and updating account balance...");
     const balance = await this._provider.getBalance(this.state.selectedAddress);
     const wei = balance.toString();
@@ -190,11 +1348,11 @@ export class Dapp extends React.Component {
     this.setState({ balance: ether });
   }
 
-  // ------------- BID -------------
-  // This method sends an ethereum transaction to bid in the auction.
-  // While this action is specific to this application,
-  // it illustrates how to send a transaction.
-  async _bid(amount) {
+  // ------------- SEND TRANSACTION -------------
+  // This method sends an ethereum transaction built by `sendTx`, waits for it
+  // to be mined and refreshes the auction's data. Every action of this
+  // application uses it, and it illustrates how to send a transaction.
+  async _sendTransaction(sendTx) {
     // Sending a transaction is a complex operation:
     //   - The user can reject it
     //   - It can fail before reaching the ethereum network (i.e. if the user
@@ -208,6 +1366,12 @@ export class Dapp extends React.Component {
     // This method handles all of those things, so keep reading to learn how to
     // do it.
 
+    // In read-only mode there's no account to send it from, so we ask the
+    // user to connect their wallet instead
+    if (!this._requireWallet()) {
+      return;
+    }
+
     try {
       // If a transaction fails, we save that error in the component's state.
       // We only save one such error, so before sending a second transaction, we
@@ -216,90 +1380,563 @@ export class Dapp extends React.Component {
 
       // We send the transaction, and save its hash in the Dapp's state. This
       // way we can indicate that we are waiting for it to be mined.
-      const tx = await this._auction.bid({
-        value: ethers.utils.parseEther(amount),
-      });
+      const tx = await sendTx();
       this.setState({ txBeingSent: tx.hash });
 
-      // We use .wait() to wait for the transaction to be mined. This method
-      // returns the transaction's receipt.
-      const receipt = await tx.wait();
+      // We use .wait() to wait for the transaction to be mined. This method
+      // returns the transaction's receipt.
+      const receipt = await tx.wait();
+
+      // The receipt, contains a status flag, which is 0 to indicate an error.
+      if (receipt.status === 0) {
+        // We can't know the exact error that made the transaction fail when it
+        // was mined, so we throw this generic one.
+        throw new Error("Transaction failed");
+      }
+
+      // If we got here, the transaction was successful, so you may want to
+      // update your state. Here, we update the auction's information and the
+      // user's balance.
+      await this._getAuctionData();
+      await this._updateBalance();
+      return receipt;
+    } catch (error) {
+      // We check the error code to see if this error was produced because the
+      // user rejected a tx. If that's the case, we do nothing.
+      if (error.code === ERROR_CODE_TX_REJECTED_BY_USER) {
+        return;
+      }
+
+      // Other errors are logged and stored in the Dapp's state. This is used to
+      // show them to the user, and for debugging.
+      console.error(error);
+      this.setState({ transactionError: error });
+    } finally {
+      // If we leave the try/catch, we aren't sending a tx anymore, so we clear
+      // this part of the state.
+      this.setState({ txBeingSent: undefined });
+    }
+  }
+
+  // ------------- BID -------------
+  // This method sends an ethereum transaction to bid in the auction. Amounts
+  // the contract would reject are refused before the wallet is prompted.
+  async _bid(amount) {
+    if (
+      this._getBidError(amount) !== undefined ||
+      this._needsApproval(amount)
+    ) {
+      return;
+    }
+
+    const wei = ethers.utils.parseUnits(amount, this.state.currency.decimals);
+    // The first bid in a private auction takes the user's proof
+    if (this._needsAllowlistProof()) {
+      const proof = this._getAllowlistProof();
+      await this._sendTransaction(() =>
+        this._isPaidInToken()
+          ? this._auction.bidWithTokenAndProof(wei, proof)
+          : this._auction.bidWithProof(proof, { value: wei })
+      );
+      return;
+    }
+
+    await this._sendTransaction(() =>
+      this._isPaidInToken()
+        ? this._auction.bidWithToken(wei)
+        : this._auction.bid({ value: wei })
+    );
+  }
+
+  // This method checks a bid (in the auction's currency) against the
+  // auction's minimum next bid, and returns why it isn't valid, or undefined
+  // if it is.
+  _getBidError(amount) {
+    const { symbol, decimals } = this.state.currency;
+    let wei;
+    try {
+      wei = ethers.utils.parseUnits(amount || "", decimals);
+    } catch (error) {
+      return `Insert a valid amount of ${symbol}`;
+    }
+
+    if (this._getAuctionStatus() !== "active") {
+      return "This auction isn't accepting bids anymore";
+    }
+
+    if (this._needsAllowlistProof() && !this._getAllowlistProof()) {
+      return "Only the accounts on this auction's allowlist can bid";
+    }
+
+    if (wei.lt(this.state.minimumNextBid)) {
+      return `Bid must be at least ${this._formatAmount(
+        this.state.minimumNextBid
+      )}`;
+    }
+
+    if (
+      this._isPaidInToken() &&
+      !this._isReadOnly() &&
+      wei.gt(this.state.tokenBalance)
+    ) {
+      return `You don't have enough ${symbol}`;
+    }
+  }
+
+  // ------------- SIGNED BIDS -------------
+  // A signed bid doesn't need a transaction from the user: they sign it, and
+  // the relayer sends it to the auction, which pays it from their deposit.
+  async _signBid(amount) {
+    if (
+      this._getSignedBidError(amount) !== undefined ||
+      !this._requireWallet()
+    ) {
+      return;
+    }
+
+    const { chainId } = await this._provider.getNetwork();
+    const bid = {
+      bidder: this.state.selectedAddress,
+      amount: ethers.utils
+        .parseUnits(amount, this.state.currency.decimals)
+        .toString(),
+      nonce: this.state.nonce,
+      deadline: (this.state.now + SIGNED_BID_LIFETIME).toString(),
+    };
+
+    let signature;
+    try {
+      this._dismissTransactionError();
+      signature = await this._provider.getSigner(0)._signTypedData(
+        {
+          name: "Auction",
+          version: "1",
+          chainId,
+          verifyingContract: this._auction.address,
+        },
+        BID_TYPES,
+        bid
+      );
+    } catch (error) {
+      if (error.code !== ERROR_CODE_TX_REJECTED_BY_USER) {
+        console.error(error);
+        this.setState({ transactionError: error });
+      }
+      return;
+    }
+
+    await this._relayBid({ auction: this._auction.address, ...bid, signature });
+  }
+
+  // This method posts a signed bid to the relayer, and waits for the
+  // transaction it sends like _sendTransaction() does. If the auction would
+  // reject the bid, the relayer answers with the auction's error.
+  async _relayBid(signedBid) {
+    try {
+      const result = await postJson(`${RELAYER_URL}/bids`, signedBid);
+      this.setState({ txBeingSent: result.transactionHash });
+      const receipt = await this._provider.waitForTransaction(
+        result.transactionHash
+      );
+      if (receipt.status === 0) {
+        throw new Error("Transaction failed");
+      }
+
+      await this._getAuctionData();
+      await this._updateBalance();
+    } catch (error) {
+      console.error(error);
+      this.setState({ transactionError: error });
+    } finally {
+      this.setState({ txBeingSent: undefined });
+    }
+  }
+
+  // Like _getBidError(), for a signed bid, which the user's deposit has to
+  // cover. The first bid in a private auction carries the user's proof, so
+  // it can't be a signed one.
+  _getSignedBidError(amount) {
+    const bidError = this._getBidError(amount);
+    if (bidError !== undefined) {
+      return bidError;
+    }
+
+    if (this._needsAllowlistProof()) {
+      return "Your first bid in this private auction needs your wallet";
+    }
+
+    if (!this._isReadOnly() && this._getDepositShortfall(amount).gt(0)) {
+      return "Your deposit doesn't cover this bid";
+    }
+  }
+
+  // How much the user has to deposit for their deposit to cover a bid of
+  // `amount` (in the auction's currency)
+  _getDepositShortfall(amount) {
+    let wei;
+    try {
+      wei = ethers.utils.parseUnits(amount || "", this.state.currency.decimals);
+    } catch (error) {
+      return ethers.constants.Zero;
+    }
+
+    const shortfall = wei.sub(this.state.pendingReturn);
+    return shortfall.gt(0) ? shortfall : ethers.constants.Zero;
+  }
+
+  // This method sends an ethereum transaction to deposit the `wei` the user
+  // is missing to sign a bid. In token auctions, the user approves it first
+  // if they haven't yet.
+  async _deposit(wei) {
+    if (!this._isPaidInToken()) {
+      await this._sendTransaction(() => this._auction.deposit({ value: wei }));
+      return;
+    }
+
+    if (wei.gt(this.state.allowance)) {
+      const approval = await this._approve(
+        ethers.utils.formatUnits(wei, this.state.currency.decimals)
+      );
+      if (approval === undefined) {
+        return;
+      }
+    }
+    await this._sendTransaction(() => this._auction.depositToken(wei));
+  }
+
+  // ------------- AUTOMATIC BIDDING -------------
+  // This method sends an ethereum transaction to deposit a max bid, or to add
+  // `amount` to the user's max bid. The auction bids for them up to it. In
+  // token auctions, the user approves the amount first if they haven't yet,
+  // and in private auctions, they prove they're on the allowlist first.
+  async _proxyBid(amount) {
+    if (
+      this._getMaxBidError(amount) !== undefined ||
+      !(await this._proveAllowlisted())
+    ) {
+      return;
+    }
+
+    const wei = ethers.utils.parseUnits(amount, this.state.currency.decimals);
+    if (this._needsApproval(amount)) {
+      const approval = await this._approve(amount);
+      if (approval === undefined) {
+        return;
+      }
+    }
+
+    const receipt = await this._sendTransaction(() =>
+      this._isPaidInToken()
+        ? this._auction.proxyBidWithToken(wei)
+        : this._auction.proxyBid({ value: wei })
+    );
+    if (receipt !== undefined) {
+      this.setState({ maxBidValue: undefined });
+    }
+  }
+
+  // Like _getBidError(), for a max bid. The highest bidder can add any
+  // amount to theirs, but anyone else's max bid has to reach the minimum
+  // next bid.
+  _getMaxBidError(amount) {
+    const { symbol, decimals } = this.state.currency;
+    let wei;
+    try {
+      wei = ethers.utils.parseUnits(amount || "", decimals);
+    } catch (error) {
+      return `Insert a valid amount of ${symbol}`;
+    }
+
+    if (this._getAuctionStatus() !== "active") {
+      return "This auction isn't accepting bids anymore";
+    }
+
+    if (this._needsAllowlistProof() && !this._getAllowlistProof()) {
+      return "Only the accounts on this auction's allowlist can bid";
+    }
+
+    if (!this._isHighestBidder() && wei.lt(this.state.minimumNextBid)) {
+      return `Your max bid must be at least ${this._formatAmount(
+        this.state.minimumNextBid
+      )}`;
+    }
+
+    if (wei.isZero()) {
+      return "Insert an amount greater than zero";
+    }
+
+    if (
+      this._isPaidInToken() &&
+      !this._isReadOnly() &&
+      wei.gt(this.state.tokenBalance)
+    ) {
+      return `You don't have enough ${symbol}`;
+    }
+  }
+
+  // ------------- APPROVE TOKENS -------------
+  // Bids in tokens are taken with transferFrom, so the user has to approve
+  // the auction to take at least the amount they bid.
+  _needsApproval(amount) {
+    if (!this._isPaidInToken() || this._isReadOnly()) {
+      return false;
+    }
+
+    try {
+      const wei = ethers.utils.parseUnits(
+        amount || "",
+        this.state.currency.decimals
+      );
+      return wei.gt(this.state.allowance);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async _approve(amount) {
+    const wei = ethers.utils.parseUnits(amount, this.state.currency.decimals);
+    return this._sendTransaction(() =>
+      this._token.approve(this._auction.address, wei)
+    );
+  }
+
+  // ------------- BUY IT NOW -------------
+  // This method sends an ethereum transaction to pay the buy-it-now price,
+  // which ends the auction at once. In token auctions, the user approves the
+  // price first if they haven't yet, and in private auctions, they prove
+  // they're on the allowlist first.
+  async _buyNow() {
+    if (!(await this._proveAllowlisted())) {
+      return;
+    }
+
+    const price = this.state.buyNowPrice;
+    if (!this._isPaidInToken()) {
+      await this._sendTransaction(() => this._auction.buyNow({ value: price }));
+      return;
+    }
+
+    if (ethers.BigNumber.from(price).gt(this.state.allowance)) {
+      const approval = await this._approve(
+        ethers.utils.formatUnits(price, this.state.currency.decimals)
+      );
+      if (approval === undefined) {
+        return;
+      }
+    }
+    await this._sendTransaction(() => this._auction.buyNow());
+  }
+
+  // ------------- SEALED BIDS -------------
+  // A sealed bid is committed as a hash of the bidder, the amount and a random
+  // salt. The amount and the salt are needed to reveal it later, so we keep
+  // them in this browser's localStorage until then.
+  _getSealedBidStorageKey() {
+    return `sealedBid:${this.state.selectedAuction}:${this.state.selectedAddress}`.toLowerCase();
+  }
+
+  _getStoredSealedBid() {
+    if (this._isReadOnly()) {
+      return undefined;
+    }
+
+    const storedBid = localStorage.getItem(this._getSealedBidStorageKey());
+    return storedBid ? JSON.parse(storedBid) : undefined;
+  }
+
+  async _commitSealedBid(amount, deposit) {
+    if (!this._requireWallet()) {
+      return;
+    }
+
+    const amountInWei = ethers.utils.parseEther(amount);
+    const depositInWei = ethers.utils.parseEther(deposit);
+    if (depositInWei.lt(amountInWei)) {
+      this.setState({
+        transactionError: new Error("The deposit must cover your bid"),
+      });
+      return;
+    }
+
+    // The auction only takes one sealed bid per account, and the stored bid
+    // of an existing commitment is needed to reveal it, so we don't touch it
+    // if the user has already committed (e.g. from another tab)
+    const existing = await this._auction.commitments(
+      this.state.selectedAddress
+    );
+    if (existing.hash !== ethers.constants.HashZero) {
+      this.setState({
+        transactionError: new Error("You have already committed a sealed bid"),
+      });
+      await this._getAuctionData();
+      return;
+    }
+
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const hash = ethers.utils.solidityKeccak256(
+      ["address", "uint256", "bytes32"],
+      [this.state.selectedAddress, amountInWei, salt]
+    );
+
+    // We store the salt before sending the transaction, as the bid can't be
+    // revealed without it
+    const storageKey = this._getSealedBidStorageKey();
+    const previousBid = localStorage.getItem(storageKey);
+    const storedBid = JSON.stringify({ amount: amountInWei.toString(), salt });
+    localStorage.setItem(storageKey, storedBid);
+
+    await this._sendTransaction(() =>
+      this._auction.commitBid(hash, { value: depositInWei })
+    );
+
+    // If the commitment didn't make it on-chain, the bid we stored is
+    // useless, so we put back what was stored before. If another tab has
+    // stored its own bid meanwhile, that one is kept.
+    const commitment = await this._auction.commitments(
+      this.state.selectedAddress
+    );
+    if (commitment.hash !== hash) {
+      if (localStorage.getItem(storageKey) === storedBid) {
+        if (previousBid === null) {
+          localStorage.removeItem(storageKey);
+        } else {
+          localStorage.setItem(storageKey, previousBid);
+        }
+      }
+      await this._getAuctionData();
+    }
+  }
+
+  async _revealSealedBid() {
+    const { amount, salt } = this.state.storedBid;
+    await this._sendTransaction(() => this._auction.revealBid(amount, salt));
+  }
 
-      // The receipt, contains a status flag, which is 0 to indicate an error.
-      if (receipt.status === 0) {
-        // We can't know the exact error that made the transaction fail when it
-        // was mined, so we throw this generic one.
-        throw new Error("Transaction failed");
-      }
+  // ------------- BUY -------------
+  // This method sends an ethereum transaction to buy the item of a Dutch
+  // auction. The price can only drop until the transaction is mined, and the
+  // contract refunds any overpayment, so we pay the price it quotes now.
+  async _buy() {
+    await this._sendTransaction(async () => {
+      const price = await this._auction.currentPrice();
+      return this._auction.buy({ value: price });
+    });
+  }
 
-      // If we got here, the transaction was successful, so you may want to
-      // update your state. Here, we update the auction's information.
-      await this._getAuctionData();
-    } catch (error) {
-      // We check the error code to see if this error was produced because the
-      // user rejected a tx. If that's the case, we do nothing.
-      if (error.code === ERROR_CODE_TX_REJECTED_BY_USER) {
-        return;
-      }
+  // ------------- FINALIZE AUCTION -------------
+  // This method sends an ethereum transaction to settle an auction whose
+  // time is up, and shows its winner, the price and what the beneficiary gets
+  // of it from the AuctionEnded and ProceedsDistributed events it emits. The
+  // owner and the operators of an English auction can also pay the proceeds
+  // to the beneficiary with finalize(), which the other types of auction don't
+  // have.
+  async _finalize(payBeneficiary = false) {
+    if (payBeneficiary && this.state.auctionType !== "english") {
+      return;
+    }
 
-      // Other errors are logged and stored in the Dapp's state. This is used to
-      // show them to the user, and for debugging.
-      console.error(error);
-      this.setState({ transactionError: error });
-    } finally {
-      // If we leave the try/catch, we aren't sending a tx anymore, so we clear
-      // this part of the state.
-      this.setState({ txBeingSent: undefined });
+    const receipt = await this._sendTransaction(() =>
+      payBeneficiary
+        ? this._auction.finalize()
+        : this._auction.checkIfAuctionEnded()
+    );
+    if (receipt === undefined) {
+      return;
+    }
+
+    // If someone else settled the auction first, the transaction doesn't end
+    // it again, so there's no settlement to show. We read the auction's
+    // snapshot again, which shows it settled.
+    const ended = receipt.events.find(({ event }) => event === "AuctionEnded");
+    if (ended === undefined) {
+      await this._getAuctionData();
+      return;
     }
+
+    const { args } = ended;
+    // Auctions without a winner don't distribute any proceeds
+    const distributed = receipt.events.find(
+      ({ event }) => event === "ProceedsDistributed"
+    );
+    this.setState({
+      settlement: {
+        winner: args._winner,
+        amount: args._amount.toString(),
+        sellerProceeds: distributed?.args._sellerProceeds.toString(),
+        fee: distributed?.args._fee.toString(),
+        splits: distributed?.args._splits.toString(),
+        paidOut: payBeneficiary,
+      },
+    });
   }
 
-  // ------------- STOP AUCTION -------------
-  // This method sends an ethereum transaction to stop the auction,
-  // and fetch the auction data to store the results in the component state.
-  async _stopAuction() {
-    try {
-      // If a transaction fails, we save that error in the component's state.
-      // We only save one such error, so before sending a second transaction, we
-      // clear it.
-      this._dismissTransactionError();
+  // ------------- ADMINISTRATION -------------
+  // These methods send the transactions of the English auction's admin
+  // panel. Only the owner can send them, except for acceptOwnership(), which
+  // is sent by the account the ownership is being transferred to.
+  async _pause() {
+    await this._sendTransaction(() => this._auction.pause());
+  }
 
-      // We send the transaction, and save its hash in the Dapp's state. This
-      // way we can indicate that we are waiting for it to be mined.
-      const tx = await this._auction.stopAuction();
-      this.setState({ txBeingSent: tx.hash });
+  async _unpause() {
+    await this._sendTransaction(() => this._auction.unpause());
+  }
 
-      // We use .wait() to wait for the transaction to be mined. This method
-      // returns the transaction's receipt.
-      const receipt = await tx.wait();
+  async _transferOwnership(address) {
+    await this._sendTransaction(() => this._auction.transferOwnership(address));
+  }
 
-      // The receipt, contains a status flag, which is 0 to indicate an error.
-      if (receipt.status === 0) {
-        // We can't know the exact error that made the transaction fail when it
-        // was mined, so we throw this generic one.
-        throw new Error("Transaction failed");
-      }
+  async _acceptOwnership() {
+    await this._sendTransaction(() => this._auction.acceptOwnership());
+  }
 
-      // If we got here, the transaction was successful, so you may want to
-      // update your state. Here, we update the user's balance.
-      await this._getAuctionData();
-    } catch (error) {
-      // We check the error code to see if this error was produced because the
-      // user rejected a tx. If that's the case, we do nothing.
-      if (error.code === ERROR_CODE_TX_REJECTED_BY_USER) {
-        return;
-      }
+  async _setOperator(address, enabled) {
+    await this._sendTransaction(() =>
+      this._auction.setOperator(address, enabled)
+    );
+  }
 
-      // Other errors are logged and stored in the Dapp's state. This is used to
-      // show them to the user, and for debugging.
-      console.error(error);
-      // console.error(error.error?.data?.data?.message);
-      // console.log(this._auction.interface.parseError(error.error?.data?.data));
-      this.setState({ transactionError: error });
-    } finally {
-      // If we leave the try/catch, we aren't sending a tx anymore, so we clear
-      // this part of the state.
-      this.setState({ txBeingSent: undefined });
+  // The auction doesn't list its operators, so we rebuild the list from the
+  // OperatorSet events since its creation
+  async _getOperators() {
+    const auction = this._auction;
+    const fromBlock = (await auction.createdBlock()).toNumber();
+    const logs = await auction.queryFilter(
+      auction.filters.OperatorSet(),
+      fromBlock
+    );
+
+    const operators = new Map();
+    for (const { args } of logs) {
+      operators.set(args._operator, args._enabled);
     }
+
+    // The user may have selected another auction while we were reading
+    if (auction === this._auction) {
+      this.setState({
+        operators: [...operators]
+          .filter(([, enabled]) => enabled)
+          .map(([operator]) => operator),
+      });
+    }
+  }
+
+  // ------------- STOP AUCTION -------------
+  // This method sends an ethereum transaction to stop the auction.
+  async _stopAuction() {
+    await this._sendTransaction(() => this._auction.stopAuction());
+  }
+
+  // ------------- WITHDRAW -------------
+  // This method sends an ethereum transaction to withdraw the user's pending
+  // returns: outbid bids, refunds or the auction's proceeds.
+  async _withdraw() {
+    await this._sendTransaction(() => this._auction.withdraw());
+  }
+
+  // This method just clears part of the state.
+  _dismissSettlement() {
+    this.setState({ settlement: undefined });
   }
 
   // This method just clears part of the state.
@@ -312,9 +1949,19 @@ export class Dapp extends React.Component {
     this.setState({ networkError: undefined });
   }
 
+  // This method just clears part of the state.
+  _dismissConnectPrompt() {
+    this.setState({ connectPrompt: false });
+  }
+
   // This is an utility method that turns an RPC error into a human readable
   // message.
   _getRpcErrorMessage(error) {
+    const auctionError = this._getAuctionErrorMessage(error);
+    if (auctionError !== undefined) {
+      return auctionError;
+    }
+
     if (error.data) {
       return error.data.message;
     }
@@ -322,15 +1969,58 @@ export class Dapp extends React.Component {
     return error.message;
   }
 
-  // This method resets the state
+  // This method decodes the custom error an auction reverted with, and returns
+  // its message, or undefined if the transaction failed for another reason.
+  _getAuctionErrorMessage(error) {
+    const data = findRevertData(error);
+    if (data === undefined) {
+      return undefined;
+    }
+
+    let decoded;
+    try {
+      decoded = AUCTION_INTERFACE.parseError(data);
+    } catch (parseError) {
+      return undefined;
+    }
+
+    const message = AUCTION_ERROR_MESSAGES[decoded.name];
+    return message?.(decoded.args, (amount) => this._formatAmount(amount));
+  }
+
+  // This method resets the state, but the wallets that announced themselves
+  // are still there
   _resetState() {
-    this.setState(this.initialState);
+    this.setState({ ...this.initialState, wallets: this.state.wallets });
   }
 
-  async _switchChain() {
-    const chainIdHex = `0x${HARDHAT_NETWORK_ID.toString(16)}`;
-    console.log(chainIdHex);
-    await window.ethereum.request({
+  // The networks the auctions are deployed on, with Hardhat Network first
+  _getDeployedChainIds() {
+    return Object.keys(deployments)
+      .filter((id) => deployments[id].AuctionFactory !== undefined)
+      .sort((a, b) => (b === HARDHAT_NETWORK_ID) - (a === HARDHAT_NETWORK_ID));
+  }
+
+  // This method asks the wallet to switch to `chainId`. If the wallet doesn't
+  // know Hardhat Network yet, it asks it to add it first.
+  async _switchChain(chainId) {
+    const chainIdHex = `0x${Number(chainId).toString(16)}`;
+    try {
+      await this._wallet.request({
+        method: "wallet_switchEthereumChain",
+        params: [{ chainId: chainIdHex }],
+      });
+      return;
+    } catch (error) {
+      if (
+        error.code !== ERROR_CODE_UNRECOGNIZED_CHAIN ||
+        chainId !== HARDHAT_NETWORK_ID
+      ) {
+        throw error;
+      }
+    }
+
+    await this._wallet.request({
       method: "wallet_addEthereumChain",
       params: [
         {
@@ -340,25 +2030,380 @@ export class Dapp extends React.Component {
         },
       ],
     });
-    await window.ethereum.request({
+    await this._wallet.request({
       method: "wallet_switchEthereumChain",
       params: [{ chainId: chainIdHex }],
     });
-    await this._initialize(this.state.selectedAddress);
   }
 
-  // This method checks if the selected network is Localhost:8545
+  // This method asks the wallet to switch to a network the auctions are
+  // deployed on. Once it does, the wallet's chainChanged event initializes
+  // the dapp again.
+  async _switchNetwork() {
+    try {
+      await this._switchChain(this._getDeployedChainIds()[0]);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async _getChainId() {
+    const chainIdHex = await this._wallet.request({ method: "eth_chainId" });
+    return String(Number(chainIdHex));
+  }
+
+  // This method picks the deployment of the wallet's network from the
+  // manifest. If there isn't one, but the auctions are deployed on another
+  // network, it asks the wallet to switch to it first. It returns whether
+  // there's a deployment to use.
   async _checkNetwork() {
-    if (window.ethereum.networkVersion !== HARDHAT_NETWORK_ID) {
-      this._switchChain();
+    let chainId = await this._getChainId();
+    const deployedChainIds = this._getDeployedChainIds();
+    if (
+      deployments[chainId]?.AuctionFactory === undefined &&
+      deployedChainIds.length > 0
+    ) {
+      try {
+        await this._switchChain(deployedChainIds[0]);
+        chainId = await this._getChainId();
+      } catch (error) {
+        console.error(error);
+      }
+    }
+
+    return this._useDeployment(chainId);
+  }
+
+  // This method uses the deployment on `chainId`, or explains that there
+  // isn't one, and returns false.
+  _useDeployment(chainId) {
+    this._deployment = deployments[chainId];
+    this.setState({ networkId: chainId });
+    if (this._deployment?.AuctionFactory !== undefined) {
+      this.setState({ networkError: undefined });
+      return true;
+    }
+
+    const deployedChainIds = this._getDeployedChainIds();
+    this.setState({
+      networkError:
+        `The auctions aren't deployed on the network your wallet is ` +
+        `connected to (chain id ${chainId}). ` +
+        (deployedChainIds.length > 0
+          ? `Switch your wallet to a network they are deployed on (chain id ${deployedChainIds.join(
+              ", "
+            )}).`
+          : "Deploy them with scripts/deploy.js first."),
+    });
+    return false;
+  }
+
+  // ---------- Context Information: Account & Network ----------
+  _renderContextInformation() {
+    return (
+      <div className="Context-information">
+        <p>
+          {" "}
+          Factory address: {this._deployment?.AuctionFactory.address ?? ""}
+        </p>
+        {this.state.selectedAuction && (
+          <p> Auction address: {this.state.selectedAuction}</p>
+        )}
+        {this._isReadOnly() ? (
+          <p>
+            {" "}
+            Read-only mode: the auctions are read from {RPC_URL}.
+            <WalletPicker
+              wallets={this._getWallets()}
+              connectWallet={(wallet) => this._connectWallet(wallet)}
+            />
+          </p>
+        ) : (
+          <>
+            <p> Your address: {this.state.selectedAddress}</p>
+            <p>Your balance: {this.state.balance ?? 0} Ether</p>
+          </>
+        )}
+        {/*
+            If the user has no balance, we show how to get some
+          */}
+        {this.state.balance === "0.0" && (
+          <NoTokensMessage {...this._getFaucetProps()} />
+        )}
+      </div>
+    );
+  }
+
+  // ---------- Auction timing, depending on the type of auction ----------
+  _renderEnglishAuctionTiming() {
+    return (
+      <>
+        <p>
+          <b className="Auction-info-title">Duration </b>
+          {formatDuration(Number(this.state.duration))}
+        </p>
+        <p>
+          <b className="Auction-info-title">Ends at </b>
+          {`${new Date(this.state.endTime * 1000).toUTCString()} `}
+          <Countdown endTime={this.state.endTime} now={this.state.now} />{" "}
+          {this.state.extended && (
+            <span
+              className="badge badge-warning"
+              title="A late bid pushed the end time forward"
+            >
+              EXTENDED
+            </span>
+          )}
+        </p>
+      </>
+    );
+  }
+
+  _renderSealedBidTiming() {
+    return (
+      <>
+        <p>
+          <b className="Auction-info-title">Phase </b>
+          {SEALED_BID_PHASES[this.state.phase]}
+        </p>
+        <p>
+          <b className="Auction-info-title">Commit phase ends at </b>
+          {`${new Date(this.state.commitEndTime * 1000).toUTCString()} `}
+          {this.state.now <= this.state.commitEndTime && (
+            <Countdown
+              endTime={this.state.commitEndTime}
+              now={this.state.now}
+            />
+          )}
+        </p>
+        <p>
+          <b className="Auction-info-title">Reveal phase ends at </b>
+          {`${new Date(this.state.revealEndTime * 1000).toUTCString()} `}
+          {this.state.now > this.state.commitEndTime && (
+            <Countdown
+              endTime={this.state.revealEndTime}
+              now={this.state.now}
+            />
+          )}
+        </p>
+      </>
+    );
+  }
+
+  _renderDutchAuctionTiming() {
+    return (
+      <>
+        <p>
+          <b className="Auction-info-title">Duration </b>
+          {formatDuration(Number(this.state.duration))}
+        </p>
+        <p>
+          <b className="Auction-info-title">Ends at </b>
+          {`${new Date(this.state.endTime * 1000).toUTCString()} `}
+          <Countdown endTime={this.state.endTime} now={this.state.now} />
+        </p>
+        <p>
+          <b className="Auction-info-title">Start price </b>
+          {ethers.utils.formatEther(this.state.startPrice)} Ether
+        </p>
+        <p>
+          <b className="Auction-info-title">Price drops every </b>
+          {formatDuration(this.state.priceDropInterval)}
+        </p>
+      </>
+    );
+  }
+
+  _renderAuctionTiming() {
+    switch (this.state.auctionType) {
+      case "sealed":
+        return this._renderSealedBidTiming();
+      case "dutch":
+        return this._renderDutchAuctionTiming();
+      default:
+        return this._renderEnglishAuctionTiming();
+    }
+  }
+
+  // ---------- Auction actions, depending on the type of auction ----------
+  _renderEnglishAuctionActions() {
+    const { symbol, decimals } = this.state.currency;
+
+    return (
+      <>
+        {/* Private auctions: whether the user is on the allowlist */}
+        {this._isPrivate() && !this._isReadOnly() && (
+          <AllowlistMessage
+            allowlisted={this.state.allowlisted}
+            proof={this._getAllowlistProof()}
+          />
+        )}
+
+        {/* Token auctions: balance, allowance and approval */}
+        {this._isPaidInToken() && !this._isReadOnly() && (
+          <TokenAllowance
+            currency={this.state.currency}
+            balance={this.state.tokenBalance}
+            allowance={this.state.allowance}
+            needsApproval={this._needsApproval(this.state.value)}
+            approve={() => this._approve(this.state.value)}
+            faucet={this._getFaucetProps()}
+          />
+        )}
+
+        {/* Input & Button to bid, pre-filled with the minimum next bid */}
+        <input
+          placeholder={`Insert value in ${symbol}`}
+          value={this.state.value ?? ""}
+          onChange={(e) => this.setState({ value: e.target.value })}
+          type="number"
+          step="any"
+          min={ethers.utils.formatUnits(this.state.minimumNextBid, decimals)}
+          style={{ padding: "5px 10px 5px 10px", width: "300px" }}
+        ></input>
+        <button
+          className="btn btn-success"
+          type="button"
+          style={{ margin: "5px" }}
+          disabled={
+            this._getBidError(this.state.value) !== undefined ||
+            this._needsApproval(this.state.value)
+          }
+          onClick={() => this._bid(this.state.value)}
+        >
+          BID
+        </button>
+
+        {/* Button to sign the bid instead, for the relayer to send it */}
+        <button
+          className="btn btn-info"
+          type="button"
+          style={{ margin: "5px" }}
+          disabled={this._getSignedBidError(this.state.value) !== undefined}
+          title={this._getSignedBidError(this.state.value)}
+          onClick={() => this._signBid(this.state.value)}
+        >
+          SIGN BID
+        </button>
+
+        {/* Button to buy it now, only while the auction offers it */}
+        {this.state.buyNowAvailable && (
+          <button
+            className="btn btn-warning"
+            type="button"
+            style={{ margin: "5px" }}
+            disabled={
+              this._getAuctionStatus() !== "active" ||
+              (this._needsAllowlistProof() && !this._getAllowlistProof())
+            }
+            onClick={() => this._buyNow()}
+          >
+            BUY NOW FOR {this._formatAmount(this.state.buyNowPrice)}
+          </button>
+        )}
+
+        {/* Helper to convert wei to ether */}
+        {this.state.value && (
+          <p>
+            You're gonna bid: {this.state.value ?? 0} {symbol}
+          </p>
+        )}
+        <p>Minimum bid: {this._formatAmount(this.state.minimumNextBid)}</p>
+        {this.state.value && this._getBidError(this.state.value) && (
+          <p className="text-danger">{this._getBidError(this.state.value)}</p>
+        )}
+
+        {/* The deposit signed bids are paid from */}
+        {this._getAuctionStatus() === "active" && !this._isReadOnly() && (
+          <BidDeposit
+            deposit={this.state.pendingReturn}
+            shortfall={this._getDepositShortfall(this.state.value)}
+            currency={this.state.currency}
+            depositFunds={() =>
+              this._deposit(this._getDepositShortfall(this.state.value))
+            }
+          />
+        )}
+
+        {/* Automatic bidding up to the user's max bid, which is only in use
+            while they're the highest bidder */}
+        <MaxBid
+          maxBid={this.state.maxBid}
+          inUse={this._isHighestBidder() ? this.state.highestPrice : "0"}
+          currency={this.state.currency}
+          value={this.state.maxBidValue}
+          setValue={(maxBidValue) => this.setState({ maxBidValue })}
+          error={this._getMaxBidError(this.state.maxBidValue)}
+          proxyBid={() => this._proxyBid(this.state.maxBidValue)}
+        />
+      </>
+    );
+  }
+
+  _renderSealedBidActions() {
+    return (
+      <SealedBidActions
+        phase={this.state.phase}
+        commitEndTime={this.state.commitEndTime}
+        revealEndTime={this.state.revealEndTime}
+        commitment={this.state.commitment}
+        storedBid={this.state.storedBid}
+        commitBid={(amount, deposit) => this._commitSealedBid(amount, deposit)}
+        revealBid={() => this._revealSealedBid()}
+      />
+    );
+  }
+
+  _renderDutchAuctionActions() {
+    return (
+      <DutchAuctionActions
+        price={this._getDutchAuctionPrice().toString()}
+        floorPrice={this.state.floorPrice}
+        nextPriceDropIn={
+          this.state.priceDropInterval -
+          ((this.state.now - this.state.createdAt) %
+            this.state.priceDropInterval)
+        }
+        isOpen={this._getAuctionStatus() === "active"}
+        buy={() => this._buy()}
+      />
+    );
+  }
+
+  _renderAuctionActions() {
+    switch (this.state.auctionType) {
+      case "sealed":
+        return this._renderSealedBidActions();
+      case "dutch":
+        return this._renderDutchAuctionActions();
+      default:
+        return this._renderEnglishAuctionActions();
     }
-    this.setState({ networkId: window.ethereum.networkVersion });
+  }
+
+  // In read-only mode, the actions show this prompt when the user tries them
+  _renderConnectPrompt() {
+    return (
+      this.state.connectPrompt && (
+        <ConnectPrompt
+          wallets={this._getWallets()}
+          connectWallet={(wallet) => this._connectWallet(wallet)}
+          dismiss={() => this._dismissConnectPrompt()}
+        />
+      )
+    );
   }
 
   render() {
-    // Ethereum wallets inject the window.ethereum object. If it hasn't been
-    // injected, we instruct the user to install a wallet.
-    if (window.ethereum === undefined) {
+    // Until the user connects their wallet, the auctions are shown in
+    // read-only mode. Only if they can't be read from RPC_URL, the user needs
+    // a wallet to see them.
+    const needsWallet =
+      !this.state.selectedAddress && this.state.readOnlyUnavailable;
+
+    // Ethereum wallets announce themselves, or inject the window.ethereum
+    // object. If there isn't any, we instruct the user to install a wallet.
+    if (needsWallet && this._getWallets().length === 0) {
       return <NoWalletDetected />;
     }
 
@@ -368,19 +2413,63 @@ export class Dapp extends React.Component {
     // to show the ConnectWallet component.
     //
     // Note that we pass it a callback that is going to be called when the user
-    // clicks a button. This callback just calls the _connectWallet method.
-    if (!this.state.selectedAddress) {
+    // clicks a button. This callback just calls the _connectWallet method
+    // with the wallet they picked, if they have several.
+    if (needsWallet) {
       return (
         <ConnectWallet
-          connectWallet={() => this._connectWallet()}
+          wallets={this._getWallets()}
+          connectWallet={(wallet) => this._connectWallet(wallet)}
           networkError={this.state.networkError}
           dismiss={() => this._dismissNetworkError()}
         />
       );
     }
 
-    // If the user's balance hasn't loaded yet, we show a loading component.
-    if (!this.state.auctionInfo) {
+    // If the connected wallet is on a network the auctions aren't deployed
+    // on, or loses its connection, we explain it until it's back. The user
+    // can also go back to read-only mode.
+    if (this.state.selectedAddress && this.state.networkError) {
+      return (
+        <NetworkMismatch
+          message={this.state.networkError}
+          switchNetwork={
+            deployments[this.state.networkId]?.AuctionFactory === undefined
+              ? () => this._switchNetwork()
+              : undefined
+          }
+          dismiss={() => this._disconnectWallet()}
+        />
+      );
+    }
+
+    // If the auctions haven't loaded yet, we show a loading component.
+    if (!this.state.auctions) {
+      return <Loading />;
+    }
+
+    // If no auction is selected, we show the factory's auctions.
+    if (!this.state.selectedAuction) {
+      return (
+        <div className="container p-4">
+          <h1 className="App-title">Welcome to the auctions </h1>
+          {this._renderContextInformation()}
+          {this._renderConnectPrompt()}
+
+          <h2 className="App-subtitle">Auctions</h2>
+          <AuctionList
+            auctions={this.state.auctions}
+            filter={this.state.auctionFilter}
+            changeFilter={(filter) => this._changeAuctionFilter(filter)}
+            selectAuction={(address) => this._selectAuction(address)}
+          />
+        </div>
+      );
+    }
+
+    // If the selected auction's data hasn't loaded yet, we show a loading
+    // component.
+    if (!this.state.snapshot) {
       return <Loading />;
     }
 
@@ -388,19 +2477,16 @@ export class Dapp extends React.Component {
     return (
       <div className="container p-4">
         <h1 className="App-title">Welcome to the auction </h1>
+        <button
+          className="btn btn-link"
+          type="button"
+          style={{ marginBottom: "20px" }}
+          onClick={() => this._unselectAuction()}
+        >
+          &larr; Back to auctions
+        </button>
 
-        {/* ---------- Context Information: Account & Network ---------- */}
-        <div className="Context-information">
-          <p> Contract address: {contractAddress.Auction ?? ""}</p>
-          <p> Your address: {this.state.selectedAddress ?? ""}</p>
-          <p>Your balance: {this.state.balance ?? 0} Ether</p>
-          {/*
-              If the user has no balance, we don't show the Transfer form
-            */}
-          {this.state.balance === "0.0" && (
-            <NoTokensMessage selectedAddress={this.state.selectedAddress} />
-          )}
-        </div>
+        {this._renderContextInformation()}
 
         {/* -------------------- Auction information -------------------- */}
         <h2 className="App-subtitle" id="inline">
@@ -414,19 +2500,39 @@ export class Dapp extends React.Component {
           GET AUCTION INFO
         </button>
 
-        {this.state.auctionInfo && (
+        {this.state.snapshot && (
           <div className="Auction-information">
             <div className="Auction-information-img">
-              {/* Auction Image */}
-              <img
-                width="80%"
-                src="https://bafybeifzm6xqduwgl6lwjyabj2v5qwduwqgotr6hjj5cu632ldtu6zbw4a.ipfs.nftstorage.link/"
-              />
+              {/* Auction Image, from the item's metadata */}
+              {this.state.item?.image && (
+                <img
+                  width="80%"
+                  src={this.state.item.image}
+                  alt={this.state.item.name}
+                />
+              )}
               <br />
 
               {/* Basic Information */}
             </div>
             <div className="Auction-information-text">
+              {this.state.item && (
+                <p>
+                  <b className="Auction-info-title">Item </b>
+                  {`${this.state.item.name} `}
+                  {this.state.itemDeposited && (
+                    <span className="badge badge-success">IN ESCROW</span>
+                  )}
+                  {!this.state.itemDeposited && this.state.isActive && (
+                    <span className="badge badge-warning">
+                      NOT DEPOSITED YET
+                    </span>
+                  )}
+                  {!this.state.itemDeposited && !this.state.isActive && (
+                    <span className="badge badge-secondary">TRANSFERRED</span>
+                  )}
+                </p>
+              )}
               <p>
                 <b className="Auction-info-title">Description </b>
                 {this.state.description}
@@ -434,17 +2540,20 @@ export class Dapp extends React.Component {
               <p>
                 <b className="Auction-info-title">Created at </b>
                 {`${new Date(this.state.createdAt * 1000).toUTCString()} `}
+                {`(${formatDuration(
+                  Math.max(this.state.now - this.state.createdAt, 0)
+                )} ago)`}
               </p>
-              <p>
-                <b className="Auction-info-title">Duration </b>
-                {`${this.state.duration} seconds `}
-                {`(${this.state.duration / 60} minutes)`}
-              </p>
+              {this._renderAuctionTiming()}
 
               {/* More information */}
               <p>
-                <b className="Auction-info-title">Base price </b>
-                {ethers.utils.formatEther(this.state.basePrice)} Ether
+                <b className="Auction-info-title">
+                  {this.state.auctionType === "dutch"
+                    ? "Floor price "
+                    : "Base price "}
+                </b>
+                {this._formatAmount(this.state.basePrice)}
               </p>
               <p>
                 <b className="Auction-info-title">Highest Bidder </b>
@@ -452,12 +2561,23 @@ export class Dapp extends React.Component {
               </p>
               <p>
                 <b className="Auction-info-title">Highest Price </b>
-                {ethers.utils.formatEther(this.state.highestPrice)} Ether
+                {this._formatAmount(this.state.highestPrice)}
               </p>
+              {this.state.payouts && this._getProceedsPrice() && (
+                <ProceedsBreakdown
+                  {...this._getProceedsPrice()}
+                  payouts={this.state.payouts}
+                  currency={this.state.currency}
+                />
+              )}
               <p>
                 <b className="Auction-info-title">Original Owner </b>
                 {this.state.originalOwner}
               </p>
+              <p>
+                <b className="Auction-info-title">Beneficiary </b>
+                {this.state.beneficiary}
+              </p>
               <p>
                 <b className="Auction-info-title">New Owner </b>
                 {this.state.newOwner}
@@ -466,56 +2586,136 @@ export class Dapp extends React.Component {
                 <b className="Auction-info-title">Status </b>
                 <a
                   style={{
-                    color: this.state.isActive ? "green" : "red",
+                    color: AUCTION_STATUS_COLORS[this._getAuctionStatus()],
                     fontWeight: "600",
                   }}
                 >
-                  {`${
-                    this.state.isActive
-                      ? "STILL ACTIVE!! ✅ 🤩"
-                      : "NOT ACTIVE ❌ 😭"
-                  }`}
+                  {AUCTION_STATUS_LABELS[this._getAuctionStatus()]}
                 </a>
               </p>
             </div>
           </div>
         )}
 
+        {/* -------------------- Bid history -------------------- */}
+        <h2 className="App-subtitle">Bid history</h2>
+        {this.state.bidHistory ? (
+          <BidHistory
+            bids={this.state.bidHistory}
+            currency={this.state.currency}
+            selectedAddress={this.state.selectedAddress}
+          />
+        ) : (
+          <p>Loading the bid history...</p>
+        )}
+
         {/* -------------------- Auction actions -------------------- */}
         <h2 className="App-subtitle">Auction actions</h2>
         <div className="Auction-actions">
-          {/* Input & Button to bid */}
-          <input
-            placeholder="Insert value in Ether"
-            onChange={(e) => this.setState({ value: e.target.value })}
-            type="number"
-            style={{ padding: "5px 10px 5px 10px", width: "300px" }}
-          ></input>
-          <button
-            className="btn btn-success"
-            type="button"
-            style={{ margin: "5px" }}
-            onClick={() => this._bid(this.state.value)}
-          >
-            BID
-          </button>
+          {this._renderAuctionActions()}
 
-          {/* Button to stop auction */}
-          <button
-            className="btn btn-danger"
-            type="button"
-            style={{ margin: "5px" }}
-            onClick={() => this._stopAuction()}
-          >
-            STOP AUCTION
-          </button>
+          {/* Once its time is up, anyone can settle the auction */}
+          {this._getAuctionStatus() === "ended" && (
+            <button
+              className="btn btn-primary"
+              type="button"
+              style={{ margin: "5px" }}
+              onClick={() => this._finalize()}
+            >
+              FINALIZE
+            </button>
+          )}
+
+          {/* The owner and the operators of an English auction can also pay
+              the beneficiary right away */}
+          {this.state.auctionType === "english" &&
+            this._getAuctionStatus() === "ended" &&
+            (this._isOwner() || this.state.isOperator) && (
+              <button
+                className="btn btn-primary"
+                type="button"
+                style={{ margin: "5px" }}
+                onClick={() => this._finalize(true)}
+              >
+                FINALIZE AND PAY THE BENEFICIARY
+              </button>
+            )}
+
+          {/* Button to stop auction, only its owner can do it, and not once
+              an English auction's time is up */}
+          {this._isOwner() &&
+            this.state.isActive &&
+            !(
+              this.state.auctionType === "english" &&
+              this._getAuctionStatus() === "ended"
+            ) && (
+              <button
+                className="btn btn-danger"
+                type="button"
+                style={{ margin: "5px" }}
+                onClick={() => this._stopAuction()}
+              >
+                STOP AUCTION
+              </button>
+            )}
 
-          {/* Helper to convert wei to ether */}
-          {this.state.value && (
-            <p>You're gonna bid: {this.state.value ?? 0} Ether</p>
+          {this.state.settlement && (
+            <SettlementMessage
+              winner={this.state.settlement.winner}
+              amount={this.state.settlement.amount}
+              sellerProceeds={this.state.settlement.sellerProceeds}
+              fee={this.state.settlement.fee}
+              splits={this.state.settlement.splits}
+              paidOut={this.state.settlement.paidOut}
+              currency={this.state.currency}
+              dismiss={() => this._dismissSettlement()}
+            />
+          )}
+
+          {/* The ownership is only transferred once the new owner accepts it */}
+          {this._isUser(this.state.pendingOwner) && (
+            <div className="alert alert-info" role="alert">
+              The owner wants to transfer this auction to you.
+              <button
+                className="btn btn-primary"
+                type="button"
+                style={{ marginLeft: "10px" }}
+                onClick={() => this._acceptOwnership()}
+              >
+                ACCEPT OWNERSHIP
+              </button>
+            </div>
+          )}
+
+          {/* Outbid bids, refunds and proceeds are withdrawn by the user */}
+          {this.state.pendingReturn && this.state.pendingReturn !== "0" && (
+            <PendingReturnsMessage
+              amount={this.state.pendingReturn}
+              currency={this.state.currency}
+              withdraw={() => this._withdraw()}
+            />
           )}
         </div>
 
+        {/* -------------------- Admin panel -------------------- */}
+        {this.state.auctionType === "english" && this._isOwner() && (
+          <>
+            <h2 className="App-subtitle">Admin</h2>
+            <AdminPanel
+              canPause={this._getAuctionStatus() === "active"}
+              paused={this.state.paused}
+              pendingOwner={this.state.pendingOwner}
+              operators={this.state.operators}
+              pause={() => this._pause()}
+              unpause={() => this._unpause()}
+              transferOwnership={(address) => this._transferOwnership(address)}
+              setOperator={(address, enabled) =>
+                this._setOperator(address, enabled)
+              }
+            />
+          </>
+        )}
+
         <div className="row">
           <div className="col-12">
             {/* 
@@ -527,6 +2727,9 @@ export class Dapp extends React.Component {
               <WaitingForTransactionMessage txHash={this.state.txBeingSent} />
             )}
 
+            {/* In read-only mode, the actions ask the user to connect */}
+            {this._renderConnectPrompt()}
+
             {/* 
               Sending a transaction can fail in multiple ways. 
               If that happened, we show a message here.
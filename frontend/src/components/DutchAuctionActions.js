@@ -0,0 +1,40 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+export function DutchAuctionActions({
+  price,
+  floorPrice,
+  nextPriceDropIn,
+  isOpen,
+  buy,
+}) {
+  if (!isOpen) {
+    return <p>This auction is closed, its item can't be bought anymore.</p>;
+  }
+
+  const atFloor = price === floorPrice;
+
+  return (
+    <div>
+      {/* Live price ticker */}
+      <p className="Dutch-auction-price">
+        {ethers.utils.formatEther(price)} Ether
+      </p>
+      <p>
+        {atFloor
+          ? "The price has reached its floor."
+          : `The price drops in ${nextPriceDropIn} seconds.`}
+      </p>
+
+      <button
+        className="btn btn-success"
+        type="button"
+        style={{ margin: "5px" }}
+        onClick={buy}
+      >
+        BUY NOW
+      </button>
+    </div>
+  );
+}
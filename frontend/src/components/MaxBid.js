@@ -0,0 +1,62 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+// The user's proxy bid in an English auction: the max bid they deposited and
+// how much of it their current bid uses, and a form to set it or raise it.
+// The auction raises their bid for them, up to that max, when they're outbid.
+export function MaxBid({
+  maxBid,
+  inUse,
+  currency,
+  value,
+  setValue,
+  error,
+  proxyBid,
+}) {
+  const { symbol, decimals } = currency;
+  const format = (amount) =>
+    `${ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+  const hasMaxBid = maxBid !== "0";
+
+  return (
+    <div className="Max-bid">
+      <h4>Automatic bidding</h4>
+      {hasMaxBid ? (
+        <p>
+          Your max bid is <b>{format(maxBid)}</b>, and your bid uses{" "}
+          <b>{format(inUse)}</b> of it. The auction outbids anyone else for you,
+          up to your max bid, and gives you back what it doesn't use.
+        </p>
+      ) : (
+        <p>
+          Deposit the most you'd pay, and the auction will outbid anyone else
+          for you, by the minimum increment, up to that amount. You only pay
+          enough to beat the second highest bid.
+        </p>
+      )}
+      <input
+        placeholder={
+          hasMaxBid
+            ? `${symbol} to add to your max bid`
+            : `Your max bid in ${symbol}`
+        }
+        value={value ?? ""}
+        onChange={(e) => setValue(e.target.value)}
+        type="number"
+        step="any"
+        style={{ padding: "5px 10px 5px 10px", width: "300px" }}
+      ></input>
+      <button
+        className="btn btn-success"
+        type="button"
+        style={{ margin: "5px" }}
+        disabled={!value || error !== undefined}
+        onClick={proxyBid}
+      >
+        {hasMaxBid ? "RAISE MAX BID" : "SET MAX BID"}
+      </button>
+      {value && error && <p className="text-danger">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+
+import { NetworkErrorMessage } from "./NetworkErrorMessage";
+
+// Shown while the connected wallet is on a network the auctions aren't
+// deployed on, or has lost its connection. `switchNetwork` is only given when
+// switching the wallet to another network would help.
+export function NetworkMismatch({ message, switchNetwork, dismiss }) {
+  return (
+    <div className="container">
+      <div className="row justify-content-md-center">
+        <div className="col-12 text-center">
+          <NetworkErrorMessage message={message} dismiss={dismiss} />
+        </div>
+        <div className="col-6 p-4 text-center">
+          {switchNetwork && (
+            <button
+              className="btn btn-warning"
+              type="button"
+              style={{ width: "100%", marginBottom: "10px" }}
+              onClick={switchNetwork}
+            >
+              Switch Network
+            </button>
+          )}
+          <button
+            className="btn btn-outline-secondary"
+            type="button"
+            style={{ width: "100%" }}
+            onClick={dismiss}
+          >
+            Continue in read-only mode
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,40 @@
 import React from "react";
 
-export function NoTokensMessage({ selectedAddress }) {
+export function NoTokensMessage({
+  requestFunds,
+  requesting,
+  error,
+  faucetDown,
+}) {
   return (
     <div className="alert alert-danger" role="alert">
       You don't have enough balance to bid in the auction.
-      <br />
-      To get some tokens, open a terminal in the root of the repository and run:
-      <br />
-      <br />
-      <code>npx hardhat --network localhost faucet {selectedAddress}</code>
+      <button
+        className="btn btn-primary"
+        type="button"
+        style={{ marginLeft: "10px" }}
+        disabled={requesting}
+        onClick={requestFunds}
+      >
+        {requesting ? "REQUESTING FUNDS..." : "REQUEST FUNDS"}
+      </button>
+      {error && (
+        <>
+          <br />
+          <br />
+          {error}
+        </>
+      )}
+      {/* The faucet may not be running, so we show how to start it */}
+      {faucetDown && (
+        <>
+          <br />
+          To run the faucet, open a terminal in the root of the repository and
+          run:
+          <br />
+          <code>npx hardhat --network localhost faucet:serve</code>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,23 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+export function PendingReturnsMessage({ amount, currency, withdraw }) {
+  return (
+    <div className="alert alert-info" role="alert">
+      You have{" "}
+      <b>
+        {ethers.utils.formatUnits(amount, currency.decimals)} {currency.symbol}
+      </b>{" "}
+      to withdraw from this auction.
+      <button
+        className="btn btn-primary"
+        type="button"
+        style={{ marginLeft: "10px" }}
+        onClick={withdraw}
+      >
+        WITHDRAW
+      </button>
+    </div>
+  );
+}
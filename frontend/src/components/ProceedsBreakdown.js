@@ -0,0 +1,56 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+// Formats basis points as a percentage (e.g. 250 as "2.5%")
+function formatBps(bps) {
+  return `${bps / 100}%`;
+}
+
+// Splits `price` (in wei) like the auctions' distributeProceeds() does: the
+// platform fee and each split are rounded down, and the seller gets the rest
+export function getProceeds(price, { feeBps, splits }) {
+  const amount = ethers.BigNumber.from(price);
+  const fee = amount.mul(feeBps).div(10000);
+  const splitAmounts = splits.map(({ bps }) => amount.mul(bps).div(10000));
+  const seller = splitAmounts.reduce(
+    (rest, split) => rest.sub(split),
+    amount.sub(fee)
+  );
+
+  return { fee, splits: splitAmounts, seller };
+}
+
+// What the beneficiary gets out of `price` after the platform fee and the
+// splits, with every share. `title` says which price it is (the highest bid,
+// the final price...)
+export function ProceedsBreakdown({ title, price, payouts, currency }) {
+  const proceeds = getProceeds(price, payouts);
+  const format = (amount) =>
+    `${ethers.utils.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+
+  return (
+    <div className="Proceeds-breakdown">
+      <p>
+        <b className="Auction-info-title">{title} </b>
+        {format(proceeds.seller)}
+      </p>
+      {(payouts.feeBps > 0 || payouts.splits.length > 0) && (
+        <ul>
+          <li>Price: {format(price)}</li>
+          {payouts.feeBps > 0 && (
+            <li>
+              Platform fee ({formatBps(payouts.feeBps)}): -
+              {format(proceeds.fee)}
+            </li>
+          )}
+          {payouts.splits.map(({ recipient, bps }, i) => (
+            <li key={recipient + i}>
+              {recipient} ({formatBps(bps)}): -{format(proceeds.splits[i])}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
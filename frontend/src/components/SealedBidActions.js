@@ -0,0 +1,124 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+// The phases returned by SealedBidAuction.getPhase()
+export const SEALED_BID_PHASES = ["Commit", "Reveal", "Ended"];
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toUTCString();
+}
+
+export function SealedBidActions({
+  phase,
+  commitEndTime,
+  revealEndTime,
+  commitment,
+  storedBid,
+  commitBid,
+  revealBid,
+}) {
+  const phaseName = SEALED_BID_PHASES[phase];
+  const hasCommitted = commitment.deposit !== "0";
+
+  return (
+    <div>
+      {/* Commit form: the amount stays in this browser until it's revealed */}
+      {phaseName === "Commit" && !hasCommitted && (
+        <form
+          onSubmit={(event) => {
+            // This function just calls the commitBid callback with the
+            // form's data.
+            event.preventDefault();
+
+            const formData = new FormData(event.target);
+            const amount = formData.get("amount");
+            const deposit = formData.get("deposit");
+
+            if (amount && deposit) {
+              commitBid(amount, deposit);
+            }
+          }}
+        >
+          <div className="form-group">
+            <label>Your bid in Ether (kept secret until you reveal it)</label>
+            <input
+              className="form-control"
+              type="number"
+              step="any"
+              name="amount"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>
+              Deposit in Ether (must cover your bid; send more to hide it)
+            </label>
+            <input
+              className="form-control"
+              type="number"
+              step="any"
+              name="deposit"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <input
+              className="btn btn-success"
+              type="submit"
+              value="COMMIT SEALED BID"
+            />
+          </div>
+        </form>
+      )}
+
+      {phaseName === "Commit" && hasCommitted && (
+        <div className="alert alert-info" role="alert">
+          Your sealed bid
+          {storedBid &&
+            ` of ${ethers.utils.formatEther(storedBid.amount)} Ether`}{" "}
+          is committed with a deposit of{" "}
+          {ethers.utils.formatEther(commitment.deposit)} Ether. Remember to come
+          back and reveal it between <b>{formatTime(commitEndTime)}</b> and{" "}
+          <b>{formatTime(revealEndTime)}</b>, or you will lose your deposit.
+        </div>
+      )}
+
+      {phaseName === "Reveal" && hasCommitted && !commitment.revealed && (
+        <div className="alert alert-warning" role="alert">
+          Reveal your bid before <b>{formatTime(revealEndTime)}</b>, or you will
+          lose your deposit.
+          {storedBid ? (
+            <button
+              className="btn btn-success"
+              type="button"
+              style={{ marginLeft: "10px" }}
+              onClick={revealBid}
+            >
+              REVEAL BID
+            </button>
+          ) : (
+            <p>
+              The salt of your bid isn't stored in this browser. Reveal it from
+              the browser you used to commit it.
+            </p>
+          )}
+        </div>
+      )}
+
+      {hasCommitted && commitment.revealed && (
+        <div className="alert alert-success" role="alert">
+          Your bid has been revealed.
+        </div>
+      )}
+
+      {phaseName === "Reveal" && !hasCommitted && (
+        <p>The commit phase is over, so new bids aren't accepted.</p>
+      )}
+
+      {phaseName === "Ended" && (
+        <p>The reveal phase is over, the auction can be settled.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+// The outcome of an auction finalized by the user, from its AuctionEnded and
+// ProceedsDistributed events. `sellerProceeds` is what's left of the amount
+// for the beneficiary after the platform `fee` and the `splits`, which are
+// credited to their recipients, and `paidOut` tells whether the
+// beneficiary's part has already been paid to them
+export function SettlementMessage({
+  winner,
+  amount,
+  sellerProceeds,
+  fee,
+  splits,
+  paidOut,
+  currency,
+  dismiss,
+}) {
+  const format = (value) =>
+    `${ethers.utils.formatUnits(value, currency.decimals)} ${currency.symbol}`;
+  const hasFee = fee !== undefined && fee !== "0";
+  const hasSplits = splits !== undefined && splits !== "0";
+
+  return (
+    <div className="alert alert-success" role="alert">
+      {winner === ethers.constants.AddressZero ? (
+        <>The auction has ended without a winner.</>
+      ) : (
+        <>
+          The auction has ended. <b>{winner}</b> won it with{" "}
+          <b>{format(amount)}</b>. The beneficiary gets{" "}
+          <b>{format(sellerProceeds ?? amount)}</b>
+          {paidOut
+            ? ", which has been paid to them."
+            : ", which they can now withdraw."}
+          {hasFee && (
+            <>
+              {" "}
+              The platform fee of <b>{format(fee)}</b> has been credited to the
+              platform.
+            </>
+          )}
+          {hasSplits && (
+            <>
+              {" "}
+              The splits, <b>{format(splits)}</b> in total, have been credited
+              to their recipients.
+            </>
+          )}
+          {(hasFee || hasSplits) && (
+            <> They can withdraw them from the auction.</>
+          )}
+        </>
+      )}
+      <button
+        type="button"
+        className="close"
+        data-dismiss="alert"
+        aria-label="Close"
+        onClick={dismiss}
+      >
+        <span aria-hidden="true">&times;</span>
+      </button>
+    </div>
+  );
+}
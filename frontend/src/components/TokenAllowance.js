@@ -0,0 +1,49 @@
+import React from "react";
+
+import { ethers } from "ethers";
+
+import { NoTokensMessage } from "./NoTokensMessage";
+
+export function TokenAllowance({
+  currency,
+  balance,
+  allowance,
+  needsApproval,
+  approve,
+  faucet,
+}) {
+  const { symbol, decimals } = currency;
+
+  return (
+    <div>
+      <p>
+        This auction is paid in {symbol}. Your balance:{" "}
+        <b>
+          {ethers.utils.formatUnits(balance, decimals)} {symbol}
+        </b>
+        . The auction can take up to{" "}
+        <b>
+          {ethers.utils.formatUnits(allowance, decimals)} {symbol}
+        </b>{" "}
+        from it.
+      </p>
+
+      {balance === "0" && <NoTokensMessage {...faucet} />}
+
+      {/* Bids are taken with transferFrom, so they have to be approved first */}
+      {needsApproval && (
+        <div className="alert alert-warning" role="alert">
+          Approve the auction to take your bid before placing it.
+          <button
+            className="btn btn-primary"
+            type="button"
+            style={{ marginLeft: "10px" }}
+            onClick={approve}
+          >
+            APPROVE
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,15 @@
 import React from "react";
 
-export function Transfer({ transferTokens, tokenSymbol }) {
+import { ethers } from "ethers";
+
+export function Transfer({ transferTokens, tokenSymbol, tokenDecimals }) {
   return (
     <div>
       <h4>Transfer</h4>
       <form
         onSubmit={(event) => {
           // This function just calls the transferTokens callback with the
-          // form's data.
+          // form's data, with the amount in the token's smallest unit.
           event.preventDefault();
 
           const formData = new FormData(event.target);
@@ -15,7 +17,7 @@ export function Transfer({ transferTokens, tokenSymbol }) {
           const amount = formData.get("amount");
 
           if (to && amount) {
-            transferTokens(to, amount);
+            transferTokens(to, ethers.utils.parseUnits(amount, tokenDecimals));
           }
         }}
       >
@@ -24,7 +26,7 @@ export function Transfer({ transferTokens, tokenSymbol }) {
           <input
             className="form-control"
             type="number"
-            step="1"
+            step="any"
             name="amount"
             placeholder="1"
             required
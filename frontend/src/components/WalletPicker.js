@@ -0,0 +1,33 @@
+import React from "react";
+
+// A button to connect each of the user's wallets. Wallets that support
+// EIP-6963 announce their name and icon, so when there are several, the user
+// picks one by them.
+export function WalletPicker({ wallets, connectWallet }) {
+  return (
+    <>
+      {wallets.map((wallet) => (
+        <button
+          key={wallet.info.uuid}
+          className="btn btn-warning"
+          type="button"
+          style={{ margin: "5px" }}
+          onClick={() => connectWallet(wallet)}
+        >
+          {wallet.info.icon && (
+            <img
+              src={wallet.info.icon}
+              alt=""
+              width="20"
+              height="20"
+              style={{ marginRight: "8px" }}
+            />
+          )}
+          {wallets.length === 1
+            ? "Connect Wallet"
+            : `Connect ${wallet.info.name}`}
+        </button>
+      ))}
+    </>
+  );
+}
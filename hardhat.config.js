@@ -5,7 +5,27 @@ require("@nomicfoundation/hardhat-toolbox");
 // testing the frontend.
 require("./tasks/faucet");
 
+// Tasks to operate an auction from the command line (status, bid, ...)
+require("./tasks/auction");
+
+// A task that simulates an auction with many bidders and checks its rules
+require("./tasks/simulate");
+
+// A relayer that sends signed bids for their bidders, who don't pay gas
+require("./tasks/relayer");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    version: "0.8.17",
+    settings: {
+      // AuctionFactory creates a deployer for each type of auction, with the
+      // auction's bytecode (see contracts/AuctionDeployers.sol), so we keep
+      // the auctions small with the optimizer.
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
 };
@@ -0,0 +1,134 @@
+// This module builds the Merkle tree of a private auction's allowlist, and
+// each address' proof, the way AuctionAllowlist.sol checks them: the leaves
+// are keccak256(address), and each pair of nodes is sorted before hashing
+// it. Like ./auction-config.js, it doesn't depend on Hardhat, so the tasks
+// and the tests share it.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Where the auction:allowlist task saves each auction's proofs, for the Dapp
+// to fetch them as /allowlists/<auction address>.json
+const ALLOWLISTS_DIR = path.join(
+  __dirname,
+  "..",
+  "frontend",
+  "public",
+  "allowlists"
+);
+
+// Reads the addresses of an allowlist from a JSON file with an array of
+// addresses, or from a CSV file with an address at the start of each line
+// (after an optional header). Duplicates are dropped.
+function readAllowlist(file) {
+  const content = fs.readFileSync(file, "utf8");
+  const entries =
+    path.extname(file).toLowerCase() === ".json"
+      ? JSON.parse(content)
+      : content
+          .split(/\r?\n/)
+          .map((line) => line.split(",")[0].trim())
+          .filter(
+            (cell, i) => cell !== "" && !(i === 0 && !cell.startsWith("0x"))
+          );
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} should have an array of addresses`);
+  }
+
+  const addresses = new Set();
+  for (const entry of entries) {
+    if (!ethers.utils.isAddress(entry)) {
+      throw new Error(`Invalid address in ${file}: ${entry}`);
+    }
+    addresses.add(ethers.utils.getAddress(entry));
+  }
+  if (addresses.size === 0) {
+    throw new Error(`${file} has no addresses`);
+  }
+
+  return [...addresses];
+}
+
+function hashLeaf(address) {
+  return ethers.utils.solidityKeccak256(["address"], [address]);
+}
+
+function hashPair(a, b) {
+  return ethers.BigNumber.from(a).lt(b)
+    ? ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [a, b])
+    : ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [b, a]);
+}
+
+// Builds the allowlist's tree, and returns its root and the proof of every
+// address, keyed by its checksummed address. A node without a pair moves up
+// to the next level as it is, so it adds nothing to the proofs.
+function buildAllowlist(addresses) {
+  const leaves = addresses
+    .map((address) => ({
+      address: ethers.utils.getAddress(address),
+      hash: hashLeaf(address),
+    }))
+    .sort((a, b) => (ethers.BigNumber.from(a.hash).lt(b.hash) ? -1 : 1));
+
+  const proofs = Object.fromEntries(leaves.map(({ address }) => [address, []]));
+  // The addresses under each node of the current level
+  let level = leaves.map(({ address, hash }) => ({
+    hash,
+    addresses: [address],
+  }));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const [left, right] = [level[i], level[i + 1]];
+      if (right === undefined) {
+        next.push(left);
+        continue;
+      }
+
+      left.addresses.forEach((address) => proofs[address].push(right.hash));
+      right.addresses.forEach((address) => proofs[address].push(left.hash));
+      next.push({
+        hash: hashPair(left.hash, right.hash),
+        addresses: [...left.addresses, ...right.addresses],
+      });
+    }
+    level = next;
+  }
+
+  return { root: level[0].hash, proofs };
+}
+
+// Saves an auction's allowlist where the Dapp fetches it from
+function saveAllowlist(auctionAddress, allowlist) {
+  fs.mkdirSync(ALLOWLISTS_DIR, { recursive: true });
+  const file = path.join(
+    ALLOWLISTS_DIR,
+    `${ethers.utils.getAddress(auctionAddress)}.json`
+  );
+  fs.writeFileSync(file, JSON.stringify(allowlist, undefined, 2));
+
+  return file;
+}
+
+// Returns the allowlist saved for an auction, or undefined if there's none
+function loadAllowlist(auctionAddress) {
+  const file = path.join(
+    ALLOWLISTS_DIR,
+    `${ethers.utils.getAddress(auctionAddress)}.json`
+  );
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  return JSON.parse(fs.readFileSync(file));
+}
+
+module.exports = {
+  ALLOWLISTS_DIR,
+  readAllowlist,
+  buildAllowlist,
+  saveAllowlist,
+  loadAllowlist,
+};
@@ -0,0 +1,569 @@
+// This module builds the arguments used to create an auction. It is used by
+// scripts/deploy.js, but it doesn't depend on Hardhat, so it can be reused
+// from tasks and tests.
+//
+// Values are read from (highest priority first):
+//   1. CLI arguments, listed in CLI_FLAGS
+//   2. A JSON config file: --config <file> or the AUCTION_CONFIG env variable
+//   3. Env variables, listed in ENV_VARIABLES
+//   4. The defaults below
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// The `paymentToken` value that stands for the Token contract deployed by
+// scripts/deploy.js, whose address isn't known until then
+const BUNDLED_TOKEN = "token";
+
+// The `itemContract` value that stands for a MockNFT item minted by
+// scripts/deploy.js, with `itemName` and `itemImage` as its metadata
+const MOCK_ITEM = "mock";
+
+// The auction types and the AuctionFactory function that creates each of them
+const AUCTION_TYPES = {
+  english: "createAuction",
+  sealed: "createSealedBidAuction",
+  dutch: "createDutchAuction",
+};
+
+const DEFAULT_AUCTION_CONFIG = {
+  type: "english", // One of AUCTION_TYPES
+  description:
+    "En esta subasta se ofrece un Ford Focus amarillo de edicion limitada.",
+  basePrice: "1", // In Ether
+  duration: 600, // 86400 = 24h | 3600 = 1h | 900 = 15 min | 600 = 10 min
+  extensionWindow: 60, // Bids in the last minute extend the auction; 0 disables it
+  // Each bid must beat the highest one by the larger of these two amounts
+  minIncrement: "0.01", // In Ether
+  minIncrementBps: 500, // In basis points of the highest bid: 500 = 5%
+  beneficiary: "", // Empty means the deployer's account
+  // English auctions only: the ERC-20 token bids are paid in. Empty means
+  // Ether, BUNDLED_TOKEN the Token deployed along with the factory
+  paymentToken: "",
+  // English auctions only: a price anyone can pay to win the auction at once,
+  // until the highest bid reaches buyNowThreshold (empty means buyNowPrice).
+  // Empty buyNowPrice means no buy-it-now
+  buyNowPrice: "", // In Ether
+  buyNowThreshold: "", // In Ether
+  // The ERC-721 token auctioned: its contract and id. Empty means no token,
+  // just the description, and MOCK_ITEM a MockNFT minted by the deploy script
+  itemContract: MOCK_ITEM,
+  itemTokenId: "",
+  itemName: "Ford Focus amarillo",
+  itemImage:
+    "https://bafybeifzm6xqduwgl6lwjyabj2v5qwduwqgotr6hjj5cu632ldtu6zbw4a.ipfs.nftstorage.link/",
+  // Sealed-bid auctions only: `duration` is the commit phase, followed by a
+  // reveal phase of `revealDuration` seconds
+  revealDuration: 300,
+  // Dutch auctions only: the price drops from `startPrice` to `basePrice`
+  // during `duration`, every `priceDropInterval` seconds
+  startPrice: "2", // In Ether
+  priceDropInterval: 60,
+  // Shares of the proceeds paid to other accounts (co-sellers, royalties...)
+  // when the auction is settled, as a list of { recipient, bps }. The seller
+  // gets what's left after them and the platform fee
+  splits: [],
+  // The platform fee the deploy script sets on the factory, in basis points
+  // of the proceeds. Empty platformFeeRecipient means the deployer's account
+  platformFeeBps: 0,
+  platformFeeRecipient: "",
+};
+
+// Maps each CLI flag and env variable to its config key
+const CLI_FLAGS = {
+  "--type": "type",
+  "--description": "description",
+  "--base-price": "basePrice",
+  "--duration": "duration",
+  "--extension-window": "extensionWindow",
+  "--min-increment": "minIncrement",
+  "--min-increment-bps": "minIncrementBps",
+  "--beneficiary": "beneficiary",
+  "--payment-token": "paymentToken",
+  "--buy-now-price": "buyNowPrice",
+  "--buy-now-threshold": "buyNowThreshold",
+  "--item-contract": "itemContract",
+  "--item-token-id": "itemTokenId",
+  "--item-name": "itemName",
+  "--item-image": "itemImage",
+  "--reveal-duration": "revealDuration",
+  "--start-price": "startPrice",
+  "--price-drop-interval": "priceDropInterval",
+  "--splits": "splits",
+  "--platform-fee-bps": "platformFeeBps",
+  "--platform-fee-recipient": "platformFeeRecipient",
+};
+
+const ENV_VARIABLES = {
+  AUCTION_TYPE: "type",
+  AUCTION_DESCRIPTION: "description",
+  AUCTION_BASE_PRICE: "basePrice",
+  AUCTION_DURATION: "duration",
+  AUCTION_EXTENSION_WINDOW: "extensionWindow",
+  AUCTION_MIN_INCREMENT: "minIncrement",
+  AUCTION_MIN_INCREMENT_BPS: "minIncrementBps",
+  AUCTION_BENEFICIARY: "beneficiary",
+  AUCTION_PAYMENT_TOKEN: "paymentToken",
+  AUCTION_BUY_NOW_PRICE: "buyNowPrice",
+  AUCTION_BUY_NOW_THRESHOLD: "buyNowThreshold",
+  AUCTION_ITEM_CONTRACT: "itemContract",
+  AUCTION_ITEM_TOKEN_ID: "itemTokenId",
+  AUCTION_ITEM_NAME: "itemName",
+  AUCTION_ITEM_IMAGE: "itemImage",
+  AUCTION_REVEAL_DURATION: "revealDuration",
+  AUCTION_START_PRICE: "startPrice",
+  AUCTION_PRICE_DROP_INTERVAL: "priceDropInterval",
+  AUCTION_SPLITS: "splits",
+  AUCTION_PLATFORM_FEE_BPS: "platformFeeBps",
+  AUCTION_PLATFORM_FEE_RECIPIENT: "platformFeeRecipient",
+};
+
+// Reads `--flag value` and `--flag=value` pairs. Unknown flags (like
+// Hardhat's own `--network`) are ignored.
+function parseCliArgs(argv) {
+  const config = {};
+  let configFile;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    if (flag !== "--config" && CLI_FLAGS[flag] === undefined) {
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+
+    if (flag === "--config") {
+      configFile = value;
+    } else {
+      config[CLI_FLAGS[flag]] = value;
+    }
+  }
+
+  return { config, configFile };
+}
+
+function readConfigFile(configFile) {
+  const filePath = path.resolve(configFile);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Auction config file not found: ${filePath}`);
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function readEnv(env) {
+  const config = {};
+  for (const [variable, key] of Object.entries(ENV_VARIABLES)) {
+    if (env[variable] !== undefined && env[variable] !== "") {
+      config[key] = env[variable];
+    }
+  }
+  return config;
+}
+
+function loadAuctionConfig(argv = process.argv.slice(2), env = process.env) {
+  const cli = parseCliArgs(argv);
+  const configFile = cli.configFile ?? env.AUCTION_CONFIG;
+  const fileConfig = configFile ? readConfigFile(configFile) : {};
+
+  return {
+    ...DEFAULT_AUCTION_CONFIG,
+    ...readEnv(env),
+    ...fileConfig,
+    ...cli.config,
+  };
+}
+
+// Parses an amount of Ether into wei, pushing an error if it isn't valid
+function parseEtherAmount(name, value, errors) {
+  try {
+    const amount = ethers.utils.parseEther(String(value));
+    if (amount.isNegative()) {
+      errors.push(`${name} must not be negative`);
+    }
+    return amount;
+  } catch (error) {
+    errors.push(`${name} is not a valid Ether amount: ${value}`);
+  }
+}
+
+// Parses the splits, given as a list of { recipient, bps } or as its JSON (from
+// the CLI and env variables), into [recipient, bps] pairs, pushing an error
+// for each invalid one
+function parseSplits(value, errors) {
+  let splits = value ?? [];
+  if (typeof splits === "string") {
+    try {
+      splits = JSON.parse(splits);
+    } catch (error) {
+      errors.push(`splits is not valid JSON: ${value}`);
+      return [];
+    }
+  }
+  if (!Array.isArray(splits)) {
+    errors.push(`splits must be a list of { recipient, bps }`);
+    return [];
+  }
+
+  return splits.map(({ recipient, bps } = {}, i) => {
+    if (!ethers.utils.isAddress(recipient ?? "")) {
+      errors.push(
+        `splits[${i}].recipient is not a valid address: ${recipient}`
+      );
+    }
+    if (!Number.isInteger(Number(bps)) || Number(bps) < 0) {
+      errors.push(
+        `splits[${i}].bps must be zero or a positive number of basis points: ${bps}`
+      );
+    }
+    return [
+      ethers.utils.isAddress(recipient ?? "")
+        ? ethers.utils.getAddress(recipient)
+        : recipient,
+      Number(bps),
+    ];
+  });
+}
+
+// Validates a config and returns it normalized: basePrice, minIncrement and
+// startPrice in wei (BigNumber), duration, extensionWindow, revealDuration and
+// priceDropInterval in seconds (numbers), minIncrementBps as a number,
+// beneficiary as a checksummed address or the zero address, paymentToken
+// like beneficiary or BUNDLED_TOKEN, buyNow as a [price, threshold] pair in
+// wei, item as an [itemContract, tokenId] pair, where itemContract is like
+// beneficiary or MOCK_ITEM, splits as [recipient, bps] pairs and platformFee
+// as a [recipient, bps] pair, where recipient is like beneficiary. Throws an
+// error listing every invalid value.
+function validateAuctionConfig(config) {
+  const errors = [];
+
+  const type = config.type ?? "english";
+  if (AUCTION_TYPES[type] === undefined) {
+    errors.push(
+      `type must be one of ${Object.keys(AUCTION_TYPES).join(", ")}: ${type}`
+    );
+  }
+
+  const description = String(config.description ?? "").trim();
+  if (description === "") {
+    errors.push("description must not be empty");
+  }
+
+  const basePrice = parseEtherAmount("basePrice", config.basePrice, errors);
+
+  const duration = Number(config.duration);
+  if (!Number.isInteger(duration) || duration <= 0) {
+    errors.push(
+      `duration must be a positive number of seconds: ${config.duration}`
+    );
+  }
+
+  const extensionWindow = Number(config.extensionWindow ?? 0);
+  if (!Number.isInteger(extensionWindow) || extensionWindow < 0) {
+    errors.push(
+      `extensionWindow must be zero or a positive number of seconds: ${config.extensionWindow}`
+    );
+  }
+
+  const minIncrement = parseEtherAmount(
+    "minIncrement",
+    config.minIncrement ?? "0",
+    errors
+  );
+
+  const minIncrementBps = Number(config.minIncrementBps ?? 0);
+  if (!Number.isInteger(minIncrementBps) || minIncrementBps < 0) {
+    errors.push(
+      `minIncrementBps must be zero or a positive number of basis points: ${config.minIncrementBps}`
+    );
+  }
+
+  const revealDuration = Number(config.revealDuration ?? 0);
+  if (
+    type === "sealed" &&
+    (!Number.isInteger(revealDuration) || revealDuration <= 0)
+  ) {
+    errors.push(
+      `revealDuration must be a positive number of seconds: ${config.revealDuration}`
+    );
+  }
+
+  let startPrice = ethers.constants.Zero;
+  let priceDropInterval = 0;
+  if (type === "dutch") {
+    startPrice = parseEtherAmount("startPrice", config.startPrice, errors);
+    if (startPrice && basePrice && startPrice.lt(basePrice)) {
+      errors.push("startPrice must not be lower than basePrice");
+    }
+
+    priceDropInterval = Number(config.priceDropInterval);
+    if (
+      !Number.isInteger(priceDropInterval) ||
+      priceDropInterval <= 0 ||
+      priceDropInterval > duration
+    ) {
+      errors.push(
+        `priceDropInterval must be a positive number of seconds not longer than duration: ${config.priceDropInterval}`
+      );
+    }
+  }
+
+  let beneficiary = ethers.constants.AddressZero;
+  if (config.beneficiary) {
+    if (ethers.utils.isAddress(config.beneficiary)) {
+      beneficiary = ethers.utils.getAddress(config.beneficiary);
+    } else {
+      errors.push(`beneficiary is not a valid address: ${config.beneficiary}`);
+    }
+  }
+
+  let paymentToken = ethers.constants.AddressZero;
+  if (config.paymentToken) {
+    if (type !== "english") {
+      errors.push(`paymentToken is only supported by english auctions`);
+    } else if (config.paymentToken === BUNDLED_TOKEN) {
+      paymentToken = BUNDLED_TOKEN;
+    } else if (ethers.utils.isAddress(config.paymentToken)) {
+      paymentToken = ethers.utils.getAddress(config.paymentToken);
+    } else {
+      errors.push(
+        `paymentToken is not a valid address or "${BUNDLED_TOKEN}": ${config.paymentToken}`
+      );
+    }
+  }
+
+  // A zero price disables buy-it-now, and a zero threshold is its price
+  let buyNow = [ethers.constants.Zero, ethers.constants.Zero];
+  if (config.buyNowPrice || config.buyNowThreshold) {
+    const price = parseEtherAmount(
+      "buyNowPrice",
+      config.buyNowPrice || "0",
+      errors
+    );
+    const threshold = parseEtherAmount(
+      "buyNowThreshold",
+      config.buyNowThreshold || "0",
+      errors
+    );
+    if (type !== "english") {
+      errors.push(`buyNowPrice is only supported by english auctions`);
+    } else if (price && threshold) {
+      if (threshold.gt(price)) {
+        errors.push("buyNowThreshold must not be higher than buyNowPrice");
+      }
+      buyNow = [price, threshold];
+    }
+  }
+
+  let item = [ethers.constants.AddressZero, 0];
+  if (config.itemContract === MOCK_ITEM) {
+    // The deploy script mints the item, so it knows its id
+    item = [MOCK_ITEM, 0];
+  } else if (config.itemContract) {
+    if (!ethers.utils.isAddress(config.itemContract)) {
+      errors.push(
+        `itemContract is not a valid address or "${MOCK_ITEM}": ${config.itemContract}`
+      );
+    }
+
+    const tokenId = String(config.itemTokenId ?? "");
+    if (!/^\d+$/.test(tokenId)) {
+      errors.push(`itemTokenId must be a token id: ${config.itemTokenId}`);
+    } else if (ethers.utils.isAddress(config.itemContract)) {
+      item = [ethers.utils.getAddress(config.itemContract), tokenId];
+    }
+  }
+
+  const splits = parseSplits(config.splits, errors);
+
+  const platformFeeBps = Number(config.platformFeeBps ?? 0);
+  if (!Number.isInteger(platformFeeBps) || platformFeeBps < 0) {
+    errors.push(
+      `platformFeeBps must be zero or a positive number of basis points: ${config.platformFeeBps}`
+    );
+  }
+
+  let platformFeeRecipient = ethers.constants.AddressZero;
+  if (config.platformFeeRecipient) {
+    if (ethers.utils.isAddress(config.platformFeeRecipient)) {
+      platformFeeRecipient = ethers.utils.getAddress(
+        config.platformFeeRecipient
+      );
+    } else {
+      errors.push(
+        `platformFeeRecipient is not a valid address: ${config.platformFeeRecipient}`
+      );
+    }
+  }
+
+  // The auctions reject payouts over the whole proceeds
+  const totalBps = splits.reduce((total, [, bps]) => total + bps, 0);
+  if (platformFeeBps + totalBps > 10000) {
+    errors.push(
+      `platformFeeBps and splits must not add up to more than 10000 basis points: ${
+        platformFeeBps + totalBps
+      }`
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid auction config:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return {
+    type,
+    description,
+    basePrice,
+    duration,
+    extensionWindow,
+    minIncrement,
+    minIncrementBps,
+    beneficiary,
+    revealDuration,
+    startPrice,
+    priceDropInterval,
+    paymentToken,
+    buyNow,
+    item,
+    splits,
+    platformFee: [platformFeeRecipient, platformFeeBps],
+  };
+}
+
+// Returns the AuctionFactory function that creates the configured type of
+// auction, and its arguments in order. The platform fee isn't one of them: the
+// factory applies its own (see AuctionFactory.setPlatformFee)
+function auctionFactoryCall(config) {
+  const {
+    type,
+    description,
+    basePrice,
+    duration,
+    revealDuration,
+    startPrice,
+    priceDropInterval,
+    beneficiary,
+    item,
+    splits,
+  } = validateAuctionConfig(config);
+  requireDeployedItem(item);
+
+  if (type === "dutch") {
+    return {
+      method: AUCTION_TYPES.dutch,
+      args: [
+        description,
+        startPrice,
+        basePrice,
+        duration,
+        priceDropInterval,
+        beneficiary,
+        item,
+        splits,
+      ],
+    };
+  }
+
+  if (type === "sealed") {
+    return {
+      method: AUCTION_TYPES.sealed,
+      args: [
+        description,
+        basePrice,
+        duration,
+        revealDuration,
+        beneficiary,
+        item,
+        splits,
+      ],
+    };
+  }
+
+  return {
+    method: AUCTION_TYPES.english,
+    args: [...englishAuctionArgs(config, beneficiary), splits],
+  };
+}
+
+// Returns the Auction constructor arguments, in order. The auction is owned by
+// the deployer's account, and the last argument is the payouts: the platform
+// fee and the splits
+function auctionConstructorArgs(config) {
+  const {
+    beneficiary,
+    splits,
+    platformFee: [platformFeeRecipient, platformFeeBps],
+  } = validateAuctionConfig(config);
+  if (
+    platformFeeBps > 0 &&
+    platformFeeRecipient === ethers.constants.AddressZero
+  ) {
+    throw new Error(
+      "platformFeeRecipient is required to charge a platform fee"
+    );
+  }
+
+  return [
+    ...englishAuctionArgs(config, [ethers.constants.AddressZero, beneficiary]),
+    [platformFeeRecipient, platformFeeBps, splits],
+  ];
+}
+
+// The arguments that the Auction constructor and AuctionFactory.createAuction
+// share, in order, with `roles` in the place of the owner and beneficiary:
+// createAuction makes its caller the owner and only takes the beneficiary,
+// and the constructor takes both as its Roles
+function englishAuctionArgs(config, roles) {
+  const {
+    description,
+    basePrice,
+    duration,
+    extensionWindow,
+    minIncrement,
+    minIncrementBps,
+    paymentToken,
+    buyNow,
+    item,
+  } = validateAuctionConfig(config);
+  if (paymentToken === BUNDLED_TOKEN) {
+    throw new Error(
+      `paymentToken "${BUNDLED_TOKEN}" must be replaced by the Token's address`
+    );
+  }
+  requireDeployedItem(item);
+
+  return [
+    description,
+    basePrice,
+    duration,
+    extensionWindow,
+    minIncrement,
+    minIncrementBps,
+    roles,
+    paymentToken,
+    buyNow,
+    item,
+  ];
+}
+
+function requireDeployedItem([itemContract]) {
+  if (itemContract === MOCK_ITEM) {
+    throw new Error(
+      `itemContract "${MOCK_ITEM}" must be replaced by the minted item's contract and id`
+    );
+  }
+}
+
+module.exports = {
+  BUNDLED_TOKEN,
+  MOCK_ITEM,
+  DEFAULT_AUCTION_CONFIG,
+  loadAuctionConfig,
+  validateAuctionConfig,
+  auctionFactoryCall,
+  auctionConstructorArgs,
+};
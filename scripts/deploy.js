@@ -1,7 +1,23 @@
 // This is a script for deploying your contracts. You can adapt it to deploy
 // yours, or create new ones.
+//
+// The Auction's constructor arguments are read by ./auction-config.js from a
+// JSON config file, env variables or CLI arguments. `hardhat run` doesn't
+// forward CLI arguments to scripts, so to use them run this file with node:
+//
+//   HARDHAT_NETWORK=localhost node scripts/deploy.js --base-price 2 --duration 3600
 
 const path = require("path");
+// Requiring hardhat explicitly lets this script run with plain node too
+const { ethers, network, artifacts } = require("hardhat");
+const {
+  BUNDLED_TOKEN,
+  MOCK_ITEM,
+  loadAuctionConfig,
+  validateAuctionConfig,
+  auctionFactoryCall,
+} = require("./auction-config");
+const { DEPLOYMENTS_FILE, saveDeployment } = require("./deployments");
 
 async function main() {
   // This is just a convenience check
@@ -13,11 +29,37 @@ async function main() {
     );
   }
 
-  // await deployContract("Token");
-  await deployContract("Auction");
+  // We validate the auction's config before sending any transaction
+  const config = loadAuctionConfig();
+  const { platformFee } = validateAuctionConfig(config);
+
+  const token = await deployContract("Token");
+  const factory = await deployContract("AuctionFactory");
+  await setPlatformFee(platformFee, factory);
+  const paymentToken =
+    config.paymentToken === BUNDLED_TOKEN ? token.address : config.paymentToken;
+  const item = await prepareItem(config, factory);
+  await createAuction(
+    factory,
+    auctionFactoryCall({ ...config, paymentToken, ...item })
+  );
+
+  // Every deployed contract is recorded in the deployments manifest, which
+  // the frontend reads too. We also save their artifacts in the frontend
+  // directory.
+  console.log("Saved the deployments in", DEPLOYMENTS_FILE);
+  saveFrontendArtifact("Token");
+  saveFrontendArtifact("AuctionFactory");
+
+  // The frontend reads the auctions' addresses from the factory, so it only
+  // needs the auctions' artifacts
+  saveFrontendArtifact("Auction");
+  saveFrontendArtifact("SealedBidAuction");
+  saveFrontendArtifact("DutchAuction");
+  saveFrontendArtifact("IERC721Metadata");
 }
 
-async function deployContract(contractName) {
+async function deployContract(contractName, constructorArgs = []) {
   // ethers is available in the global scope
   const [deployer] = await ethers.getSigners();
   console.log(
@@ -28,18 +70,89 @@ async function deployContract(contractName) {
   console.log("Account balance:", (await deployer.getBalance()).toString());
 
   const Contract = await ethers.getContractFactory(contractName);
-  const contract = await Contract.deploy();
+  console.log("Constructor arguments:", constructorArgs.map(String));
+  const contract = await Contract.deploy(...constructorArgs);
   await contract.deployed();
 
   console.log("Deployed contract address:", contract.address);
 
-  // We also save the contract's artifacts and address in the frontend directory
-  saveFrontendFiles(contractName, contract.address);
+  // We record where and how it was deployed, under the network's chain id
+  const { chainId } = await ethers.provider.getNetwork();
+  const receipt = await contract.deployTransaction.wait();
+  saveDeployment(chainId, contractName, {
+    address: contract.address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.transactionHash,
+    args: constructorArgs.map(String),
+  });
+
+  return contract;
+}
+
+// The factory charges its platform fee on every auction created after it's
+// set, this one included. The fee goes to the deployer unless
+// platformFeeRecipient says otherwise. `platformFee` is the validated
+// [recipient, bps] pair.
+async function setPlatformFee([recipient, feeBps], factory) {
+  if (feeBps === 0) {
+    return;
+  }
+
+  const [deployer] = await ethers.getSigners();
+  const feeRecipient =
+    recipient === ethers.constants.AddressZero ? deployer.address : recipient;
+  await (await factory.setPlatformFee(feeRecipient, feeBps)).wait();
+  console.log(`Set a platform fee of ${feeBps} bps for:`, feeRecipient);
+}
+
+// The factory deposits the auction's item on creation, so it has to be
+// approved to transfer it first. A MOCK_ITEM is minted here, with its metadata
+// in a data URI.
+async function prepareItem(config, factory) {
+  if (!config.itemContract) {
+    return {};
+  }
+
+  let { itemContract, itemTokenId } = config;
+  if (itemContract === MOCK_ITEM) {
+    const nft = await deployContract("MockNFT");
+    const metadata = JSON.stringify({
+      name: config.itemName,
+      description: config.description,
+      image: config.itemImage,
+    });
+    const tokenURI =
+      "data:application/json;base64," +
+      Buffer.from(metadata).toString("base64");
+
+    const [deployer] = await ethers.getSigners();
+    const receipt = await (await nft.mint(deployer.address, tokenURI)).wait();
+    itemContract = nft.address;
+    itemTokenId = receipt.events[0].args._tokenId.toString();
+    console.log("Minted item with id:", itemTokenId);
+  }
+
+  const nft = await ethers.getContractAt("IERC721", itemContract);
+  await (await nft.approve(factory.address, itemTokenId)).wait();
+
+  return { itemContract, itemTokenId };
 }
 
-function saveFrontendFiles(contractName, contractAddress) {
-  console.log("Saving contract with address:", contractAddress);
+async function createAuction(factory, { method, args }) {
+  console.log(`Creating auction with ${method}:`, args.map(String));
+  const tx = await factory[method](...args);
+  const receipt = await tx.wait();
+
+  // The factory tells us the new auction's address through an event
+  const event = receipt.events.find(
+    (event) => event.event === "AuctionCreated"
+  );
+  console.log("Created auction address:", event.args.auction);
+
+  return event.args.auction;
+}
 
+function getFrontendContractsDir() {
   const fs = require("fs");
   const contractsDir = path.join(
     __dirname,
@@ -53,10 +166,12 @@ function saveFrontendFiles(contractName, contractAddress) {
     fs.mkdirSync(contractsDir);
   }
 
-  fs.writeFileSync(
-    path.join(contractsDir, "contract-address.json"),
-    JSON.stringify({ [contractName]: contractAddress }, undefined, 2)
-  );
+  return contractsDir;
+}
+
+function saveFrontendArtifact(contractName) {
+  const fs = require("fs");
+  const contractsDir = getFrontendContractsDir();
 
   const ContractArtifact = artifacts.readArtifactSync(contractName);
 
@@ -0,0 +1,63 @@
+// The deployments manifest written by ./deploy.js: for each chain id and
+// contract name, the contract's address, deploy block, transaction hash and
+// constructor arguments. Deploying to another network adds its chain id
+// without touching the rest, and the Dapp and the tasks read the addresses of
+// the network they're connected to from it.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_FILE = path.join(
+  __dirname,
+  "..",
+  "frontend",
+  "src",
+  "contracts",
+  "deployments.json"
+);
+
+function readDeployments() {
+  if (!fs.existsSync(DEPLOYMENTS_FILE)) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(DEPLOYMENTS_FILE));
+}
+
+// Returns the deployment of `contractName` on `chainId`, or undefined if it
+// hasn't been deployed there
+function findDeployment(chainId, contractName) {
+  return readDeployments()[chainId]?.[contractName];
+}
+
+// Like findDeployment, but it fails if the contract hasn't been deployed
+function getDeployment(chainId, contractName) {
+  const deployment = findDeployment(chainId, contractName);
+  if (deployment === undefined) {
+    throw new Error(
+      `${contractName} isn't deployed on chain ${chainId}, run scripts/deploy.js first`
+    );
+  }
+
+  return deployment;
+}
+
+// Records the deployment of `contractName` on `chainId`, keeping every other
+// contract and chain
+function saveDeployment(chainId, contractName, deployment) {
+  const deployments = readDeployments();
+  deployments[chainId] = {
+    ...deployments[chainId],
+    [contractName]: deployment,
+  };
+
+  fs.mkdirSync(path.dirname(DEPLOYMENTS_FILE), { recursive: true });
+  fs.writeFileSync(DEPLOYMENTS_FILE, JSON.stringify(deployments, undefined, 2));
+}
+
+module.exports = {
+  DEPLOYMENTS_FILE,
+  findDeployment,
+  getDeployment,
+  saveDeployment,
+};
@@ -0,0 +1,70 @@
+// This module runs the small HTTP services used in development, like the
+// relayer and the faucet tasks: a server with a single POST endpoint that
+// takes and answers JSON. The Dapp is served from another origin, so it
+// allows cross-origin requests.
+
+const http = require("http");
+
+// An error the service answers with, with its HTTP status and any extra
+// fields for the client (e.g. the revert data of a rejected transaction)
+class ServiceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Starts a server on `port` that passes the JSON body of each POST to
+// `endpoint` to `handle`, and answers with what it returns. ServiceErrors
+// (the client's mistakes) are answered with their message, status and
+// details, and any other error with its message and a 500, as the service
+// itself failed.
+function serveJson({ port, endpoint, handle, onListening }) {
+  const server = http.createServer(async (request, response) => {
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204).end();
+      return;
+    }
+
+    const reply = (status, body) =>
+      response
+        .writeHead(status, { "Content-Type": "application/json" })
+        .end(JSON.stringify(body));
+    if (request.method !== "POST" || request.url !== endpoint) {
+      reply(404, { error: `Requests are posted to ${endpoint}` });
+      return;
+    }
+
+    try {
+      let body = "";
+      for await (const chunk of request) {
+        body += chunk;
+      }
+
+      let json;
+      try {
+        json = JSON.parse(body);
+      } catch (error) {
+        throw new ServiceError(`The body isn't valid JSON: ${error.message}`);
+      }
+      reply(200, await handle(json));
+    } catch (error) {
+      console.error(`Couldn't answer a request to ${endpoint}:`, error.message);
+      reply(error instanceof ServiceError ? error.status : 500, {
+        error: error.message,
+        ...error.details,
+      });
+    }
+  });
+
+  server.listen(port, onListening);
+  return server;
+}
+
+module.exports = {
+  ServiceError,
+  serveJson,
+};
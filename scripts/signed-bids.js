@@ -0,0 +1,52 @@
+// This module has the EIP-712 typed data of the signed bids that
+// AuctionSignedBids.sol verifies: its domain and the Bid type. The relayer
+// task and the tests share it, and the Dapp has its own copy, as it can't
+// import files from outside its src directory.
+
+// The Bid message, in the order of its BID_TYPEHASH
+const BID_TYPES = {
+  Bid: [
+    { name: "bidder", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// The domain of an auction's signatures, so they're only valid in that
+// auction and on that chain
+function getBidDomain(chainId, auctionAddress) {
+  return {
+    name: "Auction",
+    version: "1",
+    chainId,
+    verifyingContract: auctionAddress,
+  };
+}
+
+// Signs a bid of `amount` (in wei or token units) for `auction` with
+// `signer`, using its next nonce unless one is given, and returns the bid
+// with its signature, ready for auction.bidBySig()
+async function signBid(signer, auction, { amount, deadline, nonce }) {
+  const { chainId } = await signer.provider.getNetwork();
+  const bidder = await signer.getAddress();
+  const bid = {
+    bidder,
+    amount: amount.toString(),
+    nonce: (nonce ?? (await auction.nonces(bidder))).toString(),
+    deadline: deadline.toString(),
+  };
+  const signature = await signer._signTypedData(
+    getBidDomain(chainId, auction.address),
+    BID_TYPES,
+    bid
+  );
+
+  return { ...bid, signature };
+}
+
+module.exports = {
+  BID_TYPES,
+  getBidDomain,
+  signBid,
+};
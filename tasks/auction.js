@@ -0,0 +1,408 @@
+const { getDeployment } = require("../scripts/deployments");
+const {
+  readAllowlist,
+  buildAllowlist,
+  saveAllowlist,
+  loadAllowlist,
+} = require("../scripts/allowlist");
+
+// These tasks operate an auction from the command line, without the Dapp or
+// a browser wallet, so auction flows can be scripted against a local node:
+//
+//   npx hardhat auction:status --network localhost
+//   npx hardhat auction:bid --amount 2 --from 0x7099... --network localhost
+//
+// By default they use the latest auction of the factory deployed by
+// scripts/deploy.js. Use --auction to pick another one.
+
+// The contract of each type of auction, as returned by `auctionType()`
+const AUCTION_CONTRACTS = {
+  english: "Auction",
+  sealed: "SealedBidAuction",
+  dutch: "DutchAuction",
+};
+
+const AUCTION_PARAM_DESCRIPTION =
+  "The auction's address (by default, the factory's latest auction)";
+const FROM_PARAM_DESCRIPTION =
+  "The account that sends the transaction (by default, the first one)";
+
+// Returns the auction at `address`, or the factory's latest one, with the
+// contract of its type
+async function getAuction(ethers, address) {
+  if (address === undefined) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const factory = await ethers.getContractAt(
+      "AuctionFactory",
+      getDeployment(chainId, "AuctionFactory").address
+    );
+    const auctions = await factory.getAuctions();
+    if (auctions.length === 0) {
+      throw new Error("The factory hasn't created any auction yet");
+    }
+    address = auctions[auctions.length - 1];
+  }
+
+  // Every type of auction has an `auctionType()` function, so we can call it
+  // with any of their ABIs
+  const auctionType = await (
+    await ethers.getContractAt("Auction", address)
+  ).auctionType();
+
+  return {
+    auction: await ethers.getContractAt(
+      AUCTION_CONTRACTS[auctionType],
+      address
+    ),
+    auctionType,
+  };
+}
+
+async function getSigner(ethers, from) {
+  if (from === undefined) {
+    const [signer] = await ethers.getSigners();
+    return signer;
+  }
+
+  return ethers.getSigner(from);
+}
+
+// The currency the auction is paid in: Ether, or the ERC-20 token of an
+// English auction with a payment token
+async function getCurrency(ethers, auction, auctionType) {
+  const paymentToken =
+    auctionType === "english"
+      ? await auction.paymentToken()
+      : ethers.constants.AddressZero;
+  if (paymentToken === ethers.constants.AddressZero) {
+    return { symbol: "ETH", decimals: 18 };
+  }
+
+  const token = await ethers.getContractAt("Token", paymentToken);
+  return {
+    token,
+    symbol: await token.symbol(),
+    decimals: await token.decimals(),
+  };
+}
+
+// Sends the transaction built by `sendTx` and waits for it to be mined. If it
+// reverts with one of the auctions' custom errors (see AuctionErrors.sol),
+// the error is decoded into a short message.
+async function sendTransaction(auction, sendTx) {
+  try {
+    const tx = await sendTx();
+    return await tx.wait();
+  } catch (error) {
+    const decoded = decodeRevert(auction, error);
+    if (decoded === undefined) {
+      throw error;
+    }
+
+    throw new Error(
+      `The transaction reverted with ${decoded.name}(${decoded.args.join(
+        ", "
+      )})`
+    );
+  }
+}
+
+// Returns the custom error (name and args) a transaction of `contract`
+// reverted with, or undefined if it failed for another reason
+function decodeRevert(contract, error) {
+  const data = findRevertData(error);
+  if (data === undefined) {
+    return undefined;
+  }
+
+  try {
+    return contract.interface.parseError(data);
+  } catch (parseError) {
+    return undefined;
+  }
+}
+
+// Providers nest the revert data of a failed transaction in different ways,
+// so we look for it in every `data` and `error` field
+function findRevertData(error) {
+  if (typeof error === "string") {
+    return /^0x[0-9a-fA-F]{8}/.test(error) ? error : undefined;
+  }
+
+  if (!error || typeof error !== "object") {
+    return undefined;
+  }
+
+  return findRevertData(error.data) ?? findRevertData(error.error);
+}
+
+// Private auctions only take bids from accounts that have proven they're on
+// the allowlist, so the first time `signer` bids we send its proof, from the
+// allowlist saved by auction:allowlist
+async function proveAllowlisted(auction, signer) {
+  if (await auction.isAllowlisted(signer.address)) {
+    return;
+  }
+
+  const proof = loadAllowlist(auction.address)?.proofs[signer.address];
+  if (proof === undefined) {
+    throw new Error(`${signer.address} isn't on the auction's allowlist`);
+  }
+  await sendTransaction(auction, () =>
+    auction.connect(signer).proveAllowlisted(proof)
+  );
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toUTCString();
+}
+
+task("auction:status", "Prints the state of an auction")
+  .addOptionalParam("auction", AUCTION_PARAM_DESCRIPTION)
+  .setAction(async ({ auction: address }, { ethers }) => {
+    const { auction, auctionType } = await getAuction(ethers, address);
+    const [account] = await ethers.getSigners();
+    const snapshot = await auction.getSnapshot(account.address);
+    const { symbol, decimals } = await getCurrency(
+      ethers,
+      auction,
+      auctionType
+    );
+    const format = (amount) =>
+      `${ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+
+    console.log(`Auction:        ${auction.address} (${auctionType})`);
+    console.log(`Description:    ${snapshot.description}`);
+    console.log(
+      `Status:         ${
+        snapshot.active ? (snapshot.paused ? "PAUSED" : "ACTIVE") : "NOT ACTIVE"
+      }`
+    );
+    console.log(`Owner:          ${snapshot.originalOwner}`);
+    console.log(`Beneficiary:    ${snapshot.beneficiary}`);
+    console.log(`Created:        ${formatTime(snapshot.createdTime)}`);
+
+    switch (auctionType) {
+      case "sealed":
+        console.log(`Commit until:   ${formatTime(snapshot.commitEndTime)}`);
+        console.log(`Reveal until:   ${formatTime(snapshot.revealEndTime)}`);
+        break;
+      case "dutch":
+        console.log(
+          `Ends:           ${formatTime(
+            snapshot.createdTime.add(snapshot.secondsToEnd)
+          )}`
+        );
+        console.log(`Current price:  ${format(snapshot.currentPrice)}`);
+        break;
+      default:
+        console.log(`Ends:           ${formatTime(snapshot.endTime)}`);
+        console.log(`Minimum bid:    ${format(snapshot.minimumNextBid)}`);
+        if (snapshot.buyNowPrice.gt(0)) {
+          console.log(
+            `Buy it now:     ${format(snapshot.buyNowPrice)} (${
+              snapshot.buyNowAvailable ? "available" : "not available"
+            })`
+          );
+        }
+        if (snapshot.allowlistRoot !== ethers.constants.HashZero) {
+          console.log(`Allowlist root: ${snapshot.allowlistRoot}`);
+        }
+    }
+
+    console.log(`Highest bid:    ${format(snapshot.highestPrice)}`);
+    console.log(
+      `Highest bidder: ${
+        snapshot.highestBidder === ethers.constants.AddressZero
+          ? "-"
+          : snapshot.highestBidder
+      }`
+    );
+
+    // The platform fee and the splits are taken from the proceeds
+    const { feeRecipient, feeBps, splits } = await auction.getPayouts();
+    if (feeBps.gt(0)) {
+      console.log(
+        `Platform fee:   ${feeBps.toNumber() / 100}% to ${feeRecipient}`
+      );
+    }
+    for (const { recipient, bps } of splits) {
+      console.log(`Split:          ${bps.toNumber() / 100}% to ${recipient}`);
+    }
+
+    const [itemContract, itemTokenId] = await auction.getItem();
+    if (itemContract !== ethers.constants.AddressZero) {
+      console.log(
+        `Item:           token ${itemTokenId} of ${itemContract} (${
+          snapshot.itemDeposited ? "in escrow" : "not deposited"
+        })`
+      );
+    }
+  });
+
+task("auction:bid", "Bids on an English auction, or buys a Dutch one")
+  .addParam("amount", "The amount to bid, in the auction's currency")
+  .addFlag(
+    "max",
+    "Deposit the amount as a max bid (or add it to yours), and let the auction bid for you up to it"
+  )
+  .addOptionalParam("from", FROM_PARAM_DESCRIPTION)
+  .addOptionalParam("auction", AUCTION_PARAM_DESCRIPTION)
+  .setAction(async ({ amount, max, from, auction: address }, { ethers }) => {
+    const { auction, auctionType } = await getAuction(ethers, address);
+    if (auctionType === "sealed") {
+      throw new Error(
+        "Sealed bids are committed and revealed later, use the Dapp for them"
+      );
+    }
+    if (max && auctionType !== "english") {
+      throw new Error("Only English auctions take max bids");
+    }
+
+    const signer = await getSigner(ethers, from);
+    const { token, symbol, decimals } = await getCurrency(
+      ethers,
+      auction,
+      auctionType
+    );
+    const value = ethers.utils.parseUnits(amount, decimals);
+    if (auctionType === "english") {
+      await proveAllowlisted(auction, signer);
+    }
+
+    const receipt = await sendTransaction(auction, async () => {
+      if (auctionType === "dutch") {
+        return auction.connect(signer).buy({ value });
+      }
+      if (token === undefined) {
+        return max
+          ? auction.connect(signer).proxyBid({ value })
+          : auction.connect(signer).bid({ value });
+      }
+
+      // Bids in tokens are taken by the auction, so we approve them first
+      await (
+        await token.connect(signer).approve(auction.address, value)
+      ).wait();
+      return max
+        ? auction.connect(signer).proxyBidWithToken(value)
+        : auction.connect(signer).bidWithToken(value);
+    });
+
+    if (max) {
+      const maxBid = await auction.maxBids(signer.address);
+      console.log(
+        `${signer.address} has a max bid of ${ethers.utils.formatUnits(
+          maxBid,
+          decimals
+        )} ${symbol} (tx ${receipt.transactionHash})`
+      );
+      return;
+    }
+    console.log(
+      `${signer.address} ${
+        auctionType === "dutch" ? "bought the item for" : "bid"
+      } ${amount} ${symbol} (tx ${receipt.transactionHash})`
+    );
+  });
+
+task("auction:finalize", "Settles an auction whose time is over")
+  .addOptionalParam("from", FROM_PARAM_DESCRIPTION)
+  .addOptionalParam("auction", AUCTION_PARAM_DESCRIPTION)
+  .setAction(async ({ from, auction: address }, { ethers }) => {
+    const { auction, auctionType } = await getAuction(ethers, address);
+    const signer = await getSigner(ethers, from);
+    const { symbol, decimals } = await getCurrency(
+      ethers,
+      auction,
+      auctionType
+    );
+
+    const receipt = await sendTransaction(auction, () =>
+      auction.connect(signer).checkIfAuctionEnded()
+    );
+    const { args } = receipt.events.find(
+      (event) => event.event === "AuctionEnded"
+    );
+
+    if (args._winner === ethers.constants.AddressZero) {
+      console.log("The auction has ended without a winner");
+    } else {
+      console.log(
+        `The auction has ended, ${
+          args._winner
+        } won it with ${ethers.utils.formatUnits(
+          args._amount,
+          decimals
+        )} ${symbol}`
+      );
+    }
+  });
+
+task("auction:stop", "Stops an auction, only its owner can do it")
+  .addOptionalParam("from", FROM_PARAM_DESCRIPTION)
+  .addOptionalParam("auction", AUCTION_PARAM_DESCRIPTION)
+  .setAction(async ({ from, auction: address }, { ethers }) => {
+    const { auction } = await getAuction(ethers, address);
+    const signer = await getSigner(ethers, from);
+
+    await sendTransaction(auction, () => auction.connect(signer).stopAuction());
+
+    console.log(`The auction ${auction.address} has been stopped`);
+  });
+
+task(
+  "auction:allowlist",
+  "Makes an English auction private to the addresses of a CSV or JSON file"
+)
+  .addParam(
+    "file",
+    "A JSON array of addresses, or a CSV file with an address per line"
+  )
+  .addOptionalParam("from", FROM_PARAM_DESCRIPTION)
+  .addOptionalParam("auction", AUCTION_PARAM_DESCRIPTION)
+  .setAction(async ({ file, from, auction: address }, { ethers }) => {
+    const { auction, auctionType } = await getAuction(ethers, address);
+    if (auctionType !== "english") {
+      throw new Error("Only English auctions can have an allowlist");
+    }
+
+    const addresses = readAllowlist(file);
+    const allowlist = buildAllowlist(addresses);
+
+    // The proofs are saved before the root is set, so the Dapp can load them
+    // as soon as the auction is private
+    const savedFile = saveAllowlist(auction.address, allowlist);
+    console.log(
+      `Saved the proofs of ${addresses.length} addresses in`,
+      savedFile
+    );
+
+    const signer = await getSigner(ethers, from);
+    await sendTransaction(auction, () =>
+      auction.connect(signer).setAllowlistRoot(allowlist.root)
+    );
+    console.log(
+      `The auction ${auction.address} is now private, with allowlist root ${allowlist.root}`
+    );
+  });
+
+task("auction:watch", "Prints the events of an auction as they are emitted")
+  .addOptionalParam("auction", AUCTION_PARAM_DESCRIPTION)
+  .setAction(async ({ auction: address }, { ethers }) => {
+    const { auction } = await getAuction(ethers, address);
+
+    console.log(`Watching ${auction.address}, press Ctrl+C to stop`);
+    auction.on("*", (event) => {
+      const { name, args, eventFragment } = auction.interface.parseLog(event);
+      const params = eventFragment.inputs
+        .map((input, i) => `${input.name}=${args[i]}`)
+        .join(", ");
+      console.log(`[block ${event.blockNumber}] ${name}(${params})`);
+    });
+
+    // The task keeps running until it's stopped
+    await new Promise(() => {});
+  });
+
+module.exports = { decodeRevert, findRevertData };
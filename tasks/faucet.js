@@ -1,26 +1,170 @@
-const fs = require("fs");
+const { findDeployment } = require("../scripts/deployments");
+const { ServiceError, serveJson } = require("../scripts/json-service");
 
 // This file is only here to make interacting with the Dapp easier,
 // feel free to ignore it if you don't need it.
 
-task("faucet", "Sends ETH to an address")
+const DEFAULT_PORT = 8547;
+
+task("faucet", "Sends ETH and tokens to an address")
   .addPositionalParam("receiver", "The address that will receive them")
   .setAction(async ({ receiver }, { ethers }) => {
-    if (network.name === "hardhat") {
-      console.warn(
-        "You are running the faucet task with Hardhat network, which" +
-          "gets automatically created and destroyed every time. Use the Hardhat" +
-          " option '--network localhost'"
-      );
-    }
+    warnAboutHardhatNetwork("faucet task");
 
     const etherAmount = "5"; // 5 ether per transactions
-    const [sender] = await ethers.getSigners();
-    const tx = await sender.sendTransaction({
-      to: receiver,
-      value: ethers.utils.parseEther(etherAmount),
+    const tokenAmount = "100"; // 100 tokens per transaction
+    await sendFunds(ethers, receiver, { etherAmount, tokenAmount });
+  });
+
+task(
+  "faucet:serve",
+  "Runs a faucet service that sends ETH and tokens to the addresses that ask for them"
+)
+  .addOptionalParam(
+    "port",
+    `The port the faucet listens on (by default, ${DEFAULT_PORT})`,
+    DEFAULT_PORT,
+    types.int
+  )
+  .addOptionalParam("ether", "The ETH sent per request", "5")
+  .addOptionalParam(
+    "tokens",
+    "The Token balance sent per request, if the Token is deployed (0 sends none)",
+    "100"
+  )
+  .addOptionalParam(
+    "cooldown",
+    "The seconds an address waits between requests",
+    60,
+    types.int
+  )
+  .addOptionalParam(
+    "limit",
+    "The requests an address can make while the faucet runs",
+    5,
+    types.int
+  )
+  .setAction(async ({ port, ether, tokens, cooldown, limit }, { ethers }) => {
+    warnAboutHardhatNetwork("faucet service");
+
+    // The requests of each address: how many it made, and when it made the
+    // last one (in milliseconds)
+    const requests = new Map();
+
+    const handle = async ({ address }) => {
+      if (!ethers.utils.isAddress(address)) {
+        throw new ServiceError(`Invalid address: ${address}`);
+      }
+
+      const receiver = ethers.utils.getAddress(address);
+      const { count, lastRequest } = requests.get(receiver) ?? {
+        count: 0,
+        lastRequest: 0,
+      };
+      if (count >= limit) {
+        throw new ServiceError(
+          `${receiver} has already made the ${limit} requests it can make`,
+          403
+        );
+      }
+      const retryAfter = Math.ceil(
+        (lastRequest + cooldown * 1000 - Date.now()) / 1000
+      );
+      if (retryAfter > 0) {
+        throw new ServiceError(
+          `${receiver} has to wait ${retryAfter} seconds before asking again`,
+          429,
+          { retryAfter }
+        );
+      }
+
+      // The request counts before the funds are sent, so an address can't
+      // ask twice while its first request is being sent. It only doesn't
+      // count if nothing could be sent: once the ETH has been sent, it counts
+      // even if the tokens can't be.
+      requests.set(receiver, { count: count + 1, lastRequest: Date.now() });
+      let etherSent = false;
+      try {
+        return await sendFunds(ethers, receiver, {
+          etherAmount: ether,
+          tokenAmount: tokens,
+          onEtherSent: () => {
+            etherSent = true;
+          },
+        });
+      } catch (error) {
+        if (!etherSent) {
+          requests.set(receiver, { count, lastRequest });
+        }
+        throw error;
+      }
+    };
+
+    serveJson({
+      port,
+      endpoint: "/fund",
+      handle,
+      onListening: () =>
+        console.log(
+          `Sending ${ether} ETH${
+            Number(tokens) === 0 ? "" : ` and ${tokens} tokens`
+          } per request at http://localhost:${port}/fund, press Ctrl+C to stop`
+        ),
     });
-    await tx.wait();
 
-    console.log(`Transferred ${etherAmount} ETH to ${receiver}`);
+    // The task keeps running until it's stopped
+    await new Promise(() => {});
+  });
+
+function warnAboutHardhatNetwork(name) {
+  if (network.name === "hardhat") {
+    console.warn(
+      `You are running the ${name} with Hardhat network, which` +
+        "gets automatically created and destroyed every time. Use the Hardhat" +
+        " option '--network localhost'"
+    );
+  }
+}
+
+// Sends `etherAmount` ETH and `tokenAmount` of the deployed Token to
+// `receiver` from the first account, and returns what was sent. `onEtherSent`
+// is called once the ETH has been sent, before the tokens are
+async function sendFunds(
+  ethers,
+  receiver,
+  { etherAmount, tokenAmount, onEtherSent = () => {} }
+) {
+  const [sender] = await ethers.getSigners();
+  const tx = await sender.sendTransaction({
+    to: receiver,
+    value: ethers.utils.parseEther(etherAmount),
   });
+  await tx.wait();
+  onEtherSent();
+
+  console.log(`Transferred ${etherAmount} ETH to ${receiver}`);
+  const sent = { ether: etherAmount, transactions: [tx.hash] };
+
+  // The Token is only known if scripts/deploy.js has deployed it on this
+  // network
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployment = findDeployment(chainId, "Token");
+  if (deployment === undefined || Number(tokenAmount) === 0) {
+    return sent;
+  }
+
+  const token = await ethers.getContractAt("Token", deployment.address);
+  const tokenTx = await token.transfer(
+    receiver,
+    ethers.utils.parseUnits(tokenAmount, await token.decimals())
+  );
+  await tokenTx.wait();
+
+  const symbol = await token.symbol();
+  console.log(`Transferred ${tokenAmount} ${symbol} to ${receiver}`);
+  return {
+    ...sent,
+    tokens: `${tokenAmount} ${symbol}`,
+    transactions: [...sent.transactions, tokenTx.hash],
+  };
+}
@@ -0,0 +1,131 @@
+const { getDeployment } = require("../scripts/deployments");
+const { ServiceError, serveJson } = require("../scripts/json-service");
+const { decodeRevert, findRevertData } = require("./auction");
+
+// A relayer for signed bids, so bidders can bid without paying gas. It's a
+// local HTTP server for development: the Dapp posts each signed bid to it,
+// and the relayer's account sends it to the auction with bidBySig(), paying
+// the gas. Bids are paid from the bidder's deposit in the auction.
+//
+//   npx hardhat relayer --network localhost
+//
+// POST /bids takes a JSON body with the auction's address and the signed
+// bid (bidder, amount, nonce, deadline and signature), and answers with the
+// transaction's hash, or with the reason the auction rejects the bid (and
+// the revert data of its custom error, for the Dapp to decode it).
+
+const DEFAULT_PORT = 8546;
+
+// The fields of a signed bid, as the Dapp posts them
+const BID_FIELDS = [
+  "auction",
+  "bidder",
+  "amount",
+  "nonce",
+  "deadline",
+  "signature",
+];
+
+task("relayer", "Runs a relayer that sends signed bids for their bidders")
+  .addOptionalParam(
+    "port",
+    `The port the relayer listens on (by default, ${DEFAULT_PORT})`,
+    DEFAULT_PORT,
+    types.int
+  )
+  .addOptionalParam(
+    "from",
+    "The account that sends the bids and pays their gas (by default, the first one)"
+  )
+  .setAction(async ({ port, from }, { ethers }) => {
+    if (network.name === "hardhat") {
+      console.warn(
+        "You are running the relayer with Hardhat network, which gets" +
+          " automatically created and destroyed every time. Use the Hardhat" +
+          " option '--network localhost'"
+      );
+    }
+
+    // The relayer pays for the bids it sends, so it only sends them to the
+    // auctions of the deployed factory
+    const { chainId } = await ethers.provider.getNetwork();
+    const factory = await ethers.getContractAt(
+      "AuctionFactory",
+      getDeployment(chainId, "AuctionFactory").address
+    );
+    const relayer =
+      from === undefined
+        ? (await ethers.getSigners())[0]
+        : await ethers.getSigner(from);
+
+    const relayBid = async (bid) => {
+      const missing = BID_FIELDS.filter((field) => bid[field] === undefined);
+      if (missing.length > 0) {
+        throw new ServiceError(`The bid is missing ${missing.join(", ")}`);
+      }
+      if (
+        !ethers.utils.isAddress(bid.auction) ||
+        (await factory.creatorOf(bid.auction)) === ethers.constants.AddressZero
+      ) {
+        throw new ServiceError(
+          `${bid.auction} isn't an auction of the factory`
+        );
+      }
+
+      const auction = (
+        await ethers.getContractAt("Auction", bid.auction)
+      ).connect(relayer);
+      // Every type of auction has auctionType(), but only English auctions
+      // take signed bids
+      if ((await auction.auctionType()) !== "english") {
+        throw new ServiceError(
+          `${bid.auction} isn't an English auction, the only ones that take signed bids`
+        );
+      }
+      const args = [
+        bid.bidder,
+        bid.amount,
+        bid.nonce,
+        bid.deadline,
+        bid.signature,
+      ];
+
+      // We simulate the bid first, so the relayer doesn't pay for bids that
+      // would revert
+      try {
+        await auction.callStatic.bidBySig(...args);
+      } catch (error) {
+        const decoded = decodeRevert(auction, error);
+        if (decoded === undefined) {
+          throw error;
+        }
+
+        throw new ServiceError(
+          `The auction rejects the bid with ${decoded.name}(${decoded.args.join(
+            ", "
+          )})`,
+          400,
+          { data: findRevertData(error) }
+        );
+      }
+
+      const tx = await auction.bidBySig(...args);
+      console.log(
+        `Relayed a bid of ${bid.amount} from ${bid.bidder} to ${bid.auction} (tx ${tx.hash})`
+      );
+      return { transactionHash: tx.hash };
+    };
+
+    serveJson({
+      port,
+      endpoint: "/bids",
+      handle: relayBid,
+      onListening: () =>
+        console.log(
+          `Relaying signed bids from ${relayer.address} at http://localhost:${port}/bids, press Ctrl+C to stop`
+        ),
+    });
+
+    // The task keeps running until it's stopped
+    await new Promise(() => {});
+  });
@@ -0,0 +1,558 @@
+const fs = require("fs");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  loadAuctionConfig,
+  validateAuctionConfig,
+  auctionConstructorArgs,
+} = require("../scripts/auction-config");
+const { decodeRevert } = require("./auction");
+
+// This task stress-tests the rules of the English auction without a wallet.
+// It deploys an Auction on the in-process Hardhat Network, drives a group of
+// bidders through random (or scripted) bids while moving the chain's time
+// forward, ends the auction and has everyone withdraw. Then it checks that no
+// money was lost or kept, and reports the outcome and the gas of each action:
+//
+//   npx hardhat auction:simulate --bidders 5 --bids 30 --seed 42
+//   npx hardhat auction:simulate --script bids.json --report report.md
+//
+// A script is a JSON array of steps, run in order. Bidders are numbered from
+// 1, since account #0 owns the auction:
+//
+//   [
+//     { "action": "bid", "bidder": 1, "amount": "1.5" },
+//     { "action": "wait", "seconds": 300 },
+//     { "action": "bid", "bidder": 2, "amount": "2" },
+//     { "action": "finalize", "bidder": 1 },
+//     { "action": "withdraw", "bidder": 1 }
+//   ]
+//
+// "stop" is the other action. The auction is configured like the one of
+// scripts/deploy.js (see scripts/auction-config.js), but it's always paid in
+// Ether to its owner, without a platform fee, splits or buy-it-now, and it
+// doesn't auction an ERC-721 item.
+
+const ENDINGS = ["finalize", "stop"];
+
+// A small seeded random number generator (mulberry32), so a simulation can
+// be repeated with the seed in its report
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Deploys the auction from account #0, with `config` as read from
+// scripts/auction-config.js
+async function deploySimulation(ethers, config, bidderCount) {
+  const [owner, ...others] = await ethers.getSigners();
+  if (bidderCount < 1 || bidderCount > others.length) {
+    throw new Error(`--bidders must be between 1 and ${others.length}`);
+  }
+  const bidders = others.slice(0, bidderCount);
+
+  const sim = {
+    ethers,
+    config: validateAuctionConfig(config),
+    owner,
+    bidders,
+    accounts: [owner, ...bidders],
+    labels: new Map([
+      [owner.address, "owner"],
+      ...bidders.map((bidder, i) => [bidder.address, `bidder ${i + 1}`]),
+    ]),
+    startBalances: new Map(),
+    gasCosts: new Map(),
+    actions: [],
+    invariants: new Map(),
+  };
+  for (const account of sim.accounts) {
+    sim.startBalances.set(account.address, await account.getBalance());
+    sim.gasCosts.set(account.address, ethers.constants.Zero);
+  }
+
+  const Auction = await ethers.getContractFactory("Auction", owner);
+  sim.auction = await Auction.deploy(
+    ...auctionConstructorArgs({
+      ...config,
+      beneficiary: "",
+      paymentToken: "",
+      itemContract: "",
+      buyNowPrice: "",
+      buyNowThreshold: "",
+      splits: [],
+      platformFeeBps: 0,
+    })
+  );
+  const receipt = await sim.auction.deployTransaction.wait();
+  sim.createdTime = (await sim.auction.getAuctionInfo())[1].toNumber();
+  recordAction(
+    sim,
+    { action: "deploy", account: owner.address, result: "ok" },
+    receipt
+  );
+
+  return sim;
+}
+
+function recordAction(sim, action, receipt) {
+  if (receipt !== undefined) {
+    action.gasUsed = receipt.gasUsed.toNumber();
+    sim.gasCosts.set(
+      action.account,
+      sim.gasCosts
+        .get(action.account)
+        .add(receipt.gasUsed.mul(receipt.effectiveGasPrice))
+    );
+  }
+
+  sim.actions.push({ step: sim.actions.length + 1, ...action });
+}
+
+// Sends the transaction built by `sendTx` from `signer` and records it. An
+// auction that rejects it with one of its custom errors is part of the
+// simulation, so the error is recorded instead of stopping it.
+async function send(sim, name, signer, sendTx, amount) {
+  const action = {
+    action: name,
+    account: signer.address,
+    amount: amount && sim.ethers.utils.formatEther(amount),
+    time: (await time.latest()) - sim.createdTime,
+  };
+
+  const { provider } = sim.ethers;
+  const blockNumber = await provider.getBlockNumber();
+  let receipt;
+  try {
+    receipt = await (await sendTx(sim.auction.connect(signer))).wait();
+    action.result = "ok";
+  } catch (error) {
+    const decoded = decodeRevert(sim.auction, error);
+    if (decoded === undefined) {
+      throw error;
+    }
+    action.result = decoded.name;
+
+    // Hardhat Network mines the transactions that revert, and their gas is
+    // paid too, so we look for it in the new block
+    if ((await provider.getBlockNumber()) > blockNumber) {
+      const { transactions } = await provider.getBlock("latest");
+      receipt = await provider.getTransactionReceipt(transactions[0]);
+    }
+  }
+
+  recordAction(sim, action, receipt);
+  await checkAuctionBalance(sim);
+}
+
+function bid(sim, bidder, amount) {
+  return send(
+    sim,
+    "bid",
+    bidder,
+    (auction) => auction.bid({ value: amount }),
+    amount
+  );
+}
+
+// Records a check of an invariant. Only its first failure is kept, since the
+// following ones are usually consequences of it.
+function check(sim, name, passed, failure) {
+  const invariant = sim.invariants.get(name) ?? { checks: 0, passed: true };
+  invariant.checks += 1;
+  if (!passed && invariant.passed) {
+    invariant.passed = false;
+    invariant.failure = `${failure} (after step ${sim.actions.length})`;
+  }
+  sim.invariants.set(name, invariant);
+}
+
+// The auction holds the highest bid, while it's active, and everything that
+// is pending withdrawal: outbid bids, refunds and the proceeds
+async function checkAuctionBalance(sim) {
+  const { auction, ethers } = sim;
+  let expected = (await auction.isActive())
+    ? await auction.highestPrice()
+    : ethers.constants.Zero;
+  for (const account of sim.accounts) {
+    expected = expected.add(await auction.pendingReturns(account.address));
+  }
+
+  const balance = await ethers.provider.getBalance(auction.address);
+  check(
+    sim,
+    "The auction holds the highest bid and the pending returns",
+    balance.eq(expected),
+    `it holds ${ethers.utils.formatEther(
+      balance
+    )} ETH instead of ${ethers.utils.formatEther(expected)} ETH`
+  );
+}
+
+async function runRandomBids(sim, random, bidCount) {
+  const { auction, config, bidders } = sim;
+
+  for (let i = 0; i < bidCount; i++) {
+    // The bids are spread over the auction's duration on average, so some of
+    // them land in the extension window and some after the deadline
+    await time.increase(
+      Math.floor((random() * 2 * config.duration) / bidCount)
+    );
+
+    const bidder = bidders[Math.floor(random() * bidders.length)];
+    const minimum = await auction.getMinimumNextBid();
+    // One in ten bids is too low, to check that it's rejected. The others
+    // raise the minimum by up to 30%
+    const amount =
+      random() < 0.1 && minimum.gt(0)
+        ? minimum.sub(1)
+        : minimum.mul(100 + Math.floor(random() * 30)).div(100);
+    await bid(sim, bidder, amount);
+
+    // A bid after the deadline ends the auction
+    if (!(await auction.isActive())) {
+      break;
+    }
+  }
+}
+
+function getBidder(sim, index, stepNumber) {
+  const bidder = sim.bidders[index - 1];
+  if (bidder === undefined) {
+    throw new Error(
+      `Step ${stepNumber}: bidder must be between 1 and ${sim.bidders.length}`
+    );
+  }
+  return bidder;
+}
+
+async function runScript(sim, steps) {
+  const { ethers } = sim;
+
+  for (const [i, step] of steps.entries()) {
+    // Finalizing and stopping are sent by the owner unless a bidder is given
+    const signer =
+      step.bidder === undefined
+        ? sim.owner
+        : getBidder(sim, step.bidder, i + 1);
+
+    switch (step.action) {
+      case "bid":
+        // The owner doesn't bid, so bids always need a bidder
+        await bid(
+          sim,
+          getBidder(sim, step.bidder, i + 1),
+          ethers.utils.parseEther(String(step.amount))
+        );
+        break;
+      case "wait":
+        await time.increase(step.seconds);
+        break;
+      case "finalize":
+        await send(sim, "finalize", signer, (auction) =>
+          auction.checkIfAuctionEnded()
+        );
+        break;
+      case "stop":
+        await send(sim, "stop", signer, (auction) => auction.stopAuction());
+        break;
+      case "withdraw":
+        await send(sim, "withdraw", signer, (auction) => auction.withdraw());
+        break;
+      default:
+        throw new Error(`Step ${i + 1}: unknown action ${step.action}`);
+    }
+  }
+}
+
+// Stops the auction, or moves past its end time and finalizes it from a
+// random account, unless the bids have already ended it
+async function endAuction(sim, ending, random) {
+  const { auction } = sim;
+  if (!(await auction.isActive())) {
+    return;
+  }
+
+  if (ending === "stop") {
+    await send(sim, "stop", sim.owner, (auction) => auction.stopAuction());
+    return;
+  }
+
+  const endTime = (await auction.getAuctionInfo())[3].toNumber();
+  if ((await time.latest()) <= endTime) {
+    await time.increaseTo(endTime + 1);
+  }
+  const caller = sim.accounts[Math.floor(random() * sim.accounts.length)];
+  await send(sim, "finalize", caller, (auction) =>
+    auction.checkIfAuctionEnded()
+  );
+}
+
+// Everyone withdraws what they're owed, the bidders first, and then we check
+// where the money ended up
+async function settle(sim) {
+  const { auction, ethers } = sim;
+
+  for (const account of [...sim.bidders, sim.owner]) {
+    if (account === sim.owner) {
+      const balance = await ethers.provider.getBalance(auction.address);
+      const expected =
+        (await auction.newOwner()) === ethers.constants.AddressZero
+          ? ethers.constants.Zero
+          : await auction.highestPrice();
+      check(
+        sim,
+        "Once the bidders withdraw, the auction only holds the winning bid",
+        balance.eq(expected),
+        `it holds ${ethers.utils.formatEther(
+          balance
+        )} ETH instead of ${ethers.utils.formatEther(expected)} ETH`
+      );
+    }
+
+    if ((await auction.pendingReturns(account.address)).gt(0)) {
+      await send(sim, "withdraw", account, (auction) => auction.withdraw());
+    }
+  }
+
+  const balance = await ethers.provider.getBalance(auction.address);
+  check(
+    sim,
+    "The auction ends empty",
+    balance.isZero(),
+    `it still holds ${ethers.utils.formatEther(balance)} ETH`
+  );
+
+  // What each account paid (or received, if negative), without gas
+  const winner = await auction.newOwner();
+  const highestPrice = await auction.highestPrice();
+  for (const account of sim.accounts) {
+    const paid = sim.startBalances
+      .get(account.address)
+      .sub(await account.getBalance())
+      .sub(sim.gasCosts.get(account.address));
+
+    let name;
+    let expected;
+    if (account === sim.owner) {
+      name = "The owner receives the winning bid";
+      expected =
+        winner === ethers.constants.AddressZero
+          ? ethers.constants.Zero
+          : highestPrice.mul(-1);
+    } else if (account.address === winner) {
+      name = "The winner pays the winning bid";
+      expected = highestPrice;
+    } else {
+      name = "The losers get every bid back";
+      expected = ethers.constants.Zero;
+    }
+
+    check(
+      sim,
+      name,
+      paid.eq(expected),
+      `${sim.labels.get(account.address)} paid ${ethers.utils.formatEther(
+        paid
+      )} ETH instead of ${ethers.utils.formatEther(expected)} ETH`
+    );
+  }
+}
+
+async function buildReport(sim, { mode, seed }) {
+  const { auction, ethers, config } = sim;
+  const [, createdTime, , endTime] = await auction.getAuctionInfo();
+  const stopped =
+    (await auction.queryFilter(auction.filters.AuctionStopped())).length > 0;
+  const winner = await auction.newOwner();
+
+  // The gas used by every mined transaction, by action. Reverted ones are
+  // counted apart, by error
+  const gas = {};
+  for (const { action, result, gasUsed } of sim.actions) {
+    if (gasUsed === undefined) {
+      continue;
+    }
+    const key = result === "ok" ? action : `${action} (${result})`;
+    const summary = gas[key] ?? { count: 0, total: 0, min: gasUsed, max: 0 };
+    summary.count += 1;
+    summary.total += gasUsed;
+    summary.min = Math.min(summary.min, gasUsed);
+    summary.max = Math.max(summary.max, gasUsed);
+    summary.average = Math.round(summary.total / summary.count);
+    gas[key] = summary;
+  }
+
+  return {
+    mode,
+    seed,
+    auction: {
+      address: auction.address,
+      basePrice: ethers.utils.formatEther(config.basePrice),
+      duration: config.duration,
+      extensionWindow: config.extensionWindow,
+      minIncrement: ethers.utils.formatEther(config.minIncrement),
+      minIncrementBps: config.minIncrementBps,
+    },
+    accounts: Object.fromEntries(sim.labels),
+    outcome: {
+      status: stopped ? "stopped" : "finalized",
+      winner: winner === ethers.constants.AddressZero ? null : winner,
+      winningBid:
+        winner === ethers.constants.AddressZero
+          ? null
+          : ethers.utils.formatEther(await auction.highestPrice()),
+      extensions: (await auction.queryFilter(auction.filters.AuctionExtended()))
+        .length,
+      endTime: endTime.sub(createdTime).toNumber(),
+    },
+    actions: sim.actions,
+    gas,
+    invariants: [...sim.invariants].map(([name, invariant]) => ({
+      name,
+      ...invariant,
+    })),
+  };
+}
+
+function formatMarkdown(report) {
+  const label = (address) => report.accounts[address] ?? address;
+  const { outcome } = report;
+  const lines = [
+    "# Auction simulation",
+    "",
+    `- Auction: ${report.auction.address}, base price ${report.auction.basePrice} ETH, ${report.auction.duration}s long`,
+    report.mode === "script"
+      ? "- Bids: scripted"
+      : `- Bids: random, seed ${report.seed}`,
+    outcome.winner === null
+      ? `- Outcome: ${outcome.status} without a winner`
+      : `- Outcome: ${outcome.status}, ${label(outcome.winner)} won with ${
+          outcome.winningBid
+        } ETH`,
+    `- Ends at t+${outcome.endTime}s, after ${outcome.extensions} extensions`,
+    "",
+    "## Invariants",
+    "",
+    "| Invariant | Checks | Result |",
+    "| --- | --- | --- |",
+    ...report.invariants.map(
+      ({ name, checks, passed, failure }) =>
+        `| ${name} | ${checks} | ${passed ? "passed" : `FAILED: ${failure}`} |`
+    ),
+    "",
+    "## Gas used per action",
+    "",
+    "| Action | Count | Average | Min | Max | Total |",
+    "| --- | --- | --- | --- | --- | --- |",
+    ...Object.entries(report.gas).map(
+      ([action, { count, average, min, max, total }]) =>
+        `| ${action} | ${count} | ${average} | ${min} | ${max} | ${total} |`
+    ),
+    "",
+    "## Actions",
+    "",
+    "| # | Time | Action | Account | Amount (ETH) | Result | Gas |",
+    "| --- | --- | --- | --- | --- | --- | --- |",
+    ...report.actions.map(
+      ({ step, time, action, account, amount, result, gasUsed }) =>
+        `| ${step} | ${
+          time === undefined ? "" : `t+${time}s`
+        } | ${action} | ${label(account)} | ${amount ?? ""} | ${result} | ${
+          gasUsed ?? ""
+        } |`
+    ),
+  ];
+
+  return lines.join("\n");
+}
+
+task(
+  "auction:simulate",
+  "Simulates an English auction with random or scripted bids and checks where the money ends up"
+)
+  .addOptionalParam("bidders", "The number of bidders", 4, types.int)
+  .addOptionalParam("bids", "The number of random bids", 20, types.int)
+  .addOptionalParam(
+    "seed",
+    "The seed of the random bids (by default, a random one)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "ending",
+    `How the auction ends after the random bids: ${ENDINGS.join(" or ")}`,
+    "finalize"
+  )
+  .addOptionalParam(
+    "script",
+    "A JSON file with the steps to run instead of random bids"
+  )
+  .addOptionalParam(
+    "auctionConfig",
+    "A JSON file with the auction's config (see scripts/auction-config.js)"
+  )
+  .addOptionalParam(
+    "report",
+    "Saves the report in this file, as JSON if it ends in .json or as Markdown"
+  )
+  .setAction(async (args, { ethers, network }) => {
+    // Moving the time forward only makes sense on a throwaway network
+    if (network.name !== "hardhat") {
+      throw new Error(
+        "The simulation travels in time, run it on the in-process Hardhat Network (without --network)"
+      );
+    }
+    if (!ENDINGS.includes(args.ending)) {
+      throw new Error(`--ending must be one of ${ENDINGS.join(", ")}`);
+    }
+
+    const config = loadAuctionConfig(
+      args.auctionConfig === undefined ? [] : ["--config", args.auctionConfig]
+    );
+    if (validateAuctionConfig(config).type !== "english") {
+      throw new Error("The simulation only supports English auctions");
+    }
+
+    const mode = args.script === undefined ? "random" : "script";
+    const seed = args.seed ?? Math.floor(Math.random() * 2 ** 32);
+    const random = createRandom(seed);
+
+    const sim = await deploySimulation(ethers, config, args.bidders);
+    if (mode === "script") {
+      await runScript(sim, JSON.parse(fs.readFileSync(args.script, "utf8")));
+    } else {
+      await runRandomBids(sim, random, args.bids);
+    }
+    await endAuction(sim, args.ending, random);
+    await settle(sim);
+
+    const report = await buildReport(sim, { mode, seed });
+    const markdown = formatMarkdown(report);
+    console.log(markdown);
+
+    if (args.report !== undefined) {
+      fs.writeFileSync(
+        args.report,
+        path.extname(args.report) === ".json"
+          ? JSON.stringify(report, undefined, 2)
+          : `${markdown}\n`
+      );
+      console.log(`\nSaved the report in ${args.report}`);
+    }
+
+    const failed = report.invariants.filter(({ passed }) => !passed);
+    if (failed.length > 0) {
+      throw new Error(
+        `${failed.length} invariants failed: ${failed
+          .map(({ name }) => name)
+          .join(", ")}`
+      );
+    }
+  });
@@ -9,7 +9,12 @@ const { expect } = require("chai");
 // We use `loadFixture` to share common setups (or fixtures) between tests.
 // Using this simplifies your tests and makes them run faster, by taking
 // advantage or Hardhat Network's snapshot functionality.
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAllowlist } = require("../scripts/allowlist");
+const { signBid } = require("../scripts/signed-bids");
 
 // `describe` is a Mocha function that allows you to organize your tests.
 // Having your tests organized makes debugging them easier. All Mocha
@@ -19,18 +24,42 @@ const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 // callback. The callback must define the tests of that section. This callback
 // can't be an async function.
 describe("Auction contract", function () {
-  // We define a fixture to reuse the same setup in every test. We use
-  // loadFixture to run this setup once, snapshot that state, and reset Hardhat
-  // Network to that snapshot in every test.
-  async function deployAuctionFixture() {
+  // The Item argument of auctions that don't escrow an ERC-721 token
+  const NO_ITEM = [ethers.constants.AddressZero, 0];
+  // The BuyNow argument of auctions without buy-it-now
+  const NO_BUY_NOW = [0, 0];
+  // The Payouts argument of auctions without a platform fee or splits
+  const NO_PAYOUTS = [ethers.constants.AddressZero, 0, []];
+
+  // The constructor arguments used by the fixtures unless they override them,
+  // in the constructor's order
+  const DEFAULT_PARAMS = {
+    description: "En esta subasta se ofrece un Ford Focus amarillo.",
+    basePrice: ethers.utils.parseEther("1"),
+    duration: 600,
+    extensionWindow: 0,
+    minIncrement: 0,
+    minIncrementBps: 0,
+    // The owner and beneficiary: the deployer is both by default
+    roles: [ethers.constants.AddressZero, ethers.constants.AddressZero],
+    paymentToken: ethers.constants.AddressZero,
+    buyNow: NO_BUY_NOW,
+    item: NO_ITEM,
+    payouts: NO_PAYOUTS,
+  };
+
+  // Deploys an Auction with DEFAULT_PARAMS merged with `params`
+  async function deployAuction(params = {}) {
     // Get the ContractFactory and Signers here.
     const Auction = await ethers.getContractFactory("Auction");
     const [owner, addr1, addr2] = await ethers.getSigners();
+    // Spreading keeps DEFAULT_PARAMS' order, which is the constructor's one
+    const args = Object.values({ ...DEFAULT_PARAMS, ...params });
 
     // To deploy our contract, we just have to call Auction.deploy() and await
     // for it to be deployed(), which happens onces its transaction has been
     // mined.
-    const hardhatAuction = await Auction.deploy();
+    const hardhatAuction = await Auction.deploy(...args);
 
     await hardhatAuction.deployed();
 
@@ -38,6 +67,25 @@ describe("Auction contract", function () {
     return { Auction, hardhatAuction, owner, addr1, addr2 };
   }
 
+  // We define a fixture to reuse the same setup in every test. We use
+  // loadFixture to run this setup once, snapshot that state, and reset Hardhat
+  // Network to that snapshot in every test.
+  async function deployAuctionFixture() {
+    return deployAuction();
+  }
+
+  // loadFixture needs a named function per setup, so every set of params
+  // gets its own fixture.
+  async function deployCustomAuctionFixture() {
+    const [, , , beneficiary] = await ethers.getSigners();
+    return deployAuction({
+      description: "Una bicicleta de montaña",
+      basePrice: ethers.utils.parseEther("0.5"),
+      duration: 3600,
+      roles: [ethers.constants.AddressZero, beneficiary.address],
+    });
+  }
+
   // You can nest describe calls to create subsections.
   describe("Deployment", function () {
     // `it` is another Mocha function. This is the one you use to define your
@@ -63,5 +111,1240 @@ describe("Auction contract", function () {
         ethers.utils.parseEther("1")
       );
     });
+
+    it("Should use the deployer as the owner and beneficiary by default", async function () {
+      const { hardhatAuction, owner } = await loadFixture(deployAuctionFixture);
+      expect(await hardhatAuction.originalOwner()).to.equal(owner.address);
+      expect(await hardhatAuction.beneficiary()).to.equal(owner.address);
+    });
+
+    it("Should use the constructor parameters", async function () {
+      const { hardhatAuction, owner } = await loadFixture(
+        deployCustomAuctionFixture
+      );
+      const [, , , beneficiary] = await ethers.getSigners();
+
+      const [description, , duration] = await hardhatAuction.getAuctionInfo();
+      expect(description).to.equal("Una bicicleta de montaña");
+      expect(duration).to.equal(3600);
+      expect(await hardhatAuction.getBasePrice()).to.equal(
+        ethers.utils.parseEther("0.5")
+      );
+      // The beneficiary only gets the proceeds, the deployer still owns it
+      expect(await hardhatAuction.beneficiary()).to.equal(beneficiary.address);
+      expect(await hardhatAuction.originalOwner()).to.equal(owner.address);
+      await expect(
+        hardhatAuction.connect(beneficiary).stopAuction()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOwner");
+    });
+
+    it("Should pay the beneficiary and leave the administration to the owner", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployCustomAuctionFixture
+      );
+      const [, , , beneficiary] = await ethers.getSigners();
+      await expect(
+        hardhatAuction.connect(beneficiary).pause()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOwner");
+
+      await hardhatAuction.setOperator(addr1.address, true);
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(3601);
+
+      await expect(
+        hardhatAuction.connect(addr1).finalize()
+      ).to.changeEtherBalance(beneficiary, ethers.utils.parseEther("2"));
+    });
+
+    it("Should take another account as the owner", async function () {
+      const [, addr1] = await ethers.getSigners();
+      const { hardhatAuction } = await deployAuction({
+        roles: [addr1.address, ethers.constants.AddressZero],
+      });
+
+      expect(await hardhatAuction.originalOwner()).to.equal(addr1.address);
+      expect(await hardhatAuction.beneficiary()).to.equal(addr1.address);
+      await expect(hardhatAuction.stopAuction()).to.be.revertedWithCustomError(
+        hardhatAuction,
+        "NotOwner"
+      );
+    });
+
+    it("Should reject an empty description or a zero duration", async function () {
+      const Auction = await ethers.getContractFactory("Auction");
+
+      await expect(
+        deployAuction({ description: "" })
+      ).to.be.revertedWithCustomError(Auction, "EmptyDescription");
+      await expect(
+        deployAuction({ duration: 0 })
+      ).to.be.revertedWithCustomError(Auction, "InvalidDuration");
+    });
+  });
+
+  describe("Anti-sniping", function () {
+    async function deploySnipingAuctionFixture() {
+      return deployAuction({ duration: 600, extensionWindow: 120 });
+    }
+
+    it("Should extend the end time when a bid lands in the window", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(
+        deploySnipingAuctionFixture
+      );
+      const [, createdAt, , endTime, extended] =
+        await hardhatAuction.getAuctionInfo();
+      expect(endTime).to.equal(createdAt.add(600));
+      expect(extended).to.equal(false);
+
+      await time.increaseTo(endTime.sub(30));
+      const tx = await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      const bidTime = await time.latest();
+
+      await expect(tx)
+        .to.emit(hardhatAuction, "AuctionExtended")
+        .withArgs(bidTime + 120);
+      const [, , , newEndTime, nowExtended] =
+        await hardhatAuction.getAuctionInfo();
+      expect(newEndTime).to.equal(bidTime + 120);
+      expect(nowExtended).to.equal(true);
+    });
+
+    it("Should not extend the end time for earlier bids", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(
+        deploySnipingAuctionFixture
+      );
+
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      ).not.to.emit(hardhatAuction, "AuctionExtended");
+    });
+
+    it("Should accept answers to a last-second bid", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deploySnipingAuctionFixture
+      );
+      const [, , , endTime] = await hardhatAuction.getAuctionInfo();
+
+      await time.increaseTo(endTime.sub(1));
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      // The original end time has passed, but the auction was extended
+      await time.increaseTo(endTime.add(60));
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("3") });
+
+      expect(await hardhatAuction.getHighestBidder()).to.equal(addr2.address);
+    });
+  });
+
+  describe("Minimum bid increment", function () {
+    async function deployIncrementAuctionFixture() {
+      return deployAuction({
+        minIncrement: ethers.utils.parseEther("0.1"),
+        minIncrementBps: 1000, // 10%
+      });
+    }
+
+    it("Should ask for the base price before the first bid", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(
+        deployIncrementAuctionFixture
+      );
+
+      expect(await hardhatAuction.getMinimumNextBid()).to.equal(
+        ethers.utils.parseEther("1")
+      );
+      // The first bid can match the base price, but not fall below it
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("1").sub(1) })
+      )
+        .to.be.revertedWithCustomError(hardhatAuction, "BidTooLow")
+        .withArgs(ethers.utils.parseEther("1"));
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("1") });
+      expect(await hardhatAuction.getHighestBidder()).to.equal(addr1.address);
+    });
+
+    it("Should use the larger of the absolute and percentage increments", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(
+        deployIncrementAuctionFixture
+      );
+
+      // 10% of 1 ETH equals the absolute increment
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("1") });
+      expect(await hardhatAuction.getMinimumNextBid()).to.equal(
+        ethers.utils.parseEther("1.1")
+      );
+
+      // 10% of 5 ETH is larger than the absolute increment
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("5") });
+      expect(await hardhatAuction.getMinimumNextBid()).to.equal(
+        ethers.utils.parseEther("5.5")
+      );
+    });
+
+    it("Should reject bids below the minimum next bid", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployIncrementAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .bid({ value: ethers.utils.parseEther("2.1") })
+      )
+        .to.be.revertedWithCustomError(hardhatAuction, "BidTooLow")
+        .withArgs(ethers.utils.parseEther("2.2"));
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("2.2") });
+      expect(await hardhatAuction.getHighestBidder()).to.equal(addr2.address);
+    });
+
+    it("Should require at least 1 wei more without an increment", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(deployAuctionFixture);
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      expect(await hardhatAuction.getMinimumNextBid()).to.equal(
+        ethers.utils.parseEther("2").add(1)
+      );
+    });
+  });
+
+  describe("Bidding and withdrawals", function () {
+    it("Should rebuild the bid history from its creation block", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+      const { blockNumber } = await hardhatAuction.deployTransaction.wait();
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("3") });
+
+      const createdBlock = await hardhatAuction.createdBlock();
+      expect(createdBlock).to.equal(blockNumber);
+      const bids = await hardhatAuction.queryFilter(
+        hardhatAuction.filters.BidPlaced(),
+        createdBlock.toNumber()
+      );
+      expect(
+        bids.map(({ args }) => [args._bidder, args._amount])
+      ).to.deep.equal([
+        [addr1.address, ethers.utils.parseEther("2")],
+        [addr2.address, ethers.utils.parseEther("3")],
+      ]);
+    });
+
+    it("Should emit BidPlaced", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(deployAuctionFixture);
+
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      )
+        .to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr1.address, ethers.utils.parseEther("2"));
+    });
+
+    it("Should let the outbid bidder withdraw their bid", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("3") });
+
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+
+      await expect(
+        hardhatAuction.connect(addr1).withdraw()
+      ).to.changeEtherBalances(
+        [hardhatAuction, addr1],
+        [ethers.utils.parseEther("-2"), ethers.utils.parseEther("2")]
+      );
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(0);
+    });
+
+    it("Should emit WithdrawalMade", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("3") });
+
+      await expect(hardhatAuction.connect(addr1).withdraw())
+        .to.emit(hardhatAuction, "WithdrawalMade")
+        .withArgs(addr1.address, ethers.utils.parseEther("2"));
+    });
+
+    it("Should not let a bidder that rejects ETH block new bids", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(deployAuctionFixture);
+      const RejectingBidder = await ethers.getContractFactory(
+        "RejectingBidder"
+      );
+      const rejectingBidder = await RejectingBidder.deploy();
+
+      await rejectingBidder.bid(hardhatAuction.address, {
+        value: ethers.utils.parseEther("2"),
+      });
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("3") });
+
+      expect(await hardhatAuction.getHighestBidder()).to.equal(addr1.address);
+      // The funds stay in the ledger until the bidder can accept them
+      await expect(
+        rejectingBidder.withdraw(hardhatAuction.address)
+      ).to.be.revertedWithCustomError(hardhatAuction, "TransferFailed");
+      expect(
+        await hardhatAuction.pendingReturns(rejectingBidder.address)
+      ).to.equal(ethers.utils.parseEther("2"));
+    });
+
+    it("Should credit the highest bid to the beneficiary when the auction ends", async function () {
+      const { hardhatAuction, owner, addr1 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(601);
+      await expect(hardhatAuction.checkIfAuctionEnded())
+        .to.emit(hardhatAuction, "AuctionEnded")
+        .withArgs(addr1.address, ethers.utils.parseEther("2"));
+
+      expect(await hardhatAuction.newOwner()).to.equal(addr1.address);
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+      // The auction can only be settled once
+      await expect(
+        hardhatAuction.checkIfAuctionEnded()
+      ).to.be.revertedWithCustomError(hardhatAuction, "AuctionNotActive");
+    });
+
+    it("Should credit the beneficiary rather than the owner", async function () {
+      const { hardhatAuction, owner, addr1 } = await loadFixture(
+        deployCustomAuctionFixture
+      );
+      const [, , , beneficiary] = await ethers.getSigners();
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(3601);
+      await hardhatAuction.checkIfAuctionEnded();
+
+      expect(await hardhatAuction.pendingReturns(beneficiary.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(0);
+    });
+
+    it("Should credit the highest bid back to the bidder when stopped", async function () {
+      const { hardhatAuction, owner, addr1 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await expect(
+        hardhatAuction.connect(addr1).stopAuction()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOwner");
+      await expect(hardhatAuction.stopAuction()).to.emit(
+        hardhatAuction,
+        "AuctionStopped"
+      );
+
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(0);
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("3") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "AuctionNotActive");
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should transfer the ownership in two steps", async function () {
+      const { hardhatAuction, owner, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await expect(
+        hardhatAuction.connect(addr1).transferOwnership(addr1.address)
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOwner");
+      await expect(hardhatAuction.transferOwnership(addr1.address))
+        .to.emit(hardhatAuction, "OwnershipTransferStarted")
+        .withArgs(owner.address, addr1.address);
+      // The owner doesn't change until the new one accepts
+      expect(await hardhatAuction.originalOwner()).to.equal(owner.address);
+      await expect(
+        hardhatAuction.connect(addr2).acceptOwnership()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotPendingOwner");
+
+      await expect(hardhatAuction.connect(addr1).acceptOwnership())
+        .to.emit(hardhatAuction, "OwnershipTransferred")
+        .withArgs(owner.address, addr1.address);
+      expect(await hardhatAuction.originalOwner()).to.equal(addr1.address);
+      expect(await hardhatAuction.pendingOwner()).to.equal(
+        ethers.constants.AddressZero
+      );
+      await expect(hardhatAuction.stopAuction()).to.be.revertedWithCustomError(
+        hardhatAuction,
+        "NotOwner"
+      );
+    });
+
+    it("Should keep crediting the proceeds to the beneficiary", async function () {
+      const { hardhatAuction, owner, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await hardhatAuction.transferOwnership(addr1.address);
+      await hardhatAuction.connect(addr1).acceptOwnership();
+      await hardhatAuction
+        .connect(addr2)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(601);
+      await hardhatAuction.checkIfAuctionEnded();
+
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(0);
+    });
+
+    it("Should freeze bids while paused and give the paused time back", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(deployAuctionFixture);
+      const [, , , endTime] = await hardhatAuction.getAuctionInfo();
+
+      await expect(
+        hardhatAuction.connect(addr1).pause()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOwner");
+      await expect(hardhatAuction.pause()).to.emit(hardhatAuction, "Paused");
+      const pausedAt = await time.latest();
+      expect(await hardhatAuction.paused()).to.equal(true);
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "AuctionPaused");
+
+      await time.increase(700);
+      // A paused auction can't be finalized, even after its end time
+      await expect(
+        hardhatAuction.checkIfAuctionEnded()
+      ).to.be.revertedWithCustomError(hardhatAuction, "AuctionPaused");
+
+      await time.setNextBlockTimestamp(pausedAt + 1000);
+      await expect(hardhatAuction.unpause())
+        .to.emit(hardhatAuction, "Unpaused")
+        .and.to.emit(hardhatAuction, "AuctionExtended")
+        .withArgs(endTime.add(1000));
+      await expect(hardhatAuction.unpause()).to.be.revertedWithCustomError(
+        hardhatAuction,
+        "AuctionNotPaused"
+      );
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      ).to.emit(hardhatAuction, "BidPlaced");
+    });
+
+    it("Should not pause after the end time", async function () {
+      const { hardhatAuction } = await loadFixture(deployAuctionFixture);
+
+      await time.increase(601);
+      await expect(hardhatAuction.pause()).to.be.revertedWithCustomError(
+        hardhatAuction,
+        "AuctionNotActive"
+      );
+    });
+
+    it("Should not stop after the end time, unless paused", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(deployAuctionFixture);
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(601);
+      await expect(hardhatAuction.stopAuction()).to.be.revertedWithCustomError(
+        hardhatAuction,
+        "AuctionNotActive"
+      );
+      await expect(hardhatAuction.checkIfAuctionEnded())
+        .to.emit(hardhatAuction, "AuctionEnded")
+        .withArgs(addr1.address, ethers.utils.parseEther("2"));
+    });
+
+    it("Should stop a paused auction past its end time", async function () {
+      const { hardhatAuction } = await loadFixture(deployAuctionFixture);
+
+      await hardhatAuction.pause();
+      await time.increase(601);
+      await expect(hardhatAuction.stopAuction()).to.emit(
+        hardhatAuction,
+        "AuctionStopped"
+      );
+    });
+
+    it("Should let operators finalize and pay the owner", async function () {
+      const { hardhatAuction, owner, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(601);
+      await expect(
+        hardhatAuction.connect(addr2).finalize()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOperator");
+
+      await expect(hardhatAuction.setOperator(addr2.address, true))
+        .to.emit(hardhatAuction, "OperatorSet")
+        .withArgs(addr2.address, true);
+      expect(
+        (await hardhatAuction.getSnapshot(addr2.address)).isOperator
+      ).to.equal(true);
+
+      // The proceeds go to the owner, not to the operator
+      await expect(
+        hardhatAuction.connect(addr2).finalize()
+      ).to.changeEtherBalances(
+        [owner, addr2, hardhatAuction],
+        [ethers.utils.parseEther("2"), 0, ethers.utils.parseEther("-2")]
+      );
+      expect(await hardhatAuction.isActive()).to.equal(false);
+      expect(await hardhatAuction.newOwner()).to.equal(addr1.address);
+
+      await hardhatAuction.setOperator(addr2.address, false);
+      await expect(
+        hardhatAuction.connect(addr2).finalize()
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOperator");
+    });
+  });
+
+  describe("Proxy bidding", function () {
+    async function deployProxyAuctionFixture() {
+      // Base price 1 ETH, bids must beat the highest one by 0.1 ETH
+      return deployAuction({ minIncrement: ethers.utils.parseEther("0.1") });
+    }
+
+    const eth = (amount) => ethers.utils.parseEther(amount);
+
+    it("Should bid the base price for a max bid and raise it when outbid", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployProxyAuctionFixture
+      );
+
+      await expect(hardhatAuction.connect(addr1).proxyBid({ value: eth("3") }))
+        .to.emit(hardhatAuction, "MaxBidSet")
+        .withArgs(addr1.address, eth("3"))
+        .and.to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr1.address, eth("1"));
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("1"));
+
+      // The manual bid is outbid at once by the increment
+      await expect(hardhatAuction.connect(addr2).bid({ value: eth("1.5") }))
+        .to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr2.address, eth("1.5"))
+        .and.to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr1.address, eth("1.6"));
+      expect(await hardhatAuction.highestBidder()).to.equal(addr1.address);
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("1.6"));
+      expect(await hardhatAuction.pendingReturns(addr2.address)).to.equal(
+        eth("1.5")
+      );
+    });
+
+    it("Should charge the winner the second-highest max bid plus the increment", async function () {
+      const { hardhatAuction, owner, addr1, addr2 } = await loadFixture(
+        deployProxyAuctionFixture
+      );
+
+      await hardhatAuction.connect(addr1).proxyBid({ value: eth("3") });
+      await hardhatAuction.connect(addr2).proxyBid({ value: eth("2") });
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("2.1"));
+      expect(await hardhatAuction.pendingReturns(addr2.address)).to.equal(
+        eth("2")
+      );
+
+      await time.increase(601);
+      await hardhatAuction.checkIfAuctionEnded();
+
+      expect(await hardhatAuction.newOwner()).to.equal(addr1.address);
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(
+        eth("2.1")
+      );
+      // The unused part of the max bid goes back to the winner
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(
+        eth("0.9")
+      );
+      expect(await hardhatAuction.maxBids(addr1.address)).to.equal(0);
+    });
+
+    it("Should let a higher max bid or manual bid take the lead", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployProxyAuctionFixture
+      );
+      const [, , , addr3] = await ethers.getSigners();
+
+      await hardhatAuction.connect(addr1).proxyBid({ value: eth("2") });
+      // The previous max bid is used up before it's beaten
+      await expect(hardhatAuction.connect(addr2).proxyBid({ value: eth("3") }))
+        .to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr1.address, eth("2"))
+        .and.to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr2.address, eth("2.1"));
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(
+        eth("2")
+      );
+
+      // A manual bid over the max bid wins, and the whole deposit is refunded
+      await hardhatAuction.connect(addr3).bid({ value: eth("3.5") });
+      expect(await hardhatAuction.highestBidder()).to.equal(addr3.address);
+      expect(await hardhatAuction.maxBids(addr2.address)).to.equal(0);
+      expect(await hardhatAuction.pendingReturns(addr2.address)).to.equal(
+        eth("3")
+      );
+    });
+
+    it("Should let the highest bidder raise their max bid", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployProxyAuctionFixture
+      );
+
+      await hardhatAuction.connect(addr1).bid({ value: eth("1") });
+      // The manual bid becomes part of the max bid
+      await expect(hardhatAuction.connect(addr1).proxyBid({ value: eth("1") }))
+        .to.emit(hardhatAuction, "MaxBidSet")
+        .withArgs(addr1.address, eth("2"));
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("1"));
+
+      await hardhatAuction.connect(addr2).bid({ value: eth("1.5") });
+      expect(await hardhatAuction.highestBidder()).to.equal(addr1.address);
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("1.6"));
+
+      const snapshot = await hardhatAuction.getSnapshot(addr1.address);
+      expect(snapshot.maxBid).to.equal(eth("2"));
+    });
+
+    it("Should add a manual bid from the highest bidder to their max bid", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployProxyAuctionFixture
+      );
+
+      await hardhatAuction.connect(addr1).proxyBid({ value: eth("3") });
+      await hardhatAuction.connect(addr2).bid({ value: eth("1.5") });
+
+      // The bid doesn't outbid their own max bid, it raises it
+      await expect(hardhatAuction.connect(addr1).bid({ value: eth("1") }))
+        .to.emit(hardhatAuction, "MaxBidSet")
+        .withArgs(addr1.address, eth("4"))
+        .and.not.to.emit(hardhatAuction, "BidPlaced");
+      expect(await hardhatAuction.highestBidder()).to.equal(addr1.address);
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("1.6"));
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(0);
+
+      // They still pay the second-highest max bid plus the increment
+      await hardhatAuction.connect(addr2).proxyBid({ value: eth("3.5") });
+      expect(await hardhatAuction.highestBidder()).to.equal(addr1.address);
+      expect(await hardhatAuction.highestPrice()).to.equal(eth("3.6"));
+    });
+  });
+
+  describe("Buy it now", function () {
+    async function deployBuyNowAuctionFixture() {
+      // Buy-it-now for 3 ETH until the highest bid reaches 2 ETH
+      return deployAuction({
+        buyNow: [ethers.utils.parseEther("3"), ethers.utils.parseEther("2")],
+      });
+    }
+
+    it("Should end the auction at the buy-now price and refund the highest bidder", async function () {
+      const { hardhatAuction, owner, addr1, addr2 } = await loadFixture(
+        deployBuyNowAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("1") });
+      expect(await hardhatAuction.isBuyNowAvailable()).to.equal(true);
+
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .buyNow({ value: ethers.utils.parseEther("3.5") })
+      )
+        .to.emit(hardhatAuction, "BoughtNow")
+        .withArgs(addr2.address, ethers.utils.parseEther("3"))
+        .and.to.emit(hardhatAuction, "AuctionEnded")
+        .withArgs(addr2.address, ethers.utils.parseEther("3"));
+
+      expect(await hardhatAuction.isActive()).to.equal(false);
+      expect(await hardhatAuction.newOwner()).to.equal(addr2.address);
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("1")
+      );
+      // The overpayment can be withdrawn
+      expect(await hardhatAuction.pendingReturns(addr2.address)).to.equal(
+        ethers.utils.parseEther("0.5")
+      );
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(
+        ethers.utils.parseEther("3")
+      );
+    });
+
+    it("Should become unavailable once the highest bid reaches the threshold", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployBuyNowAuctionFixture
+      );
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+
+      expect(await hardhatAuction.isBuyNowAvailable()).to.equal(false);
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .buyNow({ value: ethers.utils.parseEther("3") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "BuyNowUnavailable");
+    });
+
+    it("Should reject a payment below the price or an auction without buy-it-now", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(
+        deployBuyNowAuctionFixture
+      );
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .buyNow({ value: ethers.utils.parseEther("2.9") })
+      )
+        .to.be.revertedWithCustomError(hardhatAuction, "BidTooLow")
+        .withArgs(ethers.utils.parseEther("3"));
+
+      const { hardhatAuction: plainAuction } = await deployAuction();
+      expect(await plainAuction.isBuyNowAvailable()).to.equal(false);
+      await expect(
+        plainAuction.connect(addr1).buyNow({ value: 1 })
+      ).to.be.revertedWithCustomError(plainAuction, "BuyNowUnavailable");
+
+      const Auction = await ethers.getContractFactory("Auction");
+      await expect(
+        deployAuction({ buyNow: [1, 2] })
+      ).to.be.revertedWithCustomError(Auction, "InvalidBuyNow");
+    });
+  });
+
+  describe("Allowlist", function () {
+    async function deployPrivateAuctionFixture() {
+      const fixture = await deployAuction();
+      const [, addr1, , addr3] = await ethers.getSigners();
+      const allowlist = buildAllowlist([addr1.address, addr3.address]);
+      await fixture.hardhatAuction.setAllowlistRoot(allowlist.root);
+
+      return { ...fixture, addr3, allowlist };
+    }
+
+    it("Should only take bids from allowlisted accounts with a valid proof", async function () {
+      const { hardhatAuction, addr1, addr2, allowlist } = await loadFixture(
+        deployPrivateAuctionFixture
+      );
+      const proof = allowlist.proofs[addr1.address];
+
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .bid({ value: ethers.utils.parseEther("1") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotAllowlisted");
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .bidWithProof(proof, { value: ethers.utils.parseEther("1") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotAllowlisted");
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .proxyBid({ value: ethers.utils.parseEther("2") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotAllowlisted");
+
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bidWithProof(proof, { value: ethers.utils.parseEther("1") })
+      )
+        .to.emit(hardhatAuction, "Allowlisted")
+        .withArgs(addr1.address)
+        .and.to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr1.address, ethers.utils.parseEther("1"));
+
+      // Once proven, the account bids without a proof
+      expect(await hardhatAuction.isAllowlisted(addr1.address)).to.equal(true);
+      expect(
+        (await hardhatAuction.getSnapshot(addr2.address)).allowlisted
+      ).to.equal(false);
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      ).to.emit(hardhatAuction, "BidPlaced");
+    });
+
+    it("Should ask for a new proof when the root changes, and reopen with a zero root", async function () {
+      const { hardhatAuction, addr1, addr2, addr3, allowlist } =
+        await loadFixture(deployPrivateAuctionFixture);
+      await hardhatAuction
+        .connect(addr1)
+        .proveAllowlisted(allowlist.proofs[addr1.address]);
+
+      const newAllowlist = buildAllowlist([addr2.address, addr3.address]);
+      await expect(hardhatAuction.setAllowlistRoot(newAllowlist.root))
+        .to.emit(hardhatAuction, "AllowlistRootSet")
+        .withArgs(newAllowlist.root);
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("1") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotAllowlisted");
+
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .setAllowlistRoot(ethers.constants.HashZero)
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotOwner");
+      await hardhatAuction.setAllowlistRoot(ethers.constants.HashZero);
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("1") })
+      ).to.emit(hardhatAuction, "BidPlaced");
+    });
+  });
+
+  describe("Signed bids", function () {
+    const eth = (amount) => ethers.utils.parseEther(amount);
+
+    // A deadline an hour from the chain's time
+    async function inAnHour() {
+      return (await time.latest()) + 3600;
+    }
+
+    it("Should place a signed bid from the bidder's deposit, sent by a relayer", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+
+      await expect(hardhatAuction.connect(addr1).deposit({ value: eth("2") }))
+        .to.emit(hardhatAuction, "Deposited")
+        .withArgs(addr1.address, eth("2"));
+      const bid = await signBid(addr1, hardhatAuction, {
+        amount: eth("1.5"),
+        deadline: await inAnHour(),
+      });
+
+      // addr2 relays the bid, and pays its gas
+      await expect(
+        hardhatAuction
+          .connect(addr2)
+          .bidBySig(
+            bid.bidder,
+            bid.amount,
+            bid.nonce,
+            bid.deadline,
+            bid.signature
+          )
+      )
+        .to.emit(hardhatAuction, "BidPlaced")
+        .withArgs(addr1.address, eth("1.5"));
+
+      expect(await hardhatAuction.highestBidder()).to.equal(addr1.address);
+      expect(await hardhatAuction.pendingReturns(addr1.address)).to.equal(
+        eth("0.5")
+      );
+      expect(await hardhatAuction.pendingReturns(addr2.address)).to.equal(0);
+      expect(await hardhatAuction.nonces(addr1.address)).to.equal(1);
+    });
+
+    it("Should reject replayed, expired, forged or underfunded signed bids", async function () {
+      const { hardhatAuction, addr1, addr2 } = await loadFixture(
+        deployAuctionFixture
+      );
+      await hardhatAuction.connect(addr1).deposit({ value: eth("2") });
+      const bidBySig = ({ bidder, amount, nonce, deadline, signature }) =>
+        hardhatAuction
+          .connect(addr2)
+          .bidBySig(bidder, amount, nonce, deadline, signature);
+
+      const bid = await signBid(addr1, hardhatAuction, {
+        amount: eth("1"),
+        deadline: await inAnHour(),
+      });
+      await bidBySig(bid);
+      await expect(bidBySig(bid))
+        .to.be.revertedWithCustomError(hardhatAuction, "InvalidNonce")
+        .withArgs(1);
+
+      const expired = await signBid(addr1, hardhatAuction, {
+        amount: eth("1.5"),
+        deadline: (await time.latest()) - 1,
+      });
+      await expect(bidBySig(expired))
+        .to.be.revertedWithCustomError(hardhatAuction, "SignatureExpired")
+        .withArgs(expired.deadline);
+
+      // A bid signed by addr2 on addr1's behalf
+      const forged = await signBid(addr2, hardhatAuction, {
+        amount: eth("1.5"),
+        deadline: await inAnHour(),
+        nonce: 1,
+      });
+      await expect(
+        bidBySig({ ...forged, bidder: addr1.address })
+      ).to.be.revertedWithCustomError(hardhatAuction, "InvalidSignature");
+
+      const tooHigh = await signBid(addr1, hardhatAuction, {
+        amount: eth("1.5"),
+        deadline: await inAnHour(),
+      });
+      await expect(bidBySig(tooHigh))
+        .to.be.revertedWithCustomError(hardhatAuction, "InsufficientDeposit")
+        .withArgs(eth("1"));
+    });
+
+    it("Should reject malformed signatures, even for the zero address", async function () {
+      const { hardhatAuction, addr2 } = await loadFixture(deployAuctionFixture);
+      const bidBySig = (signature) =>
+        hardhatAuction
+          .connect(addr2)
+          .bidBySig(
+            ethers.constants.AddressZero,
+            0,
+            0,
+            ethers.constants.MaxUint256,
+            signature
+          );
+
+      // Malformed signatures are recovered as the zero address: one with the
+      // wrong length, and one with a high s
+      await expect(bidBySig("0x1234")).to.be.revertedWithCustomError(
+        hardhatAuction,
+        "InvalidSignature"
+      );
+      await expect(
+        bidBySig(
+          ethers.utils.hexConcat([
+            ethers.constants.HashZero,
+            ethers.constants.MaxUint256,
+            "0x1b",
+          ])
+        )
+      ).to.be.revertedWithCustomError(hardhatAuction, "InvalidSignature");
+      expect(
+        await hardhatAuction.nonces(ethers.constants.AddressZero)
+      ).to.equal(0);
+    });
+  });
+
+  describe("Payouts", function () {
+    it("Should split the proceeds between the platform, the splits and the owner", async function () {
+      const [owner, addr1, platform, coSeller] = await ethers.getSigners();
+      // A 2.5% platform fee and a 10% split
+      const { hardhatAuction } = await deployAuction({
+        payouts: [platform.address, 250, [[coSeller.address, 1000]]],
+      });
+
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(601);
+
+      await expect(hardhatAuction.checkIfAuctionEnded())
+        .to.emit(hardhatAuction, "ProceedsDistributed")
+        .withArgs(
+          owner.address,
+          ethers.utils.parseEther("2"),
+          ethers.utils.parseEther("0.05"),
+          ethers.utils.parseEther("0.2"),
+          ethers.utils.parseEther("1.75")
+        )
+        .and.to.emit(hardhatAuction, "SplitPaid")
+        .withArgs(coSeller.address, ethers.utils.parseEther("0.2"));
+      expect(await hardhatAuction.pendingReturns(platform.address)).to.equal(
+        ethers.utils.parseEther("0.05")
+      );
+      expect(await hardhatAuction.pendingReturns(coSeller.address)).to.equal(
+        ethers.utils.parseEther("0.2")
+      );
+      expect(await hardhatAuction.pendingReturns(owner.address)).to.equal(
+        ethers.utils.parseEther("1.75")
+      );
+
+      await expect(
+        hardhatAuction.connect(coSeller).withdraw()
+      ).to.changeEtherBalance(coSeller, ethers.utils.parseEther("0.2"));
+    });
+
+    it("Should reject payouts over the whole price or without a recipient", async function () {
+      const Auction = await ethers.getContractFactory("Auction");
+      const [, addr1, platform] = await ethers.getSigners();
+
+      await expect(
+        deployAuction({
+          payouts: [platform.address, 5000, [[addr1.address, 5001]]],
+        })
+      ).to.be.revertedWithCustomError(Auction, "InvalidPayouts");
+      await expect(
+        deployAuction({ payouts: [ethers.constants.AddressZero, 250, []] })
+      ).to.be.revertedWithCustomError(Auction, "InvalidPayouts");
+    });
+  });
+
+  describe("Token auctions", function () {
+    async function deployTokenAuctionFixture() {
+      const Token = await ethers.getContractFactory("Token");
+      const token = await Token.deploy();
+      await token.deployed();
+
+      const { hardhatAuction, owner, addr1, addr2 } = await deployAuction({
+        paymentToken: token.address,
+      });
+
+      // The owner holds the whole supply, so it shares some with the bidders
+      for (const bidder of [addr1, addr2]) {
+        await token.transfer(bidder.address, ethers.utils.parseEther("10"));
+      }
+
+      return { token, hardhatAuction, owner, addr1, addr2 };
+    }
+
+    // Approves the auction to take `amount` tokens from `bidder` and bids them
+    async function approveAndBid(token, auction, bidder, amount) {
+      const wei = ethers.utils.parseEther(amount);
+      await token.connect(bidder).approve(auction.address, wei);
+      return auction.connect(bidder).bidWithToken(wei);
+    }
+
+    it("Should only accept bids in the auction's currency", async function () {
+      const { token, hardhatAuction, addr1 } = await loadFixture(
+        deployTokenAuctionFixture
+      );
+      const { hardhatAuction: etherAuction } = await deployAuction();
+
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      )
+        .to.be.revertedWithCustomError(hardhatAuction, "PaidInToken")
+        .withArgs(token.address);
+      await expect(
+        approveAndBid(token, etherAuction, addr1, "2")
+      ).to.be.revertedWithCustomError(etherAuction, "PaidInEther");
+    });
+
+    it("Should need an allowance to bid", async function () {
+      const { hardhatAuction, addr1 } = await loadFixture(
+        deployTokenAuctionFixture
+      );
+
+      await expect(
+        hardhatAuction.connect(addr1).bidWithToken(ethers.utils.parseEther("2"))
+      ).to.be.revertedWith("Insufficient allowance");
+    });
+
+    it("Should escrow, refund and settle bids in tokens", async function () {
+      const { token, hardhatAuction, owner, addr1, addr2 } = await loadFixture(
+        deployTokenAuctionFixture
+      );
+
+      await expect(
+        approveAndBid(token, hardhatAuction, addr1, "2")
+      ).to.changeTokenBalances(
+        token,
+        [addr1, hardhatAuction],
+        [ethers.utils.parseEther("-2"), ethers.utils.parseEther("2")]
+      );
+      await approveAndBid(token, hardhatAuction, addr2, "3");
+
+      await expect(
+        hardhatAuction.connect(addr1).withdraw()
+      ).to.changeTokenBalance(token, addr1, ethers.utils.parseEther("2"));
+
+      await time.increase(601);
+      await hardhatAuction.checkIfAuctionEnded();
+      expect(await hardhatAuction.newOwner()).to.equal(addr2.address);
+      await expect(hardhatAuction.withdraw()).to.changeTokenBalance(
+        token,
+        owner,
+        ethers.utils.parseEther("3")
+      );
+    });
+
+    it("Should include the account's balance and allowance in the snapshot", async function () {
+      const { token, hardhatAuction, addr1 } = await loadFixture(
+        deployTokenAuctionFixture
+      );
+
+      await approveAndBid(token, hardhatAuction, addr1, "2");
+      await token
+        .connect(addr1)
+        .approve(hardhatAuction.address, ethers.utils.parseEther("5"));
+      const snapshot = await hardhatAuction.getSnapshot(addr1.address);
+
+      expect(snapshot.paymentToken).to.equal(token.address);
+      expect(snapshot.timestamp).to.equal(await time.latest());
+      expect(snapshot.highestBidder).to.equal(addr1.address);
+      expect(snapshot.minimumNextBid).to.equal(
+        await hardhatAuction.getMinimumNextBid()
+      );
+      expect(snapshot.tokenBalance).to.equal(
+        await token.balanceOf(addr1.address)
+      );
+      expect(snapshot.allowance).to.equal(ethers.utils.parseEther("5"));
+    });
+  });
+
+  describe("Item escrow", function () {
+    async function deployItemAuctionFixture() {
+      const MockNFT = await ethers.getContractFactory("MockNFT");
+      const nft = await MockNFT.deploy();
+      await nft.deployed();
+
+      const [, , , seller] = await ethers.getSigners();
+      await nft.mint(seller.address, "ipfs://item");
+      await nft.mint(seller.address, "ipfs://other-item");
+
+      const auction = await deployAuction({ item: [nft.address, 1] });
+      return { nft, seller, ...auction };
+    }
+
+    // The seller deposits the item, as AuctionFactory does on creation
+    function deposit(nft, seller, auction, tokenId = 1) {
+      return nft
+        .connect(seller)
+        .safeTransferFrom(seller.address, auction.address, tokenId);
+    }
+
+    it("Should only accept bids once the item is deposited", async function () {
+      const { nft, seller, hardhatAuction, addr1 } = await loadFixture(
+        deployItemAuctionFixture
+      );
+
+      await expect(
+        hardhatAuction
+          .connect(addr1)
+          .bid({ value: ethers.utils.parseEther("2") })
+      ).to.be.revertedWithCustomError(hardhatAuction, "ItemNotDeposited");
+
+      await expect(deposit(nft, seller, hardhatAuction))
+        .to.emit(hardhatAuction, "ItemDeposited")
+        .withArgs(seller.address);
+      expect(await hardhatAuction.seller()).to.equal(seller.address);
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+    });
+
+    it("Should reject any other token", async function () {
+      const { nft, seller, hardhatAuction } = await loadFixture(
+        deployItemAuctionFixture
+      );
+
+      await expect(
+        deposit(nft, seller, hardhatAuction, 2)
+      ).to.be.revertedWithCustomError(hardhatAuction, "NotAuctionItem");
+    });
+
+    it("Should transfer the item to the winner at settlement", async function () {
+      const { nft, seller, hardhatAuction, addr1 } = await loadFixture(
+        deployItemAuctionFixture
+      );
+
+      await deposit(nft, seller, hardhatAuction);
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await time.increase(601);
+
+      await expect(hardhatAuction.checkIfAuctionEnded())
+        .to.emit(hardhatAuction, "ItemTransferred")
+        .withArgs(addr1.address);
+      expect(await nft.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it("Should return the item to the seller without bids", async function () {
+      const { nft, seller, hardhatAuction } = await loadFixture(
+        deployItemAuctionFixture
+      );
+
+      await deposit(nft, seller, hardhatAuction);
+      await time.increase(601);
+      await hardhatAuction.checkIfAuctionEnded();
+
+      expect(await nft.ownerOf(1)).to.equal(seller.address);
+    });
+
+    it("Should return the item to the seller when stopped", async function () {
+      const { nft, seller, hardhatAuction, addr1 } = await loadFixture(
+        deployItemAuctionFixture
+      );
+
+      await deposit(nft, seller, hardhatAuction);
+      await hardhatAuction
+        .connect(addr1)
+        .bid({ value: ethers.utils.parseEther("2") });
+      await hardhatAuction.stopAuction();
+
+      expect(await nft.ownerOf(1)).to.equal(seller.address);
+      // Once the auction is over, the item can't be deposited again
+      await expect(
+        deposit(nft, seller, hardhatAuction)
+      ).to.be.revertedWithCustomError(hardhatAuction, "AuctionNotActive");
+    });
   });
 });
@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("AuctionFactory contract", function () {
+  // The Item argument of auctions that don't escrow an ERC-721 token
+  const NO_ITEM = [ethers.constants.AddressZero, 0];
+
+  async function deployFactoryFixture() {
+    const AuctionFactory = await ethers.getContractFactory("AuctionFactory");
+    const [owner, addr1, addr2] = await ethers.getSigners();
+
+    const factory = await AuctionFactory.deploy();
+    await factory.deployed();
+
+    return { factory, owner, addr1, addr2 };
+  }
+
+  // The createAuction arguments used unless a test overrides them, in the
+  // function's order
+  const DEFAULT_PARAMS = {
+    description: "Un Ford Focus amarillo",
+    basePrice: ethers.utils.parseEther("1"),
+    duration: 600,
+    extensionWindow: 0,
+    minIncrement: 0,
+    minIncrementBps: 0,
+    beneficiary: ethers.constants.AddressZero,
+    paymentToken: ethers.constants.AddressZero,
+    buyNow: [0, 0],
+    item: NO_ITEM,
+    splits: [],
+  };
+
+  // Creates an auction from `signer` and returns its Auction contract
+  async function createAuction(factory, signer, params = {}) {
+    const args = Object.values({ ...DEFAULT_PARAMS, ...params });
+
+    const tx = await factory.connect(signer).createAuction(...args);
+    const receipt = await tx.wait();
+    const event = receipt.events.find((e) => e.event === "AuctionCreated");
+
+    return ethers.getContractAt("Auction", event.args.auction);
+  }
+
+  describe("Creating auctions", function () {
+    it("Should register the auction and its creator", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+
+      const auction = await createAuction(factory, addr1);
+
+      expect(await factory.getAuctions()).to.deep.equal([auction.address]);
+      expect(await factory.getAuctionCount()).to.equal(1);
+      expect(await factory.creatorOf(auction.address)).to.equal(addr1.address);
+    });
+
+    it("Should emit AuctionCreated", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+      // Contracts start with nonce 1: the factory's first contract is the
+      // deployer of English auctions, and its first one is this auction
+      const auctionAddress = ethers.utils.getContractAddress({
+        from: ethers.utils.getContractAddress({
+          from: factory.address,
+          nonce: 1,
+        }),
+        nonce: 1,
+      });
+
+      const args = Object.values({
+        ...DEFAULT_PARAMS,
+        description: "Una bicicleta",
+      });
+
+      await expect(factory.connect(addr1).createAuction(...args))
+        .to.emit(factory, "AuctionCreated")
+        .withArgs(auctionAddress, addr1.address, "Una bicicleta");
+    });
+
+    it("Should make the creator the owner, and the beneficiary by default", async function () {
+      const { factory, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+
+      const auction = await createAuction(factory, addr1);
+      const otherAuction = await createAuction(factory, addr1, {
+        beneficiary: addr2.address,
+      });
+
+      expect(await auction.originalOwner()).to.equal(addr1.address);
+      expect(await auction.beneficiary()).to.equal(addr1.address);
+      // Naming another beneficiary doesn't give them the auction
+      expect(await otherAuction.originalOwner()).to.equal(addr1.address);
+      expect(await otherAuction.beneficiary()).to.equal(addr2.address);
+      await expect(
+        otherAuction.connect(addr2).stopAuction()
+      ).to.be.revertedWithCustomError(otherAuction, "NotOwner");
+    });
+  });
+
+  describe("Depositing items", function () {
+    async function mintItem(seller) {
+      const MockNFT = await ethers.getContractFactory("MockNFT");
+      const nft = await MockNFT.deploy();
+      await nft.deployed();
+      await nft.mint(seller.address, "ipfs://item");
+      return nft;
+    }
+
+    it("Should deposit the creator's item in the new auction", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+      const nft = await mintItem(addr1);
+
+      await nft.connect(addr1).approve(factory.address, 1);
+      const auction = await createAuction(factory, addr1, {
+        item: [nft.address, 1],
+      });
+
+      expect(await nft.ownerOf(1)).to.equal(auction.address);
+      expect(await auction.seller()).to.equal(addr1.address);
+      expect(await auction.getItem()).to.deep.equal([nft.address, 1, true]);
+    });
+
+    it("Should need the factory to be approved", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+      const nft = await mintItem(addr1);
+
+      await expect(
+        createAuction(factory, addr1, { item: [nft.address, 1] })
+      ).to.be.revertedWith("No puedes transferir este token");
+    });
+  });
+
+  describe("Creating sealed-bid auctions", function () {
+    it("Should register a sealed-bid auction", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+
+      const tx = await factory
+        .connect(addr1)
+        .createSealedBidAuction(
+          "Una bicicleta",
+          ethers.utils.parseEther("1"),
+          600,
+          300,
+          ethers.constants.AddressZero,
+          NO_ITEM,
+          []
+        );
+      const receipt = await tx.wait();
+      const event = receipt.events.find((e) => e.event === "AuctionCreated");
+      const auction = await ethers.getContractAt(
+        "SealedBidAuction",
+        event.args.auction
+      );
+
+      expect(await auction.auctionType()).to.equal("sealed");
+      expect(await auction.originalOwner()).to.equal(addr1.address);
+      expect(await factory.creatorOf(auction.address)).to.equal(addr1.address);
+      expect(await factory.getAuctionsByStatus(true, 0, 10)).to.deep.equal([
+        auction.address,
+      ]);
+    });
+  });
+
+  describe("Creating Dutch auctions", function () {
+    it("Should register a Dutch auction", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+
+      const tx = await factory
+        .connect(addr1)
+        .createDutchAuction(
+          "Una bicicleta",
+          ethers.utils.parseEther("2"),
+          ethers.utils.parseEther("1"),
+          600,
+          60,
+          ethers.constants.AddressZero,
+          NO_ITEM,
+          []
+        );
+      const receipt = await tx.wait();
+      const event = receipt.events.find((e) => e.event === "AuctionCreated");
+      const auction = await ethers.getContractAt(
+        "DutchAuction",
+        event.args.auction
+      );
+
+      expect(await auction.auctionType()).to.equal("dutch");
+      expect(await auction.originalOwner()).to.equal(addr1.address);
+      expect(await factory.creatorOf(auction.address)).to.equal(addr1.address);
+    });
+  });
+
+  describe("Platform fee", function () {
+    it("Should only let the factory's owner set the fee", async function () {
+      const { factory, owner, addr1 } = await loadFixture(deployFactoryFixture);
+
+      await expect(factory.setPlatformFee(owner.address, 250))
+        .to.emit(factory, "PlatformFeeChanged")
+        .withArgs(owner.address, 250);
+      await expect(
+        factory.connect(addr1).setPlatformFee(addr1.address, 250)
+      ).to.be.revertedWithCustomError(factory, "NotOwner");
+      await expect(
+        factory.setPlatformFee(owner.address, 10001)
+      ).to.be.revertedWithCustomError(factory, "InvalidPayouts");
+    });
+
+    it("Should charge the fee and the splits on new auctions", async function () {
+      const { factory, owner, addr1, addr2 } = await loadFixture(
+        deployFactoryFixture
+      );
+
+      const before = await createAuction(factory, addr1);
+      await factory.setPlatformFee(owner.address, 250);
+      const auction = await createAuction(factory, addr1, {
+        splits: [[addr2.address, 1000]],
+      });
+
+      expect((await before.getPayouts()).feeBps).to.equal(0);
+      const payouts = await auction.getPayouts();
+      expect(payouts.feeRecipient).to.equal(owner.address);
+      expect(payouts.feeBps).to.equal(250);
+      expect(payouts.splits).to.deep.equal([[addr2.address, 1000]]);
+    });
+  });
+
+  describe("Listing auctions", function () {
+    it("Should list the auctions by status", async function () {
+      const { factory, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+
+      const stopped = await createAuction(factory, addr1);
+      const active = await createAuction(factory, addr2, { duration: 3600 });
+      await stopped.connect(addr1).stopAuction();
+
+      expect(await factory.getAuctionsByStatus(true, 0, 10)).to.deep.equal([
+        active.address,
+      ]);
+      expect(await factory.getAuctionsByStatus(false, 0, 10)).to.deep.equal([
+        stopped.address,
+      ]);
+    });
+
+    it("Should list the auctions by status a page at a time", async function () {
+      const { factory, addr1, addr2 } = await loadFixture(deployFactoryFixture);
+
+      const first = await createAuction(factory, addr1);
+      const stopped = await createAuction(factory, addr2);
+      const third = await createAuction(factory, addr1);
+      await stopped.connect(addr2).stopAuction();
+
+      expect(await factory.getAuctionsByStatus(true, 0, 2)).to.deep.equal([
+        first.address,
+      ]);
+      expect(await factory.getAuctionsByStatus(true, 2, 2)).to.deep.equal([
+        third.address,
+      ]);
+      expect(await factory.getAuctionsByStatus(false, 1, 1)).to.deep.equal([
+        stopped.address,
+      ]);
+      // Pages past the last auction are empty, and the limit can be as large
+      // as wanted
+      expect(await factory.getAuctionsByStatus(true, 3, 2)).to.deep.equal([]);
+      expect(
+        await factory.getAuctionsByStatus(true, 1, ethers.constants.MaxUint256)
+      ).to.deep.equal([third.address]);
+    });
+
+    it("Should keep a finished auction out of the active list", async function () {
+      const { factory, addr1 } = await loadFixture(deployFactoryFixture);
+
+      const auction = await createAuction(factory, addr1);
+      await time.increase(601);
+      await auction.checkIfAuctionEnded();
+
+      expect(await factory.getAuctionsByStatus(true, 0, 10)).to.deep.equal([]);
+    });
+  });
+});
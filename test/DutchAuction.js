@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DutchAuction contract", function () {
+  // The Item argument of auctions that don't escrow an ERC-721 token
+  const NO_ITEM = [ethers.constants.AddressZero, 0];
+  // The Payouts argument of auctions without a platform fee or splits
+  const NO_PAYOUTS = [ethers.constants.AddressZero, 0, []];
+
+  const SECONDS_TO_END = 600;
+  const PRICE_DROP_INTERVAL = 60;
+
+  async function deployDutchAuctionFixture() {
+    const DutchAuction = await ethers.getContractFactory("DutchAuction");
+    const [owner, addr1, addr2] = await ethers.getSigners();
+
+    const auction = await DutchAuction.deploy(
+      ethers.constants.AddressZero,
+      "Un Ford Focus amarillo",
+      ethers.utils.parseEther("2"),
+      ethers.utils.parseEther("1"),
+      SECONDS_TO_END,
+      PRICE_DROP_INTERVAL,
+      ethers.constants.AddressZero,
+      NO_ITEM,
+      NO_PAYOUTS
+    );
+    await auction.deployed();
+
+    const [, createdTime] = await auction.getAuctionInfo();
+
+    return { auction, owner, addr1, addr2, createdTime };
+  }
+
+  describe("Price schedule", function () {
+    it("Should reject a start price lower than the floor price", async function () {
+      const DutchAuction = await ethers.getContractFactory("DutchAuction");
+
+      await expect(
+        DutchAuction.deploy(
+          ethers.constants.AddressZero,
+          "Un Ford Focus amarillo",
+          ethers.utils.parseEther("1"),
+          ethers.utils.parseEther("2"),
+          SECONDS_TO_END,
+          PRICE_DROP_INTERVAL,
+          ethers.constants.AddressZero,
+          NO_ITEM,
+          NO_PAYOUTS
+        )
+      ).to.be.revertedWithCustomError(DutchAuction, "InvalidPriceSchedule");
+    });
+
+    it("Should drop the price once per interval down to the floor", async function () {
+      const { auction, createdTime } = await loadFixture(
+        deployDutchAuctionFixture
+      );
+
+      expect(await auction.currentPrice()).to.equal(
+        ethers.utils.parseEther("2")
+      );
+
+      // Still in the first interval
+      await time.increaseTo(createdTime.add(PRICE_DROP_INTERVAL - 1));
+      expect(await auction.currentPrice()).to.equal(
+        ethers.utils.parseEther("2")
+      );
+
+      // Halfway through the auction, halfway down to the floor
+      await time.increaseTo(createdTime.add(SECONDS_TO_END / 2));
+      expect(await auction.currentPrice()).to.equal(
+        ethers.utils.parseEther("1.5")
+      );
+
+      await time.increaseTo(createdTime.add(SECONDS_TO_END + 100));
+      expect(await auction.currentPrice()).to.equal(
+        ethers.utils.parseEther("1")
+      );
+    });
+
+    it("Should include the price and the block's time in the snapshot", async function () {
+      const { auction, addr1, createdTime } = await loadFixture(
+        deployDutchAuctionFixture
+      );
+
+      await time.increaseTo(createdTime.add(SECONDS_TO_END / 2));
+      const snapshot = await auction.getSnapshot(addr1.address);
+
+      expect(snapshot.timestamp).to.equal(createdTime.add(SECONDS_TO_END / 2));
+      expect(snapshot.currentPrice).to.equal(ethers.utils.parseEther("1.5"));
+      expect(snapshot.priceDropInterval).to.equal(PRICE_DROP_INTERVAL);
+    });
+  });
+
+  describe("Buying", function () {
+    it("Should sell at the current price and refund the overpayment", async function () {
+      const { auction, owner, addr1, createdTime } = await loadFixture(
+        deployDutchAuctionFixture
+      );
+
+      await time.setNextBlockTimestamp(createdTime.add(SECONDS_TO_END / 2));
+      await expect(
+        auction.connect(addr1).buy({ value: ethers.utils.parseEther("2") })
+      )
+        .to.emit(auction, "AuctionEnded")
+        .withArgs(addr1.address, ethers.utils.parseEther("1.5"))
+        .and.to.changeEtherBalances(
+          [addr1, auction],
+          [ethers.utils.parseEther("-1.5"), ethers.utils.parseEther("1.5")]
+        );
+
+      expect(await auction.isActive()).to.equal(false);
+      expect(await auction.newOwner()).to.equal(addr1.address);
+      expect(await auction.getHighestPrice()).to.equal(
+        ethers.utils.parseEther("1.5")
+      );
+      expect(await auction.pendingReturns(owner.address)).to.equal(
+        ethers.utils.parseEther("1.5")
+      );
+    });
+
+    it("Should transfer the item to the buyer", async function () {
+      const MockNFT = await ethers.getContractFactory("MockNFT");
+      const nft = await MockNFT.deploy();
+      const DutchAuction = await ethers.getContractFactory("DutchAuction");
+      const [owner, addr1] = await ethers.getSigners();
+      await nft.mint(owner.address, "ipfs://item");
+
+      const auction = await DutchAuction.deploy(
+        ethers.constants.AddressZero,
+        "Un Ford Focus amarillo",
+        ethers.utils.parseEther("2"),
+        ethers.utils.parseEther("1"),
+        SECONDS_TO_END,
+        PRICE_DROP_INTERVAL,
+        ethers.constants.AddressZero,
+        [nft.address, 1],
+        NO_PAYOUTS
+      );
+      await nft.safeTransferFrom(owner.address, auction.address, 1);
+
+      await auction.connect(addr1).buy({ value: ethers.utils.parseEther("2") });
+      expect(await nft.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it("Should reject payments below the current price", async function () {
+      const { auction, addr1 } = await loadFixture(deployDutchAuctionFixture);
+
+      await expect(
+        auction.connect(addr1).buy({ value: ethers.utils.parseEther("1.9") })
+      )
+        .to.be.revertedWithCustomError(auction, "BidTooLow")
+        .withArgs(ethers.utils.parseEther("2"));
+    });
+
+    it("Should only sell once", async function () {
+      const { auction, addr1, addr2 } = await loadFixture(
+        deployDutchAuctionFixture
+      );
+
+      await auction.connect(addr1).buy({ value: ethers.utils.parseEther("2") });
+      await expect(
+        auction.connect(addr2).buy({ value: ethers.utils.parseEther("2") })
+      ).to.be.revertedWithCustomError(auction, "AuctionNotActive");
+    });
+
+    it("Should end without a winner when nobody buys", async function () {
+      const { auction, addr1, createdTime } = await loadFixture(
+        deployDutchAuctionFixture
+      );
+
+      await expect(auction.checkIfAuctionEnded())
+        .to.be.revertedWithCustomError(auction, "AuctionNotEnded")
+        .withArgs(createdTime.add(SECONDS_TO_END));
+      await time.increaseTo(createdTime.add(SECONDS_TO_END + 1));
+      await expect(
+        auction.connect(addr1).buy({ value: ethers.utils.parseEther("2") })
+      ).to.be.revertedWithCustomError(auction, "AuctionNotActive");
+
+      await expect(auction.checkIfAuctionEnded())
+        .to.emit(auction, "AuctionEnded")
+        .withArgs(ethers.constants.AddressZero, 0);
+      expect(await auction.isActive()).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SealedBidAuction contract", function () {
+  // The Item argument of auctions that don't escrow an ERC-721 token
+  const NO_ITEM = [ethers.constants.AddressZero, 0];
+  // The Payouts argument of auctions without a platform fee or splits
+  const NO_PAYOUTS = [ethers.constants.AddressZero, 0, []];
+
+  const COMMIT_SECONDS = 600;
+  const REVEAL_SECONDS = 300;
+
+  async function deploySealedBidAuctionFixture() {
+    const SealedBidAuction = await ethers.getContractFactory(
+      "SealedBidAuction"
+    );
+    const [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const auction = await SealedBidAuction.deploy(
+      ethers.constants.AddressZero,
+      "Un Ford Focus amarillo",
+      ethers.utils.parseEther("1"),
+      COMMIT_SECONDS,
+      REVEAL_SECONDS,
+      ethers.constants.AddressZero,
+      NO_ITEM,
+      NO_PAYOUTS
+    );
+    await auction.deployed();
+
+    const [, , commitEndTime, revealEndTime] = await auction.getAuctionInfo();
+
+    return {
+      auction,
+      owner,
+      addr1,
+      addr2,
+      addr3,
+      commitEndTime,
+      revealEndTime,
+    };
+  }
+
+  // Commits a bid of `amount` Ether with a `deposit` (defaults to the amount)
+  // and returns the salt needed to reveal it
+  async function commit(auction, bidder, amount, deposit = amount) {
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const hash = ethers.utils.solidityKeccak256(
+      ["address", "uint256", "bytes32"],
+      [bidder.address, ethers.utils.parseEther(amount), salt]
+    );
+    await auction
+      .connect(bidder)
+      .commitBid(hash, { value: ethers.utils.parseEther(deposit) });
+    return salt;
+  }
+
+  function reveal(auction, bidder, amount, salt) {
+    return auction
+      .connect(bidder)
+      .revealBid(ethers.utils.parseEther(amount), salt);
+  }
+
+  describe("Phases", function () {
+    it("Should move from commit to reveal to ended", async function () {
+      const { auction, commitEndTime, revealEndTime } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      expect(await auction.getPhase()).to.equal(0);
+      await time.increaseTo(commitEndTime.add(1));
+      expect(await auction.getPhase()).to.equal(1);
+      await time.increaseTo(revealEndTime.add(1));
+      expect(await auction.getPhase()).to.equal(2);
+    });
+
+    it("Should only accept commitments in the commit phase", async function () {
+      const { auction, addr1, commitEndTime } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      await time.increaseTo(commitEndTime.add(1));
+      await expect(commit(auction, addr1, "2"))
+        .to.be.revertedWithCustomError(auction, "CommitPhaseOver")
+        .withArgs(commitEndTime);
+    });
+
+    it("Should only accept reveals in the reveal phase", async function () {
+      const { auction, addr1, commitEndTime, revealEndTime } =
+        await loadFixture(deploySealedBidAuctionFixture);
+
+      const salt = await commit(auction, addr1, "2");
+      await expect(reveal(auction, addr1, "2", salt))
+        .to.be.revertedWithCustomError(auction, "NotRevealPhase")
+        .withArgs(commitEndTime, revealEndTime);
+
+      await time.increaseTo(revealEndTime.add(1));
+      await expect(
+        reveal(auction, addr1, "2", salt)
+      ).to.be.revertedWithCustomError(auction, "NotRevealPhase");
+    });
+  });
+
+  describe("Committing and revealing", function () {
+    it("Should match the contract's commitment hash", async function () {
+      const { auction, addr1 } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+      const salt = ethers.utils.formatBytes32String("salt");
+
+      expect(
+        await auction.getCommitmentHash(addr1.address, 1000, salt)
+      ).to.equal(
+        ethers.utils.solidityKeccak256(
+          ["address", "uint256", "bytes32"],
+          [addr1.address, 1000, salt]
+        )
+      );
+    });
+
+    it("Should reject an empty commitment and keep the first one", async function () {
+      const { auction, addr1 } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      await expect(
+        auction.connect(addr1).commitBid(ethers.constants.HashZero, {
+          value: ethers.utils.parseEther("2"),
+        })
+      ).to.be.revertedWithCustomError(auction, "InvalidCommitment");
+
+      await commit(auction, addr1, "2");
+      await expect(commit(auction, addr1, "3")).to.be.revertedWithCustomError(
+        auction,
+        "AlreadyCommitted"
+      );
+    });
+
+    it("Should reject a reveal that doesn't match the commitment", async function () {
+      const { auction, addr1, commitEndTime } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      const salt = await commit(auction, addr1, "2", "5");
+      await time.increaseTo(commitEndTime.add(1));
+
+      await expect(
+        reveal(auction, addr1, "3", salt)
+      ).to.be.revertedWithCustomError(auction, "CommitmentMismatch");
+    });
+
+    it("Should keep the highest revealed bid and refund the rest", async function () {
+      const { auction, addr1, addr2, commitEndTime } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      const salt1 = await commit(auction, addr1, "2", "5");
+      const salt2 = await commit(auction, addr2, "3", "3");
+      await time.increaseTo(commitEndTime.add(1));
+
+      await expect(reveal(auction, addr1, "2", salt1))
+        .to.emit(auction, "BidRevealed")
+        .withArgs(addr1.address, ethers.utils.parseEther("2"), true);
+      expect(await auction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("3")
+      );
+
+      await reveal(auction, addr2, "3", salt2);
+      expect(await auction.getHighestBidder()).to.equal(addr2.address);
+      expect(await auction.getHighestPrice()).to.equal(
+        ethers.utils.parseEther("3")
+      );
+      // The outbid bidder gets their whole deposit back
+      expect(await auction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("5")
+      );
+    });
+
+    it("Should treat bids above the deposit as invalid", async function () {
+      const { auction, addr1, commitEndTime } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      const salt = await commit(auction, addr1, "4", "2");
+      await time.increaseTo(commitEndTime.add(1));
+
+      await expect(reveal(auction, addr1, "4", salt))
+        .to.emit(auction, "BidRevealed")
+        .withArgs(addr1.address, ethers.utils.parseEther("4"), false);
+      expect(await auction.getHighestBidder()).to.equal(
+        ethers.constants.AddressZero
+      );
+      expect(await auction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+    });
+  });
+
+  describe("Snapshot", function () {
+    it("Should return the auction's state and the account's commitment", async function () {
+      const { auction, owner, addr1, commitEndTime, revealEndTime } =
+        await loadFixture(deploySealedBidAuctionFixture);
+
+      await commit(auction, addr1, "2", "3");
+      const snapshot = await auction.getSnapshot(addr1.address);
+
+      expect(snapshot.commitEndTime).to.equal(commitEndTime);
+      expect(snapshot.revealEndTime).to.equal(revealEndTime);
+      expect(snapshot.timestamp).to.equal(await time.latest());
+      expect(snapshot.phase).to.equal(0);
+      expect(snapshot.originalOwner).to.equal(owner.address);
+      expect(snapshot.beneficiary).to.equal(owner.address);
+      expect(snapshot.active).to.equal(true);
+      expect(snapshot.commitment.deposit).to.equal(
+        ethers.utils.parseEther("3")
+      );
+      expect(snapshot.commitment.revealed).to.equal(false);
+    });
+  });
+
+  describe("Settlement", function () {
+    it("Should give the owner the winning bid and unrevealed deposits", async function () {
+      const {
+        auction,
+        owner,
+        addr1,
+        addr2,
+        addr3,
+        commitEndTime,
+        revealEndTime,
+      } = await loadFixture(deploySealedBidAuctionFixture);
+
+      const salt1 = await commit(auction, addr1, "2");
+      const salt2 = await commit(auction, addr2, "3", "4");
+      // addr3 never reveals their bid
+      await commit(auction, addr3, "10");
+      await time.increaseTo(commitEndTime.add(1));
+      await reveal(auction, addr1, "2", salt1);
+      await reveal(auction, addr2, "3", salt2);
+
+      await expect(auction.checkIfAuctionEnded())
+        .to.be.revertedWithCustomError(auction, "AuctionNotEnded")
+        .withArgs(revealEndTime);
+      await time.increaseTo(revealEndTime.add(1));
+      await expect(auction.checkIfAuctionEnded())
+        .to.emit(auction, "AuctionEnded")
+        .withArgs(addr2.address, ethers.utils.parseEther("3"));
+
+      expect(await auction.newOwner()).to.equal(addr2.address);
+      expect(await auction.pendingReturns(owner.address)).to.equal(
+        ethers.utils.parseEther("13")
+      );
+      expect(await auction.pendingReturns(addr1.address)).to.equal(
+        ethers.utils.parseEther("2")
+      );
+      expect(await auction.pendingReturns(addr2.address)).to.equal(
+        ethers.utils.parseEther("1")
+      );
+      expect(await auction.pendingReturns(addr3.address)).to.equal(0);
+    });
+
+    it("Should refund every deposit when stopped", async function () {
+      const { auction, addr1, addr2, commitEndTime } = await loadFixture(
+        deploySealedBidAuctionFixture
+      );
+
+      const salt1 = await commit(auction, addr1, "2");
+      await commit(auction, addr2, "3");
+      await time.increaseTo(commitEndTime.add(1));
+      await reveal(auction, addr1, "2", salt1);
+      await expect(auction.stopAuction()).to.emit(auction, "AuctionStopped");
+
+      await expect(auction.connect(addr1).withdraw()).to.changeEtherBalance(
+        addr1,
+        ethers.utils.parseEther("2")
+      );
+      await expect(auction.connect(addr2).withdraw()).to.changeEtherBalance(
+        addr2,
+        ethers.utils.parseEther("3")
+      );
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Token contract", function () {
+  async function deployTokenFixture() {
+    const Token = await ethers.getContractFactory("Token");
+    const [owner, addr1, addr2] = await ethers.getSigners();
+
+    const token = await Token.deploy();
+    await token.deployed();
+
+    return { token, owner, addr1, addr2 };
+  }
+
+  it("Should assign the total supply to the owner", async function () {
+    const { token, owner } = await loadFixture(deployTokenFixture);
+
+    expect(await token.decimals()).to.equal(18);
+    expect(await token.balanceOf(owner.address)).to.equal(
+      await token.totalSupply()
+    );
+  });
+
+  it("Should let an approved spender transfer tokens", async function () {
+    const { token, owner, addr1, addr2 } = await loadFixture(
+      deployTokenFixture
+    );
+
+    await expect(token.approve(addr1.address, 100))
+      .to.emit(token, "Approval")
+      .withArgs(owner.address, addr1.address, 100);
+    expect(await token.allowance(owner.address, addr1.address)).to.equal(100);
+
+    await expect(
+      token.connect(addr1).transferFrom(owner.address, addr2.address, 60)
+    ).to.changeTokenBalances(token, [owner, addr2], [-60, 60]);
+    expect(await token.allowance(owner.address, addr1.address)).to.equal(40);
+
+    await expect(
+      token.connect(addr1).transferFrom(owner.address, addr2.address, 41)
+    ).to.be.revertedWith("Insufficient allowance");
+  });
+});
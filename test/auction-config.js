@@ -0,0 +1,256 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  DEFAULT_AUCTION_CONFIG,
+  loadAuctionConfig,
+  validateAuctionConfig,
+} = require("../scripts/auction-config");
+
+describe("Auction config", function () {
+  const RECIPIENT = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+  describe("loadAuctionConfig", function () {
+    let configDir;
+
+    // Writes a JSON config file and returns its path
+    function writeConfigFile(config) {
+      const configFile = path.join(configDir, "auction.json");
+      fs.writeFileSync(configFile, JSON.stringify(config));
+      return configFile;
+    }
+
+    beforeEach(function () {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), "auction-config-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it("Should use the defaults when nothing is given", function () {
+      expect(loadAuctionConfig([], {})).to.deep.equal(DEFAULT_AUCTION_CONFIG);
+    });
+
+    it("Should take env variables over the defaults", function () {
+      const config = loadAuctionConfig([], {
+        AUCTION_BASE_PRICE: "2",
+        AUCTION_DURATION: "",
+      });
+
+      expect(config.basePrice).to.equal("2");
+      expect(config.duration).to.equal(DEFAULT_AUCTION_CONFIG.duration);
+    });
+
+    it("Should take the config file over the env variables", function () {
+      const configFile = writeConfigFile({ basePrice: "3", duration: 900 });
+
+      const config = loadAuctionConfig([], {
+        AUCTION_CONFIG: configFile,
+        AUCTION_BASE_PRICE: "2",
+        AUCTION_EXTENSION_WINDOW: "30",
+      });
+
+      expect(config.basePrice).to.equal("3");
+      expect(config.duration).to.equal(900);
+      expect(config.extensionWindow).to.equal("30");
+    });
+
+    it("Should take CLI arguments over the config file", function () {
+      const configFile = writeConfigFile({ basePrice: "3", duration: 900 });
+
+      const config = loadAuctionConfig(
+        ["--config", configFile, "--base-price", "4", "--network", "hardhat"],
+        { AUCTION_BASE_PRICE: "2" }
+      );
+
+      expect(config.basePrice).to.equal("4");
+      expect(config.duration).to.equal(900);
+    });
+
+    it("Should take --config over the AUCTION_CONFIG env variable", function () {
+      const configFile = writeConfigFile({ basePrice: "3" });
+
+      const config = loadAuctionConfig([`--config=${configFile}`], {
+        AUCTION_CONFIG: path.join(configDir, "missing.json"),
+      });
+
+      expect(config.basePrice).to.equal("3");
+    });
+
+    it("Should read --flag=value pairs", function () {
+      const config = loadAuctionConfig(["--description=Un coche=rojo"], {});
+
+      expect(config.description).to.equal("Un coche=rojo");
+    });
+
+    it("Should reject a flag without a value", function () {
+      expect(() => loadAuctionConfig(["--duration"], {})).to.throw(
+        "Missing value for --duration"
+      );
+    });
+
+    it("Should reject a missing config file", function () {
+      expect(() =>
+        loadAuctionConfig(
+          ["--config", path.join(configDir, "missing.json")],
+          {}
+        )
+      ).to.throw("Auction config file not found");
+    });
+  });
+
+  describe("validateAuctionConfig", function () {
+    // Validates the defaults with some values replaced
+    function validate(overrides) {
+      return validateAuctionConfig({ ...DEFAULT_AUCTION_CONFIG, ...overrides });
+    }
+
+    it("Should normalize a valid config", function () {
+      const config = validate({
+        basePrice: "1.5",
+        duration: "600",
+        beneficiary: RECIPIENT,
+        splits: JSON.stringify([{ recipient: RECIPIENT, bps: "250" }]),
+        platformFeeBps: "100",
+      });
+
+      expect(config.type).to.equal("english");
+      expect(config.basePrice).to.equal(ethers.utils.parseEther("1.5"));
+      expect(config.duration).to.equal(600);
+      expect(config.beneficiary).to.equal(ethers.utils.getAddress(RECIPIENT));
+      expect(config.splits).to.deep.equal([
+        [ethers.utils.getAddress(RECIPIENT), 250],
+      ]);
+      expect(config.platformFee).to.deep.equal([
+        ethers.constants.AddressZero,
+        100,
+      ]);
+    });
+
+    it("Should reject an unknown type", function () {
+      expect(() => validate({ type: "reverse" })).to.throw(
+        "type must be one of english, sealed, dutch: reverse"
+      );
+    });
+
+    it("Should reject an empty description", function () {
+      expect(() => validate({ description: "   " })).to.throw(
+        "description must not be empty"
+      );
+    });
+
+    it("Should reject invalid and negative prices", function () {
+      expect(() => validate({ basePrice: "uno" })).to.throw(
+        "basePrice is not a valid Ether amount: uno"
+      );
+      expect(() => validate({ minIncrement: "-1" })).to.throw(
+        "minIncrement must not be negative"
+      );
+    });
+
+    it("Should reject a zero or fractional duration", function () {
+      expect(() => validate({ duration: 0 })).to.throw(
+        "duration must be a positive number of seconds: 0"
+      );
+      expect(() => validate({ duration: "1.5" })).to.throw(
+        "duration must be a positive number of seconds: 1.5"
+      );
+    });
+
+    it("Should reject a negative extension window or increment", function () {
+      expect(() => validate({ extensionWindow: -1 })).to.throw(
+        "extensionWindow must be zero or a positive number of seconds"
+      );
+      expect(() => validate({ minIncrementBps: -1 })).to.throw(
+        "minIncrementBps must be zero or a positive number of basis points"
+      );
+    });
+
+    it("Should reject an invalid beneficiary", function () {
+      expect(() => validate({ beneficiary: "0x1234" })).to.throw(
+        "beneficiary is not a valid address: 0x1234"
+      );
+    });
+
+    it("Should require a reveal phase for sealed-bid auctions", function () {
+      expect(() => validate({ type: "sealed", revealDuration: 0 })).to.throw(
+        "revealDuration must be a positive number of seconds"
+      );
+    });
+
+    it("Should check the Dutch auction's price schedule", function () {
+      expect(() =>
+        validate({ type: "dutch", startPrice: "0.5", basePrice: "1" })
+      ).to.throw("startPrice must not be lower than basePrice");
+      expect(() =>
+        validate({ type: "dutch", priceDropInterval: 601, duration: 600 })
+      ).to.throw(
+        "priceDropInterval must be a positive number of seconds not longer than duration"
+      );
+    });
+
+    it("Should only take a payment token or buy-it-now for English auctions", function () {
+      expect(() =>
+        validate({ type: "sealed", paymentToken: RECIPIENT })
+      ).to.throw("paymentToken is only supported by english auctions");
+      expect(() => validate({ type: "dutch", buyNowPrice: "5" })).to.throw(
+        "buyNowPrice is only supported by english auctions"
+      );
+      expect(() => validate({ paymentToken: "dai" })).to.throw(
+        'paymentToken is not a valid address or "token": dai'
+      );
+    });
+
+    it("Should reject a buy-it-now threshold above its price", function () {
+      expect(() =>
+        validate({ buyNowPrice: "5", buyNowThreshold: "6" })
+      ).to.throw("buyNowThreshold must not be higher than buyNowPrice");
+    });
+
+    it("Should reject an invalid item", function () {
+      expect(() => validate({ itemContract: "nft" })).to.throw(
+        'itemContract is not a valid address or "mock": nft'
+      );
+      expect(() =>
+        validate({ itemContract: RECIPIENT, itemTokenId: "uno" })
+      ).to.throw("itemTokenId must be a token id: uno");
+    });
+
+    it("Should reject bad payouts", function () {
+      expect(() => validate({ splits: "[" })).to.throw(
+        "splits is not valid JSON: ["
+      );
+      expect(() => validate({ splits: { recipient: RECIPIENT } })).to.throw(
+        "splits must be a list of { recipient, bps }"
+      );
+      expect(() =>
+        validate({ splits: [{ recipient: "0x1234", bps: -1 }] })
+      ).to.throw(
+        /splits\[0\]\.recipient is not a valid address: 0x1234\n.*splits\[0\]\.bps must be zero or a positive number of basis points: -1/
+      );
+      expect(() => validate({ platformFeeBps: "1.5" })).to.throw(
+        "platformFeeBps must be zero or a positive number of basis points: 1.5"
+      );
+      expect(() => validate({ platformFeeRecipient: "0x1234" })).to.throw(
+        "platformFeeRecipient is not a valid address: 0x1234"
+      );
+      expect(() =>
+        validate({
+          platformFeeBps: 2000,
+          splits: [{ recipient: RECIPIENT, bps: 8001 }],
+        })
+      ).to.throw(
+        "platformFeeBps and splits must not add up to more than 10000 basis points: 10001"
+      );
+    });
+
+    it("Should list every invalid value", function () {
+      expect(() => validate({ description: "", duration: 0 })).to.throw(
+        /Invalid auction config:\n {2}- description must not be empty\n {2}- duration must be a positive number of seconds: 0/
+      );
+    });
+  });
+});